@@ -4,63 +4,194 @@
   Local-only analytics for the Insect Song Learning Game.
 
   This uses localStorage to track stats PER BROWSER ONLY.
-  It does NOT send any data to a server.
+  It does NOT send any data to a server, with one opt-in exception: if
+  telemetry.js is configured with a collector endpoint AND the player
+  turned sharing on, the game-started, game-completed and region-choice
+  events are also handed to InsectGameTelemetry.track().
 
   It tracks:
     - pageViews     : times this browser loaded the page
     - gamesStarted  : total games started (all modes)
     - gamesCompleted: total games completed (all modes)
-    - modeStats     : stats per mode (spectrogram, image, facts)
+    - modeStats     : stats per mode (spectrogram, image, facts, listen, reverse);
+                      listening only also counts the calls replayed
     - regionStats   : stats per region (and "All regions")
+    - difficultyStats: stats per difficulty ("standard", "hard")
+    - settingsStats : stats per game settings (rounds, answer choices,
+                      hint policy, scientific names required)
     - referrers     : which sites (if any) linked to this page (per browser)
+    - snrStats      : field-conditions rounds per signal-to-noise ratio (dB)
+    - confusion     : per mode, how often each species was guessed when the
+                      answer was another species (a confusion matrix)
+    - reactionStats : timed challenge, per mode and species: response times
+                      to the correct answer, and rounds where time ran out
+    - history       : every finished game (time, mode, region, score, rounds,
+                      settings), newest last, at most MAX_HISTORY games
+
+  An export also holds what the rest of the game keeps in this browser, so
+  a player's progress moves in one file: the learn-mode cards
+  (learning.js), daily challenge results (daily.js) and game settings.
+  Importing and resetting cover them too.
+
+  Storage is versioned: the key ends in the schema version
+  (insectGameStats_v2). Data found under an older key, or imported from an
+  older export, is upgraded one version at a time by MIGRATIONS.
 
   API exposed on window.InsectGameAnalytics:
 
     InsectGameAnalytics.init(statsElementId?)
-    InsectGameAnalytics.recordGameStarted(mode, regionName)
-    InsectGameAnalytics.recordGameCompleted(mode, regionName, score, roundsTotal)
+    InsectGameAnalytics.recordGameStarted(mode, regionName, details?)
+    InsectGameAnalytics.recordGameCompleted(mode, regionName, score, roundsTotal, details?)
+        // details: settings used for this game, e.g.
+        //   { difficulty: "hard", rounds: 10, answerChoices: 6,
+        //     autoHints: false, sciNamesRequired: true, timed: true }
     InsectGameAnalytics.recordRegionChoice(regionName)
+    InsectGameAnalytics.recordGuess(mode, correctSpecies, chosenSpecies, firstTry)
+    InsectGameAnalytics.recordRoundResult(mode, result)
+        // result: { species, firstTry, snrDb?, noise?, decoy?, reactionMs?, timedOut?, replays? }
+        // for each answered round
+    InsectGameAnalytics.getConfusions(limit?, mode?)  // most common mix-ups, most frequent first
+    InsectGameAnalytics.getReactionTimes(mode?, limit?) // timed challenge, slowest species first
+    InsectGameAnalytics.getHistory()       // finished games, oldest first (copies)
     InsectGameAnalytics.getSummary()       // returns a clean summary object
-    InsectGameAnalytics.renderStatsPanel() // re-renders the stats element, if provided
+    InsectGameAnalytics.exportData()       // versioned export object (save as JSON):
+                                           // {format, schemaVersion, exportedAt, stats,
+                                           //  learning, daily, settings}
+    InsectGameAnalytics.importData(data, how) // how: "merge" (adds counters) | "replace";
+                                           // throws if data isn't a readable export
+                                           // (the error's `key` names its text in the locale bundles)
+    InsectGameAnalytics.resetData()        // deletes all stats, learn-mode cards, daily
+                                           // results and settings in this browser
+    InsectGameAnalytics.renderStatsPanel() // redraws the dashboard (dashboard.js) in the
+                                           // stats element, if provided and visible
 */
 
 (function () {
-  const STATS_KEY = "insectGameStats_v2";
+  const SCHEMA_VERSION = 2;
+  const STATS_KEY = storageKey(SCHEMA_VERSION);
+  const EXPORT_FORMAT = "insect-song-game-stats";
+  const MAX_HISTORY = 1000;      // oldest finished games are dropped after this
+  const SETTINGS_KEY = "insectGameSettings_v1";   // saved by game.js
+
+  // MIGRATIONS[n] upgrades a schema-n stats object to schema n + 1.
+  // To change the layout: bump SCHEMA_VERSION (the storage key follows),
+  // add the step here, and let normalizeStats fill any new keys.
+  const MIGRATIONS = {
+    // v1 didn't store totalRounds; every game was 5 rounds long
+    1: data => {
+      ["modeStats", "regionStats"].forEach(group => {
+        Object.values(data[group] || {}).forEach(entry => {
+          if (typeof entry.totalRounds !== "number") {
+            entry.totalRounds = (entry.gamesCompleted || 0) * 5;
+          }
+        });
+      });
+      return data;
+    }
+  };
+
+  // merging an import: these keep the value already in this browser
+  const MERGE_KEEP_FIELDS = ["schemaVersion", "firstVisitAt", "settings"];
+  // ...and these keep the smaller of the two
+  const MERGE_MIN_FIELDS = ["bestMs"];
 
   let stats = loadStats();
   let statsElementId = null;
 
+  function storageKey(version) {
+    return `insectGameStats_v${version}`;
+  }
+
+  // errors carry the key of their text in the locale bundles (and its
+  // params); the message is the English text
+  function fail(key, message, params) {
+    const err = new Error(message);
+    err.key = key;
+    err.params = params || null;
+    return err;
+  }
+
+  // upgrades `data` from schema `version` to SCHEMA_VERSION
+  function migrateStats(data, version) {
+    if (version > SCHEMA_VERSION) {
+      throw fail("stats.error.newer",
+        `These stats come from a newer version of the game (schema ${version}).`, { version });
+    }
+    let current = data;
+    for (let v = version; v < SCHEMA_VERSION; v++) {
+      if (!MIGRATIONS[v]) {
+        throw fail("stats.error.migration", `No migration from stats schema ${v}.`, { version: v });
+      }
+      current = MIGRATIONS[v](current);
+    }
+    return current;
+  }
+
+  // newest stored stats, with the schema version of the key they were under
+  function readStoredStats() {
+    for (let v = SCHEMA_VERSION; v >= 1; v--) {
+      const raw = localStorage.getItem(storageKey(v));
+      if (raw) return { version: v, data: JSON.parse(raw) };
+    }
+    return null;
+  }
+
   function loadStats() {
     try {
-      const raw = localStorage.getItem(STATS_KEY);
-      if (!raw) {
+      const stored = readStoredStats();
+      if (!stored) {
         return createEmptyStats();
       }
-      const parsed = JSON.parse(raw);
-      // ensure some keys exist even if structure changes later
-      return {
-        firstVisitAt: parsed.firstVisitAt || new Date().toISOString(),
-        pageViews: typeof parsed.pageViews === "number" ? parsed.pageViews : 0,
-        gamesStarted: parsed.gamesStarted || 0,
-        gamesCompleted: parsed.gamesCompleted || 0,
-        modeStats: parsed.modeStats || {},
-        regionStats: parsed.regionStats || {},
-        referrers: parsed.referrers || {}
-      };
+      const version = stored.data.schemaVersion || stored.version;
+      const loaded = normalizeStats(migrateStats(stored.data, version));
+      if (stored.version !== SCHEMA_VERSION) {
+        // keep the upgraded data under the current key only
+        localStorage.setItem(STATS_KEY, JSON.stringify(loaded));
+        localStorage.removeItem(storageKey(stored.version));
+      }
+      return loaded;
     } catch (e) {
       return createEmptyStats();
     }
   }
 
+  // current-schema stats with every top-level key present
+  function normalizeStats(parsed) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      firstVisitAt: parsed.firstVisitAt || new Date().toISOString(),
+      pageViews: typeof parsed.pageViews === "number" ? parsed.pageViews : 0,
+      gamesStarted: parsed.gamesStarted || 0,
+      gamesCompleted: parsed.gamesCompleted || 0,
+      modeStats: parsed.modeStats || {},
+      regionStats: parsed.regionStats || {},
+      difficultyStats: parsed.difficultyStats || {},
+      settingsStats: parsed.settingsStats || {},
+      snrStats: parsed.snrStats || {},
+      referrers: parsed.referrers || {},
+      confusion: parsed.confusion || {},
+      reactionStats: parsed.reactionStats || {},
+      history: Array.isArray(parsed.history) ? parsed.history : []
+    };
+  }
+
   function createEmptyStats() {
     return {
+      schemaVersion: SCHEMA_VERSION,
       firstVisitAt: new Date().toISOString(),
       pageViews: 0,
       gamesStarted: 0,
       gamesCompleted: 0,
-      modeStats: {},   // mode -> {gamesStarted, gamesCompleted, totalScore, totalRounds}
+      modeStats: {},   // mode -> {gamesStarted, gamesCompleted, totalScore, totalRounds,
+                       //          replayRounds?, totalReplays?}
       regionStats: {}, // region -> {gamesStarted, gamesCompleted, totalScore, totalRounds, chosenCount}
-      referrers: {}    // referrerHost -> count
+      difficultyStats: {}, // difficulty -> {gamesStarted, gamesCompleted, totalScore, totalRounds}
+      settingsStats: {}, // settingsKey -> {settings, gamesStarted, gamesCompleted, totalScore, totalRounds}
+      snrStats: {},    // "mode|snrDb" -> {rounds, firstTryCorrect, noise: {bed -> rounds}, decoyRounds}
+      referrers: {},   // referrerHost -> count
+      confusion: {},   // mode -> correctSpecies -> chosenSpecies -> {guesses, firstTry}
+      reactionStats: {}, // mode -> species -> {answered, totalMs, bestMs, timeouts}
+      history: []      // [{at, mode, region, score, rounds, details}]
     };
   }
 
@@ -99,6 +230,53 @@
     return stats.regionStats[key];
   }
 
+  function ensureDifficultyStats(difficulty) {
+    if (!stats.difficultyStats[difficulty]) {
+      stats.difficultyStats[difficulty] = {
+        gamesStarted: 0,
+        gamesCompleted: 0,
+        totalScore: 0,
+        totalRounds: 0
+      };
+    }
+    return stats.difficultyStats[difficulty];
+  }
+
+  // "10 rounds|6 choices|hints off|sci names" style key (plus "|timed"
+  // for timed challenge), or null if the game didn't report its settings
+  function getSettingsKey(details) {
+    if (!details || typeof details.rounds !== "number") return null;
+    const parts = [
+      `${details.rounds} rounds`,
+      `${details.answerChoices} choices`,
+      details.autoHints === false ? "hints off" : "hints on",
+      details.sciNamesRequired ? "sci names" : "common names"
+    ];
+    if (details.timed) parts.push("timed");
+    return parts.join("|");
+  }
+
+  function ensureSettingsStats(details) {
+    const key = getSettingsKey(details);
+    if (!key) return null;
+    if (!stats.settingsStats[key]) {
+      stats.settingsStats[key] = {
+        settings: {
+          rounds: details.rounds,
+          answerChoices: details.answerChoices,
+          autoHints: details.autoHints !== false,
+          sciNamesRequired: !!details.sciNamesRequired,
+          timed: !!details.timed
+        },
+        gamesStarted: 0,
+        gamesCompleted: 0,
+        totalScore: 0,
+        totalRounds: 0
+      };
+    }
+    return stats.settingsStats[key];
+  }
+
   function recordPageView() {
     stats.pageViews += 1;
 
@@ -120,16 +298,30 @@
     saveStats();
   }
 
-  function recordGameStarted(mode, regionName) {
+  // opt-in usage reporting; telemetry.js does nothing without consent
+  function report(type, data) {
+    if (window.InsectGameTelemetry) {
+      window.InsectGameTelemetry.track(type, data);
+    }
+  }
+
+  function recordGameStarted(mode, regionName, details) {
     const regKey = regionName || "All regions";
+    report("gameStarted", { mode, region: regKey, details: details || {} });
     stats.gamesStarted += 1;
     ensureModeStats(mode).gamesStarted += 1;
     ensureRegionStats(regKey).gamesStarted += 1;
+    if (details && details.difficulty) {
+      ensureDifficultyStats(details.difficulty).gamesStarted += 1;
+    }
+    const gs = ensureSettingsStats(details);
+    if (gs) gs.gamesStarted += 1;
     saveStats();
   }
 
-  function recordGameCompleted(mode, regionName, score, roundsTotal) {
+  function recordGameCompleted(mode, regionName, score, roundsTotal, details) {
     const regKey = regionName || "All regions";
+    report("gameCompleted", { mode, region: regKey, score, roundsTotal, details: details || {} });
     stats.gamesCompleted += 1;
 
     const ms = ensureModeStats(mode);
@@ -142,19 +334,152 @@
     rs.totalScore += score;
     rs.totalRounds += roundsTotal;
 
+    if (details && details.difficulty) {
+      const ds = ensureDifficultyStats(details.difficulty);
+      ds.gamesCompleted += 1;
+      ds.totalScore += score;
+      ds.totalRounds += roundsTotal;
+    }
+
+    const gs = ensureSettingsStats(details);
+    if (gs) {
+      gs.gamesCompleted += 1;
+      gs.totalScore += score;
+      gs.totalRounds += roundsTotal;
+    }
+
+    stats.history.push({
+      at: new Date().toISOString(),
+      mode,
+      region: regKey,
+      score,
+      rounds: roundsTotal,
+      details: details || {}
+    });
+    trimHistory();
+
     saveStats();
   }
 
   function recordRegionChoice(regionName) {
     const regKey = regionName || "All regions";
+    report("regionChoice", { region: regKey });
     const rs = ensureRegionStats(regKey);
     rs.chosenCount += 1;
     saveStats();
   }
 
+  // every guess, right or wrong; species are scientific names
+  function recordGuess(mode, correctSpecies, chosenSpecies, firstTry) {
+    if (!correctSpecies || !chosenSpecies) return;
+    if (!stats.confusion[mode]) stats.confusion[mode] = {};
+    const row = stats.confusion[mode][correctSpecies] ||
+      (stats.confusion[mode][correctSpecies] = {});
+    const cell = row[chosenSpecies] || (row[chosenSpecies] = { guesses: 0, firstTry: 0 });
+    cell.guesses += 1;
+    if (firstTry) cell.firstTry += 1;
+    saveStats();
+  }
+
+  function recordRoundResult(mode, result) {
+    if (!result) return;
+    if (typeof result.replays === "number") {
+      const ms = ensureModeStats(mode);
+      ms.replayRounds = (ms.replayRounds || 0) + 1;
+      ms.totalReplays = (ms.totalReplays || 0) + result.replays;
+    }
+    if (typeof result.snrDb === "number") {
+      const key = `${mode}|${result.snrDb}`;
+      const ss = stats.snrStats[key] ||
+        (stats.snrStats[key] = { rounds: 0, firstTryCorrect: 0, noise: {}, decoyRounds: 0 });
+      ss.rounds += 1;
+      if (result.firstTry) ss.firstTryCorrect += 1;
+      if (result.noise) ss.noise[result.noise] = (ss.noise[result.noise] || 0) + 1;
+      if (result.decoy) ss.decoyRounds += 1;
+    }
+    if (typeof result.reactionMs === "number" || result.timedOut) {
+      if (!stats.reactionStats[mode]) stats.reactionStats[mode] = {};
+      const rs = stats.reactionStats[mode][result.species] ||
+        (stats.reactionStats[mode][result.species] =
+          { answered: 0, totalMs: 0, bestMs: null, timeouts: 0 });
+      if (result.timedOut) {
+        rs.timeouts += 1;
+      } else {
+        const ms = Math.round(result.reactionMs);
+        rs.answered += 1;
+        rs.totalMs += ms;
+        rs.bestMs = rs.bestMs === null ? ms : Math.min(rs.bestMs, ms);
+      }
+    }
+    saveStats();
+  }
+
+  // off-diagonal cells of the confusion matrix, most frequent first
+  function getConfusions(limit, mode) {
+    const list = [];
+    for (const [m, rows] of Object.entries(stats.confusion)) {
+      if (mode && m !== mode) continue;
+      for (const [correct, row] of Object.entries(rows)) {
+        let totalGuesses = 0;
+        for (const cell of Object.values(row)) totalGuesses += cell.guesses;
+        for (const [chosen, cell] of Object.entries(row)) {
+          if (chosen === correct) continue;
+          list.push({
+            mode: m,
+            correctSpecies: correct,
+            chosenSpecies: chosen,
+            guesses: cell.guesses,
+            firstTry: cell.firstTry,
+            share: +(cell.guesses / totalGuesses).toFixed(2)
+          });
+        }
+      }
+    }
+    list.sort((a, b) => b.guesses - a.guesses || b.firstTry - a.firstTry);
+    return typeof limit === "number" ? list.slice(0, limit) : list;
+  }
+
+  // per species, slowest first: species that always time out, then by
+  // average response time
+  function getReactionTimes(mode, limit) {
+    const list = [];
+    for (const [m, rows] of Object.entries(stats.reactionStats)) {
+      if (mode && m !== mode) continue;
+      for (const [species, rs] of Object.entries(rows)) {
+        list.push({
+          mode: m,
+          species,
+          answered: rs.answered,
+          timeouts: rs.timeouts,
+          averageMs: rs.answered ? Math.round(rs.totalMs / rs.answered) : null,
+          bestMs: rs.bestMs
+        });
+      }
+    }
+    list.sort((a, b) => {
+      if (a.averageMs === null || b.averageMs === null) {
+        return (a.averageMs === null ? 0 : 1) - (b.averageMs === null ? 0 : 1) ||
+          b.timeouts - a.timeouts;
+      }
+      return b.averageMs - a.averageMs || b.timeouts - a.timeouts;
+    });
+    return typeof limit === "number" ? list.slice(0, limit) : list;
+  }
+
+  function trimHistory() {
+    if (stats.history.length > MAX_HISTORY) {
+      stats.history = stats.history.slice(stats.history.length - MAX_HISTORY);
+    }
+  }
+
+  function getHistory() {
+    return stats.history.map(game => Object.assign({}, game));
+  }
+
   function averageScore(totalScore, totalRounds) {
     if (!totalRounds || totalRounds <= 0) return 0;
-    // totalRounds is (#gamesCompleted * roundsPerGame), so we divide by that
+    // totalRounds is the sum of each completed game's length, so this is
+    // the share of rounds answered right first try
     return +(totalScore / totalRounds).toFixed(2);
   }
 
@@ -162,22 +487,50 @@
     // produce a clean, derived summary (no internal details)
     const modeStatsSummary = {};
     for (const [mode, ms] of Object.entries(stats.modeStats)) {
-      const totalRounds = ms.totalRounds || (ms.gamesCompleted * 5) || 0;
       modeStatsSummary[mode] = {
         gamesStarted: ms.gamesStarted,
         gamesCompleted: ms.gamesCompleted,
-        averageScore: averageScore(ms.totalScore, totalRounds)
+        averageScore: averageScore(ms.totalScore, ms.totalRounds)
       };
+      if (ms.replayRounds) {
+        modeStatsSummary[mode].averageReplays = +(ms.totalReplays / ms.replayRounds).toFixed(2);
+      }
     }
 
     const regionStatsSummary = {};
     for (const [reg, rs] of Object.entries(stats.regionStats)) {
-      const totalRounds = rs.totalRounds || (rs.gamesCompleted * 5) || 0;
       regionStatsSummary[reg] = {
         gamesStarted: rs.gamesStarted,
         gamesCompleted: rs.gamesCompleted,
         chosenCount: rs.chosenCount || 0,
-        averageScore: averageScore(rs.totalScore, totalRounds)
+        averageScore: averageScore(rs.totalScore, rs.totalRounds)
+      };
+    }
+
+    const difficultyStatsSummary = {};
+    for (const [difficulty, ds] of Object.entries(stats.difficultyStats)) {
+      difficultyStatsSummary[difficulty] = {
+        gamesStarted: ds.gamesStarted,
+        gamesCompleted: ds.gamesCompleted,
+        averageScore: averageScore(ds.totalScore, ds.totalRounds)
+      };
+    }
+
+    const settingsStatsSummary = {};
+    for (const [key, gs] of Object.entries(stats.settingsStats)) {
+      settingsStatsSummary[key] = {
+        settings: gs.settings,
+        gamesStarted: gs.gamesStarted,
+        gamesCompleted: gs.gamesCompleted,
+        averageScore: averageScore(gs.totalScore, gs.totalRounds)
+      };
+    }
+
+    const snrStatsSummary = {};
+    for (const [key, ss] of Object.entries(stats.snrStats)) {
+      snrStatsSummary[key] = {
+        rounds: ss.rounds,
+        firstTryAccuracy: averageScore(ss.firstTryCorrect, ss.rounds)
       };
     }
 
@@ -188,7 +541,12 @@
       gamesCompleted: stats.gamesCompleted,
       modeStats: modeStatsSummary,
       regionStats: regionStatsSummary,
-      referrers: stats.referrers
+      difficultyStats: difficultyStatsSummary,
+      settingsStats: settingsStatsSummary,
+      snrStats: snrStatsSummary,
+      referrers: stats.referrers,
+      topConfusions: getConfusions(5),
+      slowestSpecies: getReactionTimes(null, 5)
     };
   }
 
@@ -197,8 +555,131 @@
     const el = document.getElementById(statsElementId);
     if (!el) return;
 
-    const summary = getSummary();
-    el.textContent = JSON.stringify(summary, null, 2);
+    // drawing is skipped while the panel is hidden; showing it should call
+    // renderStatsPanel() again
+    if (el.closest(".hidden")) return;
+
+    if (window.InsectGameDashboard) {
+      window.InsectGameDashboard.render(el, getHistory());
+    } else {
+      el.textContent = window.InsectGameI18n
+        ? window.InsectGameI18n.t("stats.gamesCompleted", { count: stats.gamesCompleted })
+        : `${stats.gamesCompleted} games completed.`;
+    }
+  }
+
+  // ---- Export / import / reset ----
+
+  function isObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+
+  function readSettings() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+      return isObject(parsed) ? parsed : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeSettings(value) {
+    try {
+      if (value) localStorage.setItem(SETTINGS_KEY, JSON.stringify(value));
+      else localStorage.removeItem(SETTINGS_KEY);
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
+  }
+
+  function exportData() {
+    return {
+      format: EXPORT_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      stats: JSON.parse(JSON.stringify(stats)),
+      learning: window.InsectGameLearning ? window.InsectGameLearning.exportData() : null,
+      daily: window.InsectGameDaily ? window.InsectGameDaily.exportData() : null,
+      settings: readSettings()
+    };
+  }
+
+  // adds source's counters into target, in place
+  function mergeCounters(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      const current = target[key];
+      if (current !== undefined && current !== null && MERGE_KEEP_FIELDS.includes(key)) {
+        continue;
+      }
+      if (typeof value === "number") {
+        if (typeof current !== "number") target[key] = value;
+        else if (MERGE_MIN_FIELDS.includes(key)) target[key] = Math.min(current, value);
+        else target[key] = current + value;
+      } else if (value && typeof value === "object" && !Array.isArray(value)) {
+        if (current && typeof current === "object") mergeCounters(current, value);
+        else target[key] = JSON.parse(JSON.stringify(value));
+      } else if (current === undefined || current === null) {
+        target[key] = value;
+      }
+    }
+    return target;
+  }
+
+  // both histories in time order; a game in both (same time, mode and
+  // score, e.g. importing the same file twice) is kept once
+  function mergeHistory(a, b) {
+    const seen = new Set();
+    return a.concat(b)
+      .filter(game => {
+        const key = `${game.at}|${game.mode}|${game.score}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((x, y) => (x.at < y.at ? -1 : x.at > y.at ? 1 : 0));
+  }
+
+  function importData(data, how) {
+    if (!data || data.format !== EXPORT_FORMAT || !data.stats || typeof data.stats !== "object") {
+      throw fail("stats.error.notExport", "This file isn't an Insect Song Game stats export.");
+    }
+    const incoming = normalizeStats(migrateStats(data.stats, data.schemaVersion || 1));
+
+    if (how === "replace") {
+      stats = incoming;
+    } else {
+      const firstVisits = [stats.firstVisitAt, incoming.firstVisitAt].sort();
+      const history = mergeHistory(stats.history, incoming.history);
+      stats = mergeCounters(stats, incoming);
+      stats.firstVisitAt = firstVisits[0];
+      stats.history = history;
+      trimHistory();
+    }
+    saveStats();
+    importStores(data, how);
+  }
+
+  // learn-mode cards, daily results and settings; a part missing from the
+  // file (exports from before it was added) leaves this browser's alone.
+  // Merging keeps this browser's settings if it has any.
+  function importStores(data, how) {
+    if (isObject(data.learning) && window.InsectGameLearning) {
+      window.InsectGameLearning.importData(data.learning, how);
+    }
+    if (isObject(data.daily) && window.InsectGameDaily) {
+      window.InsectGameDaily.importData(data.daily, how);
+    }
+    if (isObject(data.settings) && (how === "replace" || !readSettings())) {
+      writeSettings(data.settings);
+    }
+  }
+
+  function resetData() {
+    stats = createEmptyStats();
+    saveStats();
+    if (window.InsectGameLearning) window.InsectGameLearning.resetData();
+    if (window.InsectGameDaily) window.InsectGameDaily.resetData();
+    writeSettings(null);
   }
 
   function init(statsElId) {
@@ -217,7 +698,15 @@
     recordGameStarted,
     recordGameCompleted,
     recordRegionChoice,
+    recordGuess,
+    recordRoundResult,
+    getConfusions,
+    getReactionTimes,
+    getHistory,
     getSummary,
+    exportData,
+    importData,
+    resetData,
     renderStatsPanel
   };
 })();
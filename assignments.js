@@ -0,0 +1,266 @@
+/*
+  assignments.js
+
+  Teacher assignments for the Insect Song Learning Game.
+
+  A teacher picks species, a mode, the number of rounds, the number of
+  answer choices and a seed. That becomes an assignment code (or a link with
+  ?assignment=CODE). Every student who opens it plays the same deck: the
+  seed fixes the order of the rounds, and the game uses it for the answer
+  choices and call excerpts too (see InsectSeededRandom).
+
+    Assignment code:  A1.<mode>.<rounds>.<choices>.<seed>.<species>
+        mode    : s (spectrogram) | i (image) | f (facts) | l (listen) | r (reverse)
+        rounds  : 3, 5, 10, 15 or 20 (as offered by the teacher tools)
+        choices : 2 – 6
+        species : ID_LENGTH hex characters per species, a hash of its
+                  scientific name (stable when species-data.js is reordered)
+
+  When the deck is finished the student gets a result code for the teacher:
+
+    Result code:  R1.<key>.<name>.<score>.<rounds>.<finished>.<seconds>.<outcomes>.<check>
+        key      : which assignment this is a result for
+        name     : optional student name (base64url)
+        finished : when the game ended (Unix seconds, base 36)
+        seconds  : how long the game took (base 36)
+        outcomes : one character per round: 1 = right first try,
+                   2 = right after a wrong guess, 0 = missed (time ran out)
+        check    : checksum over everything else and the assignment code
+
+  Errors thrown here have a `key` (and `params`) for their text in the
+  locale bundles, as does a result's `problemKey`.
+
+  The checksum catches typos and casual edits. It is not a signature:
+  anyone reading this file can compute it.
+
+  API exposed on window.InsectGameAssignments:
+
+    InsectGameAssignments.encodeAssignment({mode, rounds, answerChoices, seed, species})
+        // species: scientific names; returns the code
+    InsectGameAssignments.decodeAssignment(code, songs)  // -> assignment; throws if unreadable
+    InsectGameAssignments.buildDeck(assignment)          // songs for each round, in order
+    InsectGameAssignments.encodeResult(assignment, result)
+        // result: {name, score, finishedAt, durationMs, outcomes: ["first"|"retry"|"missed"]}
+    InsectGameAssignments.decodeResult(code, assignment) // -> {..., valid, problem, problemKey}; throws if unreadable
+    InsectGameAssignments.codeFromText(text)             // code from a pasted link or code
+*/
+
+(function () {
+  const ID_LENGTH = 6;
+  const MODE_CODES = { spectrogram: "s", image: "i", facts: "f", listen: "l", reverse: "r" };
+  const OUTCOME_CODES = { first: "1", retry: "2", missed: "0" };
+  const MAX_NAME_LENGTH = 40;
+  // what the teacher tools offer (ROUND_OPTIONS, MIN_CHOICES, MAX_CHOICES in game.js)
+  const ROUND_OPTIONS = [3, 5, 10, 15, 20];
+  const MIN_CHOICES = 2;
+  const MAX_CHOICES = 6;
+
+  function hash(text) {
+    return window.InsectSeededRandom.hashString(text);
+  }
+
+  function speciesId(scientificName) {
+    return hash(scientificName).toString(16).padStart(8, "0").slice(0, ID_LENGTH);
+  }
+
+  // errors carry the key of their text in the locale bundles (and its
+  // params) for the page to show; the message is the English text
+  function fail(key, message, params) {
+    const err = new Error(message);
+    err.key = key;
+    err.params = params || null;
+    return err;
+  }
+
+  function invert(map) {
+    const out = {};
+    Object.entries(map).forEach(([k, v]) => { out[v] = k; });
+    return out;
+  }
+
+  // ---- Assignments ----
+
+  function encodeAssignment(options) {
+    if (!MODE_CODES[options.mode]) throw fail("assignment.error.mode", `Unknown mode "${options.mode}".`, { mode: options.mode });
+    if (!options.species || !options.species.length) throw fail("assignment.error.noSpecies", "Pick at least one species.");
+    if (!ROUND_OPTIONS.includes(options.rounds)) {
+      throw fail("assignment.error.rounds", `Rounds must be one of ${ROUND_OPTIONS.join(", ")}.`,
+        { options: ROUND_OPTIONS.join(", ") });
+    }
+    if (!(Number.isInteger(options.answerChoices) &&
+      options.answerChoices >= MIN_CHOICES && options.answerChoices <= MAX_CHOICES)) {
+      throw fail("assignment.error.choices", `Answer choices must be ${MIN_CHOICES} – ${MAX_CHOICES}.`,
+        { min: MIN_CHOICES, max: MAX_CHOICES });
+    }
+    const seed = String(options.seed || "").toLowerCase();
+    if (!/^[0-9a-z]{1,12}$/.test(seed)) {
+      throw fail("assignment.error.seed", "The seed can only use letters and digits (up to 12).");
+    }
+    return [
+      "A1",
+      MODE_CODES[options.mode],
+      options.rounds,
+      options.answerChoices,
+      seed,
+      options.species.map(speciesId).join("")
+    ].join(".");
+  }
+
+  function decodeAssignment(code, songs) {
+    const parts = String(code || "").trim().split(".");
+    if (parts.length !== 6 || parts[0] !== "A1") {
+      throw fail("assignment.error.notCode", "This isn't an assignment code.");
+    }
+    const [, modeCode, roundsText, choicesText, seed, ids] = parts;
+    const mode = invert(MODE_CODES)[modeCode];
+    // plain digits only: Number() would also take "25e-1" or "1e9"
+    const rounds = /^\d+$/.test(roundsText) ? Number(roundsText) : NaN;
+    const answerChoices = /^\d+$/.test(choicesText) ? Number(choicesText) : NaN;
+    if (!mode || !ROUND_OPTIONS.includes(rounds) ||
+      !(answerChoices >= MIN_CHOICES && answerChoices <= MAX_CHOICES) || !seed ||
+      !ids || ids.length % ID_LENGTH !== 0) {
+      throw fail("assignment.error.damaged", "This assignment code is damaged.");
+    }
+
+    const byId = {};
+    songs.forEach(song => {
+      const id = speciesId(song.species);
+      byId[id] = byId[id] ? "ambiguous" : song;
+    });
+    const deckSongs = [];
+    for (let i = 0; i < ids.length; i += ID_LENGTH) {
+      const song = byId[ids.slice(i, i + ID_LENGTH)];
+      if (!song || song === "ambiguous") {
+        throw fail("assignment.error.unknownSpecies",
+          "This assignment uses species that aren't in this version of the game.");
+      }
+      deckSongs.push(song);
+    }
+
+    return {
+      code: parts.join("."),
+      key: hash(parts.join(".")).toString(36),
+      mode,
+      rounds,
+      answerChoices,
+      seed,
+      songs: deckSongs
+    };
+  }
+
+  function shuffle(arr, random) {
+    return arr
+      .map(v => ({ v, r: random() }))
+      .sort((a, b) => a.r - b.r)
+      .map(x => x.v);
+  }
+
+  // the assignment's species in seeded order; if there are more rounds than
+  // species, they repeat (reshuffled, never twice in a row)
+  function buildDeck(assignment) {
+    const random = window.InsectSeededRandom.create(`${assignment.seed}|deck`);
+    const deck = [];
+    const rounds = Math.floor(assignment.rounds) || 0;
+    if (!assignment.songs.length) return deck;
+    while (deck.length < rounds) {
+      const next = shuffle(assignment.songs, random);
+      if (next.length > 1 && next[0] === deck[deck.length - 1]) {
+        next.push(next.shift());
+      }
+      deck.push(...next.slice(0, rounds - deck.length));
+    }
+    return deck;
+  }
+
+  // ---- Results ----
+
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  }
+
+  function checksum(payload, assignment) {
+    return hash(`${payload}|${assignment.code}`).toString(36);
+  }
+
+  function encodeResult(assignment, result) {
+    const payload = [
+      "R1",
+      assignment.key,
+      toBase64Url(String(result.name || "").trim().slice(0, MAX_NAME_LENGTH)),
+      result.score,
+      result.outcomes.length,
+      Math.floor(result.finishedAt / 1000).toString(36),
+      Math.round(result.durationMs / 1000).toString(36),
+      result.outcomes.map(o => OUTCOME_CODES[o]).join("")
+    ].join(".");
+    return `${payload}.${checksum(payload, assignment)}`;
+  }
+
+  function decodeResult(code, assignment) {
+    const parts = String(code || "").trim().split(".");
+    if (parts.length !== 9 || parts[0] !== "R1") {
+      throw fail("result.error.notCode", "This isn't a result code.");
+    }
+    const [, key, name, scoreText, roundsText, finished, seconds, outcomeText, check] = parts;
+    const outcomeNames = invert(OUTCOME_CODES);
+    const outcomes = outcomeText.split("").map(c => outcomeNames[c]);
+    let decodedName;
+    try {
+      decodedName = fromBase64Url(name);
+    } catch (e) {
+      throw fail("result.error.damaged", "This result code is damaged.");
+    }
+    if (outcomes.some(o => !o) || outcomes.length !== Number(roundsText)) {
+      throw fail("result.error.damaged", "This result code is damaged.");
+    }
+
+    const result = {
+      name: decodedName,
+      score: Number(scoreText),
+      rounds: Number(roundsText),
+      finishedAt: parseInt(finished, 36) * 1000,
+      durationMs: parseInt(seconds, 36) * 1000,
+      outcomes,
+      valid: true,
+      problem: null,
+      problemKey: null
+    };
+
+    if (key !== assignment.key) {
+      result.valid = false;
+      result.problem = "Result is for a different assignment.";
+      result.problemKey = "result.problem.otherAssignment";
+    } else if (check !== checksum(parts.slice(0, 8).join("."), assignment) ||
+      result.score !== outcomes.filter(o => o === "first").length) {
+      result.valid = false;
+      result.problem = "Checksum doesn't match: the code was changed or mistyped.";
+      result.problemKey = "result.problem.checksum";
+    }
+    return result;
+  }
+
+  // accepts a full link (…?assignment=CODE or …#…assignment=CODE) or a bare code
+  function codeFromText(text) {
+    const trimmed = String(text || "").trim();
+    const match = trimmed.match(/[?&#]assignment=([^&#\s]+)/);
+    return match ? decodeURIComponent(match[1]) : trimmed;
+  }
+
+  // Expose API on window
+  window.InsectGameAssignments = {
+    encodeAssignment,
+    decodeAssignment,
+    buildDeck,
+    encodeResult,
+    decodeResult,
+    codeFromText
+  };
+})();
@@ -0,0 +1,158 @@
+/*
+  audio-sources.js
+
+  Picks which recording of a species to play.
+
+  A species' `audio` in species-data.js is either one path, or a list of
+  sources in order of preference, each with its MIME type:
+
+    audio: "audio/Gryllus campestris.mp3"
+
+    audio: [
+      { src: "audio/Gryllus campestris.opus", type: "audio/ogg; codecs=opus" },
+      { src: "audio/Gryllus campestris.mp3", type: "audio/mpeg" },
+      { src: "audio/Gryllus campestris.wav", type: "audio/wav" }
+    ]
+
+  Sources the browser says it can't play (canPlayType) are skipped; if that
+  would skip them all, every source is tried anyway. A source without a type
+  gets one from its file extension. When the chosen file fails to load, the
+  next source is used; if the player had pressed play, the next source
+  plays as soon as it can (or onResume is called to start it).
+
+  API exposed on window.InsectAudioSources:
+
+    InsectAudioSources.getSources(song)       // -> [{src, type}], in the data's order
+    InsectAudioSources.getPlayable(song)      // -> the sources worth trying, best first
+    InsectAudioSources.getUrl(song)           // -> src of the first of those ("" if none)
+    InsectAudioSources.setSource(audioEl, song, onFail?, onResume?)
+        // plays the first playable source on audioEl, moving to the next when
+        // one fails to load; onFail(mediaError) once none is left; onResume()
+        // instead of audioEl.play() when a fallback is ready to go on playing
+    InsectAudioSources.tryEach(song, fn)      // -> Promise of fn(src) for the first source it resolves for
+*/
+
+(function () {
+  const TYPES_BY_EXTENSION = {
+    opus: "audio/ogg; codecs=opus",
+    ogg: "audio/ogg",
+    oga: "audio/ogg",
+    webm: "audio/webm",
+    mp3: "audio/mpeg",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    flac: "audio/flac",
+    wav: "audio/wav"
+  };
+
+  const attached = new WeakMap();   // <audio> -> {sources, index, onFail, onResume, playRequested, resumeOnReady}
+  let testEl = null;
+
+  function guessType(src) {
+    const match = /\.([a-z0-9]+)$/i.exec(src);
+    return match ? TYPES_BY_EXTENSION[match[1].toLowerCase()] || "" : "";
+  }
+
+  function getSources(song) {
+    const audio = song && song.audio;
+    const list = Array.isArray(audio) ? audio : [audio];
+    return list
+      .map(source => (typeof source === "string" ? { src: source } : source))
+      .filter(source => source && source.src)
+      .map(source => ({ src: source.src, type: source.type || guessType(source.src) }));
+  }
+
+  // "" means the browser is sure it can't; "maybe" and "probably" are worth a try
+  function canPlay(type) {
+    if (!type) return true;
+    if (!testEl) testEl = document.createElement("audio");
+    return testEl.canPlayType ? testEl.canPlayType(type) !== "" : true;
+  }
+
+  function getPlayable(song) {
+    const sources = getSources(song);
+    const playable = sources.filter(source => canPlay(source.type));
+    return playable.length ? playable : sources;
+  }
+
+  function getUrl(song) {
+    const first = getPlayable(song)[0];
+    return first ? first.src : "";
+  }
+
+  function handleError(event) {
+    const audio = event.currentTarget;
+    const state = attached.get(audio);
+    if (!state || !state.sources.length) return;
+    // an error for a source we have already moved past
+    if (audio.getAttribute("src") !== state.sources[state.index].src) return;
+
+    if (state.index + 1 < state.sources.length) {
+      // the player's press isn't lost with the failed file
+      state.resumeOnReady = state.resumeOnReady || state.playRequested || !audio.paused;
+      state.index++;
+      audio.src = state.sources[state.index].src;
+    } else if (state.onFail) {
+      state.onFail(audio.error);
+    }
+  }
+
+  function handleCanPlay(event) {
+    const audio = event.currentTarget;
+    const state = attached.get(audio);
+    if (!state || !state.resumeOnReady) return;
+    state.resumeOnReady = false;
+    if (state.onResume) {
+      state.onResume();
+    } else {
+      audio.play().catch(() => {});
+    }
+  }
+
+  // whether the player wants sound, whatever happens to the file
+  function handlePlayState(event) {
+    const state = attached.get(event.currentTarget);
+    if (state) state.playRequested = event.type === "play";
+  }
+
+  function setSource(audio, song, onFail, onResume) {
+    if (!attached.has(audio)) {
+      audio.addEventListener("error", handleError);
+      audio.addEventListener("canplay", handleCanPlay);
+      audio.addEventListener("play", handlePlayState);
+      audio.addEventListener("pause", handlePlayState);
+    }
+    const sources = getPlayable(song);
+    attached.set(audio, {
+      sources,
+      index: 0,
+      onFail: onFail || null,
+      onResume: onResume || null,
+      playRequested: false,
+      resumeOnReady: false
+    });
+    if (sources.length) {
+      audio.src = sources[0].src;
+    } else {
+      audio.removeAttribute("src");
+    }
+  }
+
+  function tryEach(song, fn) {
+    const sources = getPlayable(song);
+    let attempt = Promise.reject(new Error("No audio source"));
+    sources.forEach(source => {
+      attempt = attempt.catch(() => fn(source.src));
+    });
+    return attempt;
+  }
+
+  // Expose API on window
+  window.InsectAudioSources = {
+    getSources,
+    getPlayable,
+    getUrl,
+    setSource,
+    tryEach
+  };
+})();
@@ -0,0 +1,201 @@
+/*
+  daily.js
+
+  Daily challenge for the Insect Song Learning Game.
+
+  Every day has one puzzle, the same for every player: the date is the
+  seed for the mode, the species order, the answer choices and the call
+  excerpts (see InsectSeededRandom). A day runs on the player's local date.
+
+  The first finished game of a day is kept as that day's result; replays
+  are practice. Results are stored in localStorage for streaks and a
+  history of daily scores, and can be shared as a spoiler-free emoji line:
+
+    Insect Song Daily 2026-10-19 · 4/5
+    🟩🟩🟨🟩🟥
+    🔥 3-day streak
+
+        🟩 right first try · 🟨 right after a wrong guess · 🟥 time ran out
+
+  API exposed on window.InsectGameDaily:
+
+    InsectGameDaily.getDateKey(date?)            // "YYYY-MM-DD" (local), default today
+    InsectGameDaily.getChallenge(dateKey, songs) // -> {date, mode, rounds, answerChoices, seed, songs}
+    InsectGameDaily.recordResult(dateKey, result)
+        // result: {mode, score, rounds, outcomes}; false if that day already has one
+    InsectGameDaily.getResult(dateKey)           // -> stored result or null
+    InsectGameDaily.getHistory(days, today?)     // -> [{date, result|null}], oldest first
+    InsectGameDaily.getStreak(today?)            // -> {current, best} in days
+    InsectGameDaily.getShareText(dateKey)        // -> emoji summary of that day's result
+    InsectGameDaily.exportData()                 // -> {results}, for analytics.js exports
+    InsectGameDaily.importData(data, how)        // how: "merge" | "replace"
+    InsectGameDaily.resetData()                  // deletes every stored result
+*/
+
+(function () {
+  const DAILY_KEY = "insectGameDaily_v1";
+  const MODES = ["spectrogram", "image", "facts"];
+  const ROUNDS = 5;
+  const ANSWER_CHOICES = 4;
+  const OUTCOME_EMOJI = { first: "🟩", retry: "🟨", missed: "🟥" };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function loadResults() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(DAILY_KEY) || "{}");
+      return parsed.results && typeof parsed.results === "object" ? parsed.results : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveResults(results) {
+    try {
+      localStorage.setItem(DAILY_KEY, JSON.stringify({ results }));
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
+  }
+
+  function getDateKey(date) {
+    const d = date || new Date();
+    const pad = n => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  // "YYYY-MM-DD" shifted by whole days; noon avoids daylight-saving edges
+  function shiftDateKey(dateKey, days) {
+    const [y, m, d] = dateKey.split("-").map(Number);
+    return getDateKey(new Date(new Date(y, m - 1, d, 12).getTime() + days * DAY_MS));
+  }
+
+  function getChallenge(dateKey, songs) {
+    const seed = `daily${dateKey.replace(/-/g, "")}`;
+    const random = window.InsectSeededRandom.create(`${seed}|mode`);
+    return {
+      date: dateKey,
+      mode: MODES[Math.floor(random() * MODES.length)],
+      rounds: ROUNDS,
+      answerChoices: Math.min(ANSWER_CHOICES, songs.length),
+      seed,
+      songs: songs.slice()
+    };
+  }
+
+  function recordResult(dateKey, result) {
+    const results = loadResults();
+    if (results[dateKey]) return false;
+    results[dateKey] = {
+      mode: result.mode,
+      score: result.score,
+      rounds: result.rounds,
+      outcomes: result.outcomes.slice(),
+      at: new Date().toISOString()
+    };
+    saveResults(results);
+    return true;
+  }
+
+  function getResult(dateKey) {
+    return loadResults()[dateKey] || null;
+  }
+
+  function getHistory(days, today) {
+    const results = loadResults();
+    const end = today || getDateKey();
+    const history = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = shiftDateKey(end, -i);
+      history.push({ date, result: results[date] || null });
+    }
+    return history;
+  }
+
+  // current: days in a row up to today, or up to yesterday while today's
+  // challenge is still open; best: longest run ever
+  function getStreak(today) {
+    const results = loadResults();
+    const end = today || getDateKey();
+
+    let current = 0;
+    let day = results[end] ? end : shiftDateKey(end, -1);
+    while (results[day]) {
+      current++;
+      day = shiftDateKey(day, -1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(results).sort().forEach(date => {
+      run = previous && shiftDateKey(previous, 1) === date ? run + 1 : 1;
+      best = Math.max(best, run);
+      previous = date;
+    });
+
+    return { current, best };
+  }
+
+  function getShareText(dateKey) {
+    const result = getResult(dateKey);
+    if (!result) return "";
+    const lines = [
+      `Insect Song Daily ${dateKey} · ${result.score}/${result.rounds}`,
+      result.outcomes.map(o => OUTCOME_EMOJI[o] || "⬜").join("")
+    ];
+    const streak = getStreak(dateKey).current;
+    if (streak > 1) lines.push(`🔥 ${streak}-day streak`);
+    return lines.join("\n");
+  }
+
+  // ---- Export / import / reset (see InsectGameAnalytics.exportData) ----
+
+  function exportData() {
+    return { results: loadResults() };
+  }
+
+  // the well-formed results of imported data, by date
+  function readResults(incoming) {
+    const results = {};
+    Object.entries((incoming && incoming.results) || {}).forEach(([date, result]) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !result || typeof result.score !== "number" ||
+        typeof result.rounds !== "number" || !Array.isArray(result.outcomes)) return;
+      results[date] = {
+        mode: result.mode,
+        score: result.score,
+        rounds: result.rounds,
+        outcomes: result.outcomes.slice(),
+        at: result.at || null
+      };
+    });
+    return results;
+  }
+
+  // merging keeps a day's earlier result, as only the first game of a day counts
+  function importData(incoming, how) {
+    const results = how === "replace" ? {} : loadResults();
+    Object.entries(readResults(incoming)).forEach(([date, result]) => {
+      const current = results[date];
+      if (!current || (result.at || "") < (current.at || "")) results[date] = result;
+    });
+    saveResults(results);
+  }
+
+  function resetData() {
+    saveResults({});
+  }
+
+  // Expose API on window
+  window.InsectGameDaily = {
+    getDateKey,
+    getChallenge,
+    recordResult,
+    getResult,
+    getHistory,
+    getStreak,
+    getShareText,
+    exportData,
+    importData,
+    resetData
+  };
+})();
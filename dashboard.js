@@ -0,0 +1,338 @@
+/*
+  dashboard.js
+
+  Statistics dashboard for the Insect Song Learning Game.
+
+  Draws small hand-made SVG charts from the game history kept by
+  analytics.js (no charting library, so it works offline), labelled in the
+  player's language ("dashboard.*" strings, see i18n.js):
+
+    - accuracy over time : one line per mode, ROLLING_GAMES-game average
+    - accuracy by region : horizontal bars
+    - games per week     : the last WEEKS weeks
+    - streaks            : days played in a row, and recent games in a row
+                           at GOOD_ACCURACY or better
+
+  API exposed on window.InsectGameDashboard:
+
+    InsectGameDashboard.render(container, history)  // history: InsectGameAnalytics.getHistory()
+    InsectGameDashboard.getStreaks(history, now?)   // {days, goodGames}
+*/
+
+(function () {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const WIDTH = 560;
+  const ROLLING_GAMES = 5;
+  const WEEKS = 12;
+  const GOOD_ACCURACY = 0.8;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const MODE_COLORS = {
+    spectrogram: "#2563eb",
+    image: "#16a34a",
+    facts: "#d97706",
+    listen: "#7c3aed",
+    reverse: "#db2777"
+  };
+  const OTHER_COLOR = "#6b7280";
+
+  // ---- Helpers ----
+
+  // i18n.js loads after this file, but before the first render
+  function t(key, params) {
+    return window.InsectGameI18n.t(key, params);
+  }
+
+  function modeName(mode) {
+    const key = `dashboard.mode.${mode}`;
+    return window.InsectGameI18n.has(key) ? t(key) : mode;
+  }
+
+  function svgEl(name, attrs, text) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs || {}).forEach(([k, v]) => el.setAttribute(k, String(v)));
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function createSvg(height, label) {
+    return svgEl("svg", {
+      viewBox: `0 0 ${WIDTH} ${height}`,
+      class: "dashboard-chart",
+      role: "img",
+      "aria-label": label
+    });
+  }
+
+  function accuracy(game) {
+    return game.rounds ? game.score / game.rounds : 0;
+  }
+
+  function percent(x) {
+    return `${Math.round(x * 100)}%`;
+  }
+
+  // local midnight, so days and weeks follow the player's calendar
+  function startOfDay(time) {
+    const d = new Date(time);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+
+  function startOfWeek(time) {
+    const d = new Date(startOfDay(time));
+    const fromMonday = (d.getDay() + 6) % 7;
+    d.setDate(d.getDate() - fromMonday);
+    return d.getTime();
+  }
+
+  function shortDate(time) {
+    const d = new Date(time);
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+  }
+
+  function section(title) {
+    const wrap = document.createElement("div");
+    wrap.className = "dashboard-section";
+    const heading = document.createElement("div");
+    heading.className = "dashboard-title";
+    heading.textContent = title;
+    wrap.appendChild(heading);
+    return wrap;
+  }
+
+  // ---- Charts ----
+
+  function drawAccuracyOverTime(history) {
+    const height = 200;
+    const left = 40;
+    const right = 12;
+    const top = 10;
+    const bottom = 24;
+    const svg = createSvg(height, t("dashboard.accuracyOverTime.label"));
+
+    const times = history.map(g => Date.parse(g.at));
+    const t0 = Math.min(...times);
+    const t1 = Math.max(...times);
+    const span = t1 - t0 || 1;
+    const x = t => left + ((t - t0) / span) * (WIDTH - left - right);
+    const y = acc => top + (1 - acc) * (height - top - bottom);
+
+    [0, 0.25, 0.5, 0.75, 1].forEach(acc => {
+      svg.appendChild(svgEl("line", {
+        x1: left, x2: WIDTH - right, y1: y(acc), y2: y(acc), class: "dashboard-grid"
+      }));
+      svg.appendChild(svgEl("text", {
+        x: left - 6, y: y(acc) + 4, "text-anchor": "end", class: "dashboard-axis"
+      }, percent(acc)));
+    });
+    svg.appendChild(svgEl("text", { x: left, y: height - 6, class: "dashboard-axis" },
+      shortDate(t0)));
+    svg.appendChild(svgEl("text", {
+      x: WIDTH - right, y: height - 6, "text-anchor": "end", class: "dashboard-axis"
+    }, shortDate(t1)));
+
+    const modes = [...new Set(history.map(g => g.mode))];
+    modes.forEach(mode => {
+      const games = history.filter(g => g.mode === mode);
+      const color = MODE_COLORS[mode] || OTHER_COLOR;
+      const points = games.map((g, i) => {
+        const recent = games.slice(Math.max(0, i - ROLLING_GAMES + 1), i + 1);
+        const avg = recent.reduce((sum, r) => sum + accuracy(r), 0) / recent.length;
+        return `${x(Date.parse(g.at)).toFixed(1)},${y(avg).toFixed(1)}`;
+      });
+      if (points.length > 1) {
+        svg.appendChild(svgEl("polyline", {
+          points: points.join(" "), fill: "none", stroke: color, "stroke-width": 2
+        }));
+      }
+      games.forEach(g => {
+        svg.appendChild(svgEl("circle", {
+          cx: x(Date.parse(g.at)).toFixed(1), cy: y(accuracy(g)).toFixed(1), r: 2.5,
+          fill: color, opacity: 0.45
+        }));
+      });
+    });
+
+    const legend = document.createElement("div");
+    legend.className = "dashboard-legend";
+    modes.forEach(mode => {
+      const item = document.createElement("span");
+      item.className = "dashboard-legend-item";
+      const swatch = document.createElement("span");
+      swatch.className = "dashboard-swatch";
+      swatch.style.background = MODE_COLORS[mode] || OTHER_COLOR;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(modeName(mode)));
+      legend.appendChild(item);
+    });
+
+    const wrap = section(t("dashboard.accuracyOverTime.title", { games: ROLLING_GAMES }));
+    wrap.appendChild(svg);
+    wrap.appendChild(legend);
+    return wrap;
+  }
+
+  function drawAccuracyByRegion(history) {
+    const byRegion = {};
+    history.forEach(g => {
+      const r = byRegion[g.region] || (byRegion[g.region] = { games: 0, score: 0, rounds: 0 });
+      r.games += 1;
+      r.score += g.score;
+      r.rounds += g.rounds;
+    });
+    const rows = Object.entries(byRegion)
+      .map(([region, r]) => ({ region, games: r.games, acc: r.rounds ? r.score / r.rounds : 0 }))
+      .sort((a, b) => b.games - a.games);
+
+    const rowHeight = 24;
+    const labelWidth = 170;
+    const valueWidth = 90;
+    const height = rows.length * rowHeight + 4;
+    const svg = createSvg(height, t("dashboard.byRegion"));
+    const barMax = WIDTH - labelWidth - valueWidth;
+
+    rows.forEach((row, i) => {
+      const yTop = i * rowHeight + 2;
+      svg.appendChild(svgEl("text", {
+        x: labelWidth - 8, y: yTop + 15, "text-anchor": "end", class: "dashboard-label"
+      }, row.region));
+      svg.appendChild(svgEl("rect", {
+        x: labelWidth, y: yTop + 3, width: barMax, height: rowHeight - 8, class: "dashboard-track"
+      }));
+      svg.appendChild(svgEl("rect", {
+        x: labelWidth, y: yTop + 3, width: (row.acc * barMax).toFixed(1),
+        height: rowHeight - 8, class: "dashboard-bar"
+      }));
+      svg.appendChild(svgEl("text", {
+        x: labelWidth + barMax + 8, y: yTop + 15, class: "dashboard-label"
+      }, t("dashboard.regionGames", { percent: percent(row.acc), count: row.games })));
+    });
+
+    const wrap = section(t("dashboard.byRegion"));
+    wrap.appendChild(svg);
+    return wrap;
+  }
+
+  function drawGamesPerWeek(history, now) {
+    const height = 150;
+    const bottom = 22;
+    const top = 14;
+    const thisWeek = startOfWeek(now);
+    const weeks = [];
+    for (let i = WEEKS - 1; i >= 0; i--) {
+      const d = new Date(thisWeek);
+      d.setDate(d.getDate() - i * 7);
+      weeks.push({ start: d.getTime(), games: 0 });
+    }
+    history.forEach(g => {
+      const week = weeks.find(w => w.start === startOfWeek(Date.parse(g.at)));
+      if (week) week.games += 1;
+    });
+
+    const maxGames = Math.max(1, ...weeks.map(w => w.games));
+    const slot = WIDTH / WEEKS;
+    const svg = createSvg(height, t("dashboard.perWeek.label", { weeks: WEEKS }));
+    weeks.forEach((w, i) => {
+      const barHeight = (w.games / maxGames) * (height - top - bottom);
+      const x = i * slot + slot * 0.15;
+      svg.appendChild(svgEl("rect", {
+        x: x.toFixed(1), y: (height - bottom - barHeight).toFixed(1),
+        width: (slot * 0.7).toFixed(1), height: barHeight.toFixed(1), class: "dashboard-bar"
+      }));
+      if (w.games) {
+        svg.appendChild(svgEl("text", {
+          x: (x + slot * 0.35).toFixed(1), y: (height - bottom - barHeight - 3).toFixed(1),
+          "text-anchor": "middle", class: "dashboard-axis"
+        }, String(w.games)));
+      }
+      if (i % 2 === 0 || i === WEEKS - 1) {
+        svg.appendChild(svgEl("text", {
+          x: (x + slot * 0.35).toFixed(1), y: height - 6, "text-anchor": "middle",
+          class: "dashboard-axis"
+        }, shortDate(w.start)));
+      }
+    });
+
+    const wrap = section(t("dashboard.perWeek.title", { weeks: WEEKS }));
+    wrap.appendChild(svg);
+    return wrap;
+  }
+
+  // days in a row with at least one finished game, counting back from today
+  // (or yesterday, so the streak survives until the day is over), and the
+  // latest games in a row at GOOD_ACCURACY or better
+  function getStreaks(history, now) {
+    const today = startOfDay(now || Date.now());
+    const days = new Set(history.map(g => startOfDay(Date.parse(g.at))));
+
+    let day = days.has(today) ? today : today - DAY_MS;
+    let dayStreak = 0;
+    while (days.has(day)) {
+      dayStreak++;
+      // step back via the previous noon so DST changes can't skip a day
+      day = startOfDay(day - DAY_MS / 2);
+    }
+
+    let goodGames = 0;
+    for (let i = history.length - 1; i >= 0 && accuracy(history[i]) >= GOOD_ACCURACY; i--) {
+      goodGames++;
+    }
+
+    return { days: dayStreak, goodGames };
+  }
+
+  function drawStreaks(history, now) {
+    const streaks = getStreaks(history, now);
+    const wrap = section(t("dashboard.streaks"));
+    const tiles = document.createElement("div");
+    tiles.className = "dashboard-tiles";
+    [
+      [streaks.days, t("dashboard.streak.days", { count: streaks.days })],
+      [streaks.goodGames, t("dashboard.streak.goodGames", {
+        count: streaks.goodGames,
+        percent: percent(GOOD_ACCURACY)
+      })]
+    ].forEach(([value, label]) => {
+      const tile = document.createElement("div");
+      tile.className = "dashboard-tile";
+      const big = document.createElement("div");
+      big.className = "dashboard-tile-value";
+      big.textContent = String(value);
+      const small = document.createElement("div");
+      small.className = "dashboard-tile-label";
+      small.textContent = label;
+      tile.appendChild(big);
+      tile.appendChild(small);
+      tiles.appendChild(tile);
+    });
+    wrap.appendChild(tiles);
+    return wrap;
+  }
+
+  // ---- Public ----
+
+  function render(container, history) {
+    container.innerHTML = "";
+    const games = (history || []).filter(g => g && g.at && g.rounds);
+    if (!games.length) {
+      const empty = document.createElement("div");
+      empty.className = "dashboard-empty";
+      empty.textContent = t("dashboard.empty");
+      container.appendChild(empty);
+      return;
+    }
+
+    const now = Date.now();
+    container.appendChild(drawStreaks(games, now));
+    container.appendChild(drawAccuracyOverTime(games));
+    container.appendChild(drawAccuracyByRegion(games));
+    container.appendChild(drawGamesPerWeek(games, now));
+  }
+
+  // Expose API on window
+  window.InsectGameDashboard = {
+    render,
+    getStreaks
+  };
+})();
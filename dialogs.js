@@ -0,0 +1,169 @@
+/*
+  dialogs.js
+
+  Makes the game's overlays behave as modal dialogs for keyboard and
+  screen reader users.
+
+  An overlay is shown and hidden, as everywhere in the game, by removing
+  and adding its "hidden" class; this file watches that class, so nothing
+  else has to call it. While a registered overlay is open:
+
+    - it is announced as a dialog (role="dialog", aria-modal) named by its
+      title, unless index.html already gives it aria-labelledby
+    - focus moves into it (its initialFocus element, else the first control)
+    - Tab and Shift+Tab cycle through its controls only
+    - Escape calls its onEscape (nothing happens without one)
+
+  When it closes, focus goes back to where it was before it opened, or, if
+  that control is gone, disabled or hidden by then, to the next open
+  dialog or to setFallbackFocus()'s choice. With several open, the one
+  opened last is on top.
+
+  API exposed on window.InsectGameDialogs:
+
+    InsectGameDialogs.register(overlayEl, { onEscape?, initialFocus? })
+    InsectGameDialogs.getOpen()              // -> the overlay on top, or null
+    InsectGameDialogs.setFallbackFocus(fn)   // fn() -> element to focus when nothing else can be
+*/
+
+(function () {
+  const FOCUSABLE = [
+    "button:not([disabled])",
+    "a[href]",
+    "input:not([disabled])",
+    "select:not([disabled])",
+    "textarea:not([disabled])",
+    "[tabindex]:not([tabindex='-1'])"
+  ].join(", ");
+
+  const dialogs = new Map();   // overlay -> {onEscape, initialFocus}
+  const stack = [];            // open overlays as {el, returnTo}, top last
+  let fallbackFocus = null;
+  let titleCount = 0;
+
+  function isOpen(el) {
+    return !el.classList.contains("hidden");
+  }
+
+  function canFocus(el) {
+    return !!el && el.isConnected && !el.disabled && !el.closest(".hidden");
+  }
+
+  function getFocusable(el) {
+    return [...el.querySelectorAll(FOCUSABLE)].filter(canFocus);
+  }
+
+  function focusInto(el) {
+    const options = dialogs.get(el);
+    const target = canFocus(options.initialFocus) ? options.initialFocus : getFocusable(el)[0];
+    if (target) {
+      target.focus();
+    } else {
+      el.setAttribute("tabindex", "-1");
+      el.focus();
+    }
+  }
+
+  function restoreFocus(entry) {
+    if (canFocus(entry.returnTo)) {
+      entry.returnTo.focus();
+      return;
+    }
+    const below = stack[stack.length - 1];
+    if (below) {
+      focusInto(below.el);
+      return;
+    }
+    const fallback = fallbackFocus ? fallbackFocus() : null;
+    if (canFocus(fallback)) fallback.focus();
+  }
+
+  function opened(el) {
+    if (stack.some(entry => entry.el === el)) return;
+    stack.push({ el, returnTo: document.activeElement });
+    focusInto(el);
+  }
+
+  function closed(el) {
+    const at = stack.findIndex(entry => entry.el === el);
+    if (at === -1) return;
+    const [entry] = stack.splice(at, 1);
+    // focus only moves if it was inside (or lost with) the closed dialog
+    const active = document.activeElement;
+    if (!active || active === document.body || el.contains(active)) restoreFocus(entry);
+  }
+
+  // names the dialog by its title element, giving that an id if needed
+  function label(el) {
+    el.setAttribute("role", "dialog");
+    el.setAttribute("aria-modal", "true");
+    if (el.hasAttribute("aria-labelledby") || el.hasAttribute("aria-label")) return;
+    const title = el.querySelector("h2, h3, [class$='-title']");
+    if (!title) return;
+    if (!title.id) title.id = `dialog-title-${++titleCount}`;
+    el.setAttribute("aria-labelledby", title.id);
+  }
+
+  function register(el, options) {
+    if (!el || dialogs.has(el)) return;
+    dialogs.set(el, options || {});
+    label(el);
+
+    new MutationObserver(() => {
+      if (isOpen(el)) opened(el);
+      else closed(el);
+    }).observe(el, { attributes: true, attributeFilter: ["class"] });
+
+    if (isOpen(el)) opened(el);
+  }
+
+  function getOpen() {
+    const top = stack[stack.length - 1];
+    return top ? top.el : null;
+  }
+
+  function setFallbackFocus(fn) {
+    fallbackFocus = fn;
+  }
+
+  function trapTab(e, el) {
+    const focusable = getFocusable(el);
+    if (!focusable.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (!el.contains(active)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  document.addEventListener("keydown", e => {
+    const el = getOpen();
+    if (!el) return;
+    if (e.key === "Tab") {
+      trapTab(e, el);
+    } else if (e.key === "Escape") {
+      const options = dialogs.get(el);
+      if (!options.onEscape) return;
+      e.preventDefault();
+      options.onEscape();
+    }
+  });
+
+  // Expose API on window
+  window.InsectGameDialogs = {
+    register,
+    getOpen,
+    setFallbackFocus
+  };
+})();
@@ -0,0 +1,184 @@
+/*
+  field-noise.js
+
+  Background noise beds for the "field conditions" option of the
+  Insect Song Learning Game.
+
+  Real field ID means picking a call out of wind, traffic and other insects.
+  Each bed is a looping AudioBuffer with a known RMS level, so the game can
+  mix it under a call at a chosen signal-to-noise ratio (SNR).
+
+  Field conditions apply to listening only (FIELD_MODES in game.js): the
+  spectrogram in spectrogram training is drawn from the clean recording,
+  so noise there could be read around.
+
+  Beds are synthesized in the browser, so they work offline and add nothing
+  to the download. A recorded bed can be added to BEDS with a `file` path
+  instead of `synth` (e.g., "audio/noise/wind.mp3"); it is decoded and
+  measured the same way.
+
+  API exposed on window.InsectFieldNoise:
+
+    InsectFieldNoise.BEDS                        // [{id, label}]
+    InsectFieldNoise.getBed(audioCtx, id)        // Promise -> {buffer, rms} (cached per id)
+    InsectFieldNoise.gainForSnr(signalRms, noiseRms, snrDb) // linear gain for the noise
+*/
+
+(function () {
+  const BED_SECONDS = 12;
+  const TARGET_RMS = 0.1;
+  const LOOP_FADE_SECONDS = 0.5;  // crossfade so the loop point isn't audible
+
+  const BEDS = [
+    { id: "wind", label: "Wind", synth: synthWind },
+    { id: "traffic", label: "Distant traffic", synth: synthTraffic },
+    { id: "chorus", label: "Insect chorus", synth: synthChorus }
+  ];
+
+  const cache = {}; // id -> Promise<{buffer, rms}>
+
+  // ---- Synthesis ----
+
+  function whiteNoise() {
+    return Math.random() * 2 - 1;
+  }
+
+  // one-pole low-pass, in place
+  function lowPass(data, sampleRate, cutoffHz) {
+    const a = Math.exp((-2 * Math.PI * cutoffHz) / sampleRate);
+    let y = 0;
+    for (let i = 0; i < data.length; i++) {
+      y = (1 - a) * data[i] + a * y;
+      data[i] = y;
+    }
+  }
+
+  // brown-ish rumble with slow gusts
+  function synthWind(data, sampleRate) {
+    let y = 0;
+    for (let i = 0; i < data.length; i++) {
+      y = 0.995 * y + 0.05 * whiteNoise();
+      data[i] = y;
+    }
+    lowPass(data, sampleRate, 900);
+    const p1 = Math.random() * Math.PI * 2;
+    const p2 = Math.random() * Math.PI * 2;
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      const gust = 0.6 + 0.3 * Math.sin(2 * Math.PI * 0.13 * t + p1) +
+        0.2 * Math.sin(2 * Math.PI * 0.37 * t + p2);
+      data[i] *= Math.max(0.1, gust);
+    }
+  }
+
+  // low rumble with vehicles swelling past every few seconds
+  function synthTraffic(data, sampleRate) {
+    for (let i = 0; i < data.length; i++) data[i] = whiteNoise();
+    lowPass(data, sampleRate, 250);
+    lowPass(data, sampleRate, 400);
+
+    const passes = [];
+    for (let t = Math.random() * 2; t < data.length / sampleRate; t += 2 + Math.random() * 3) {
+      passes.push(t);
+    }
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      let env = 0.35;
+      passes.forEach(p => {
+        env += Math.exp(-((t - p) * (t - p)) / 0.8);
+      });
+      data[i] *= env;
+    }
+  }
+
+  // several unseen singers: pulsed tones between 3 and 9 kHz over a hiss
+  function synthChorus(data, sampleRate) {
+    const singers = [];
+    for (let s = 0; s < 6; s++) {
+      singers.push({
+        freq: 3000 + Math.random() * 6000,
+        pulseHz: 5 + Math.random() * 40,
+        duty: 0.3 + Math.random() * 0.4,
+        level: 0.3 + Math.random() * 0.7,
+        phase: Math.random()
+      });
+    }
+    for (let i = 0; i < data.length; i++) {
+      const t = i / sampleRate;
+      let v = 0.05 * whiteNoise();
+      singers.forEach(s => {
+        const on = ((t * s.pulseHz + s.phase) % 1) < s.duty ? 1 : 0;
+        v += on * s.level * Math.sin(2 * Math.PI * s.freq * t);
+      });
+      data[i] = v;
+    }
+  }
+
+  function rms(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    return Math.sqrt(sum / data.length) || 0;
+  }
+
+  // fades the tail into the head so the buffer loops without a click
+  function makeLoopable(data, sampleRate) {
+    const n = Math.min(Math.floor(data.length / 4), Math.round(LOOP_FADE_SECONDS * sampleRate));
+    const tailStart = data.length - n;
+    for (let i = 0; i < n; i++) {
+      const f = i / n;
+      data[i] = data[i] * f + data[tailStart + i] * (1 - f);
+    }
+    return data.subarray(0, tailStart);
+  }
+
+  function synthesizeBed(audioCtx, bed) {
+    const sampleRate = audioCtx.sampleRate;
+    const raw = new Float32Array(Math.round(BED_SECONDS * sampleRate));
+    bed.synth(raw, sampleRate);
+
+    const data = makeLoopable(raw, sampleRate);
+    const scale = TARGET_RMS / (rms(data) || 1);
+    const buffer = audioCtx.createBuffer(1, data.length, sampleRate);
+    const out = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) out[i] = data[i] * scale;
+
+    return { buffer, rms: TARGET_RMS };
+  }
+
+  // ---- Public ----
+
+  function getBed(audioCtx, id) {
+    const bed = BEDS.find(b => b.id === id);
+    if (!bed) return Promise.reject(new Error(`Unknown noise bed "${id}"`));
+    if (!audioCtx) return Promise.reject(new Error("Web Audio not available"));
+    if (cache[id]) return cache[id];
+
+    if (bed.file) {
+      if (!window.InsectSpectrogram) {
+        return Promise.reject(new Error("Cannot decode recorded noise beds"));
+      }
+      cache[id] = window.InsectSpectrogram.loadBuffer(bed.file, audioCtx)
+        .then(buffer => ({ buffer, rms: rms(buffer.getChannelData(0)) }))
+        .catch(err => {
+          delete cache[id];
+          throw err;
+        });
+    } else {
+      cache[id] = new Promise(resolve => resolve(synthesizeBed(audioCtx, bed)));
+    }
+    return cache[id];
+  }
+
+  // noise gain that puts the bed snrDb below the call
+  function gainForSnr(signalRms, noiseRms, snrDb) {
+    if (!(noiseRms > 0)) return 0;
+    return (signalRms / noiseRms) / Math.pow(10, snrDb / 20);
+  }
+
+  // Expose API on window
+  window.InsectFieldNoise = {
+    BEDS: BEDS.map(b => ({ id: b.id, label: b.label })),
+    getBed,
+    gainForSnr
+  };
+})();
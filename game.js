@@ -5,33 +5,127 @@
 
   Depends on:
     - species-data.js       (window.SONGS_DATA)
+    - regions-data.js       (window.REGIONS_DATA)
     - analytics.js          (window.InsectGameAnalytics)
+    - dashboard.js          (window.InsectGameDashboard, optional: stats charts)
+    - telemetry.js          (window.InsectGameTelemetry, optional: opt-in usage sharing)
+    - seeded-random.js      (window.InsectSeededRandom, optional: seeded games)
+    - assignments.js        (window.InsectGameAssignments, optional: teacher assignments, preset decks)
+    - daily.js              (window.InsectGameDaily, optional: daily challenge)
+    - router.js             (window.InsectGameRouter, optional: #/ routes and species pages)
+    - service-worker.js     (registered here, optional: offline play)
+    - spectrogram.js        (window.InsectSpectrogram)
+    - learning.js           (window.InsectGameLearning, optional: Learn mode)
+    - field-noise.js        (window.InsectFieldNoise, optional: field conditions)
+    - redaction.js          (window.InsectFactRedaction)
     - DOM structure in index.html (elements with IDs referenced below)
 */
 
 (function () {
   "use strict";
 
-  const TOTAL_ROUNDS = 5;
+  // player settings (settings panel), saved per browser
+  const SETTINGS_KEY = "insectGameSettings_v1";
+  const DEFAULT_SETTINGS = {
+    rounds: 5,                  // rounds per game
+    answerChoices: 4,           // correct answer + distractors (2 – 6)
+    autoHints: true,            // show the hint overlay after a wrong guess
+    sciNamesRequired: false     // answer choices always show scientific names
+  };
+  const ROUND_OPTIONS = [3, 5, 10, 15, 20];
+  const MIN_CHOICES = 2;
+  const MAX_CHOICES = 6;
+  const QUIZ_MODES = ["spectrogram", "image", "facts", "listen", "reverse"];
+  const EXCERPT_SECONDS = 6;    // window length when a species has no callSegments
+  const FADE_SECONDS = 0.25;    // excerpt fade-in / fade-out
+
+  // field conditions: background noise (and a decoy species) under the call
+  const FIELD_KEY = "insectGameField_v1";
+  const FIELD_MODES = ["listen"];    // the spectrogram shows the clean call
+  const SNR_START = 12;         // dB; adaptive SNR starts easy...
+  const SNR_STEP = 3;           // ...drops by this after each first-try answer
+  const SNR_MIN = -12;
+  const SNR_MAX = 18;
+  const DECOY_LEVEL_DB = -6;    // decoy species relative to the call
+  const DEFAULT_SIGNAL_RMS = 0.1; // if the call can't be decoded to measure it
+
+  // timed challenge: a countdown per round, points for fast answers
+  const TIMED_ROUND_SECONDS = 15;
+  const TIMED_MAX_POINTS = 100; // an instant answer; falls to 1 at the deadline
+  const TIMED_LOW_SECONDS = 5;  // countdown turns red
   const SONGS = (window.SONGS_DATA || []).slice();
+  const REGIONS = (window.REGIONS_DATA || []).slice();
+  const REGION_BY_CODE = {};
+  REGIONS.forEach(r => { REGION_BY_CODE[r.code] = r; });
+
+  // field-guide groups, by family; other families are listed by family name
+  const FAMILY_GROUPS = {
+    Gryllidae: "Crickets",
+    Gryllotalpidae: "Mole crickets",
+    Tettigoniidae: "Katydids",
+    Acrididae: "Grasshoppers",
+    Cicadidae: "Cicadas"
+  };
 
   // ---- State ----
-  let currentMode = null;       // "spectrogram" | "image" | "facts"
-  let currentRegion = null;     // null => all regions
-  let sessionSongs = [];        // array of SONGS for this 5-round game
-  let sessionIndex = 0;         // which of the 5 we're on
+  let currentMode = null;       // "spectrogram" | "image" | "facts" | "listen" | "reverse"
+  let currentRegion = null;     // region code; null => all regions
+  let settings = loadSettings();
+  let totalRounds = settings.rounds; // rounds in the current game
+  let sessionSongs = [];        // array of SONGS for this game
+  let sessionIndex = 0;         // which round we're on
   let currentSong = null;
+  let assignment = null;        // decoded teacher assignment being played, or null
+  let daily = null;             // daily challenge being played, or null
+  let studySongs = null;        // species picked in the field guide to quiz on, or null
+  let sessionSeed = null;       // seed for choices and excerpts; null => Math.random
+  let gameStartedAt = 0;
+  let roundOutcomes = [];       // "first" | "retry" | "missed" for each answered round
+  let assignmentResult = null;  // {score, finishedAt, durationMs, outcomes} of a finished assignment
 
   let roundsAnswered = 0;
   let scoreCorrect = 0;
   let hasAnswered = false;
   let hadWrongGuess = false;
   let sciNamesOn = false;
+  let difficulty = "standard";  // "standard" | "hard" (look-alike distractors)
+  let learnModeOn = false;      // pick due / weak species via InsectGameLearning
+  let learningChanges = [];     // Leitner box changes in this game (Learn mode)
+  let timedOn = false;          // timed challenge: countdown + speed points
+  let roundClock = null;        // {startedAt, deadline, stoppedAt} (ms) once the round's clock runs
+  let clockTimer = null;        // setInterval id updating the countdown
+  let reactionTimes = [];       // ms to the correct answer, rounds answered in time
+  let timedPoints = 0;
+  let roundPlays = 0;           // times this round's call was started from the top before the answer
+  let gameReplays = 0;          // listening only: replays over the rounds answered this game
 
   let audioCtx = null;
+  let audioGraph = null;        // {source, gain}: audioPlayerEl routed through audioCtx
+  let currentExcerpt = null;    // {start, end} in seconds, fixed for the round
+  let excerptTimer = null;      // pauses playback at the end of the excerpt
+  let preloadAudioEl = null;    // detached <audio> fetching the next round's call
+  let candidateAudioEl = null;  // reverse quiz: detached <audio> playing one candidate's call
+  let candidateSong = null;     // species whose call candidateAudioEl holds
+  let candidatePlayEl = null;   // play button of the candidate playing, or null
+  let candidateTimer = null;    // pauses the candidate at the end of its excerpt
+  let candidateExcerpts = new Map(); // song -> {start, end}, fixed for the round
+
+  let fieldSettings = loadFieldSettings();
+  let roundField = null;        // {noise, snrDb, decoy, decoyBuffer} for this round
+  let fieldLayers = [];         // noise / decoy nodes playing under the call
+  let roundSnrs = [];           // SNR (dB) of each answered round this game
+  let currentSpec = null;       // live spectrogram data for currentSong
+  let specLayout = null;        // plot geometry from the last spectrogram render
+  let playheadFrame = null;     // requestAnimationFrame id while audio plays
+
+  let routeApplying = false;    // true while showing a route, so it isn't pushed again
+  let shownHash = null;         // location.hash last shown by showRoute
+  let mediaCheckDone = false;   // true once InsectMediaCheck has probed every file
 
   // ---- DOM refs ----
   let spectrogramImageEl;
+  let spectrogramCanvasEl;
+  let specPlayheadEl;
   let specTaglineEl;
   let specRegionEl;
   let specLabelEl;
@@ -51,9 +145,17 @@
   let scoreTextEl;
   let playBtnEl;
   let playBtnLabelEl;
+  let listenControlsEl;
+  let listenPlayEl;
+  let listenReplayEl;
+  let listenCountEl;
   let nextBtnEl;
   let audioPlayerEl;
   let sciToggleBtn;
+  let learnToggleBtn;
+  let difficultyToggleBtn;
+  let timedToggleBtn;
+  let timerTextEl;
   let winMarkEl;
   let modeHintTextEl;
   let questionTextEl;
@@ -61,6 +163,9 @@
   let modeLabelEl;
   let modeBubbleEl;
   let regionToggleBtn;
+  let fieldToggleBtn;
+  let settingsToggleBtn;
+  let hintBtnEl;
 
   let startOverlayEl;
   let startBtnEl;
@@ -73,6 +178,8 @@
   let modeChangeSpectroEl;
   let modeChangeImageEl;
   let modeChangeFactsEl;
+  let modeChangeListenEl;
+  let modeChangeReverseEl;
   let modeChangeCancelEl;
 
   let regionOverlayEl;
@@ -83,6 +190,10 @@
   let endTitleEl;
   let endScoreTextEl;
   let endMessageEl;
+  let endLearningEl;
+  let endFieldEl;
+  let endTimedEl;
+  let endListenEl;
   let playAgainBtnEl;
   let changeModeBtnEl;
   let changeRegionBtnEl;
@@ -94,157 +205,486 @@
   let revealFactTextEl;
   let revealCloseBtnEl;
 
+  let fieldOverlayEl;
+  let fieldNoiseSelectEl;
+  let fieldSnrSelectEl;
+  let fieldDecoyEl;
+  let fieldApplyEl;
+  let fieldCancelEl;
+
+  let mixupsOverlayEl;
+  let mixupsListEl;
+  let mixupsOpenEl;
+  let mixupsCloseEl;
+
+  let dashboardOverlayEl;
+  let dashboardOpenEl;
+  let dashboardCloseEl;
+
+  let telemetryItemEl;
+  let telemetryOpenEl;
+  let telemetryOverlayEl;
+  let telemetryStatusEl;
+  let telemetryAllowEl;
+  let telemetryDenyEl;
+
+  let progressOverlayEl;
+  let progressOpenEl;
+  let progressCloseEl;
+  let progressExportEl;
+  let progressFileEl;
+  let progressImportHowEl;
+  let progressImportEl;
+  let progressResetEl;
+  let progressResetConfirmEl;
+  let progressResetYesEl;
+  let progressResetNoEl;
+  let progressStatusEl;
+
+  let settingsOverlayEl;
+  let settingsRoundsEl;
+  let settingsChoicesEl;
+  let settingsAutoHintsEl;
+  let settingsSciRequiredEl;
+  let settingsApplyEl;
+  let settingsCancelEl;
+
+  let presetBannerEl;
+  let presetBannerTextEl;
+  let presetLeaveEl;
+  let dailyStartEl;
+  let modeChangeDailyEl;
+  let endDailyEl;
+  let endDailyTextEl;
+  let endDailyHistoryEl;
+  let endDailyShareEl;
+  let endDailyCopyEl;
+  let endDailyStatusEl;
+  let endAssignmentEl;
+  let endAssignmentNameEl;
+  let endAssignmentCodeEl;
+  let endAssignmentCopyEl;
+  let endAssignmentStatusEl;
+
+  let teacherOpenEl;
+  let teacherOverlayEl;
+  let teacherSpeciesEl;
+  let teacherSelectAllEl;
+  let teacherSelectNoneEl;
+  let teacherModeEl;
+  let teacherRoundsEl;
+  let teacherChoicesEl;
+  let teacherSeedEl;
+  let teacherCreateEl;
+  let teacherOutputEl;
+  let teacherLinkEl;
+  let teacherCodeEl;
+  let teacherCopyLinkEl;
+  let teacherStatusEl;
+  let teacherCloseEl;
+  let gradeAssignmentEl;
+  let gradeResultsEl;
+  let gradeCheckEl;
+  let gradeOutputEl;
+
+  let guideOpenEl;
+  let guideStartEl;
+  let guideOverlayEl;
+  let guideSearchEl;
+  let guideRegionEl;
+  let guideGroupEl;
+  let guideCountEl;
+  let guideListEl;
+  let guideModeEl;
+  let guideQuizEl;
+  let guideCloseEl;
+
+  let speciesOverlayEl;
+  let speciesTitleEl;
+  let speciesSciEl;
+  let speciesPhotoEl;
+  let speciesSpectrogramEl;
+  let speciesAudioEl;
+  let speciesMetaEl;
+  let speciesFactEl;
+  let speciesCreditsEl;
+  let speciesCloseEl;
+  let revealSpeciesLinkEl;
+
+  let mediaItemEl;
+  let mediaOpenEl;
+  let mediaOverlayEl;
+  let mediaSummaryEl;
+  let mediaListEl;
+  let mediaCloseEl;
+  let languageSelectEl;
+  let startLanguageSelectEl;
+
   // ---- Helpers ----
 
-  function shuffleArray(arr) {
+  function shuffleArray(arr, random = Math.random) {
     return arr
-      .map(v => ({ v, r: Math.random() }))
+      .map(v => ({ v, r: random() }))
       .sort((a, b) => a.r - b.r)
       .map(x => x.v);
   }
 
-  function getActiveRegionName() {
-    return currentRegion || "All regions";
+  function loadSettings() {
+    let parsed = {};
+    try {
+      parsed = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") || {};
+    } catch (e) {
+      // fall back to defaults
+    }
+    const merged = Object.assign({}, DEFAULT_SETTINGS, parsed);
+    if (!ROUND_OPTIONS.includes(merged.rounds)) merged.rounds = DEFAULT_SETTINGS.rounds;
+    merged.answerChoices = Math.max(MIN_CHOICES, Math.min(MAX_CHOICES,
+      Number(merged.answerChoices) || DEFAULT_SETTINGS.answerChoices));
+    merged.autoHints = merged.autoHints !== false;
+    merged.sciNamesRequired = merged.sciNamesRequired === true;
+    return merged;
   }
 
-  function getRegionPool() {
-    if (!currentRegion) return SONGS.slice();
-    return SONGS.filter(s => s.region === currentRegion);
+  function saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
   }
 
-  // strong redaction for fact mode
-  function redactFact(song) {
-    let text = song.fact || "";
-    if (!text) return text;
-
-    let targets = [];
+  // a region needs enough species for a full set of answer choices and a
+  // default-length game; longer games repeat species (see fillSession)
+  function getMinRegionPool() {
+    return Math.max(DEFAULT_SETTINGS.rounds, settings.answerChoices);
+  }
 
-    const fullName = song.commonName;
-    if (fullName) {
-      const noHyphen = fullName.replace(/-/g, " ");
-      targets.push(fullName);
-      targets.push(noHyphen);
-      noHyphen.split(/\s+/).forEach(part => {
-        if (part.length > 2) targets.push(part);
-      });
+  // `count` species from the pool, in order; if the pool is smaller than
+  // the game, species repeat (reshuffled, never twice in a row)
+  function fillSession(ordered, pool, count) {
+    const session = ordered.slice(0, count);
+    while (session.length < count && pool.length) {
+      const next = shuffleArray(pool);
+      if (pool.length > 1 && next[0] === session[session.length - 1]) {
+        next.push(next.shift());
+      }
+      session.push(...next.slice(0, count - session.length));
     }
+    return session;
+  }
 
-    if (song.species) {
-      song.species.split(/\s+/).forEach(part => {
-        if (part.length > 2) targets.push(part);
-      });
-    }
+  // random numbers for one purpose in the current round: repeatable in a
+  // seeded game (same choices and excerpts for every player), else Math.random
+  function getRandom(purpose) {
+    if (!sessionSeed || !window.InsectSeededRandom) return Math.random;
+    return window.InsectSeededRandom.create(`${sessionSeed}|${sessionIndex}|${purpose}`);
+  }
+
+  // a teacher assignment or the daily challenge: a fixed deck, and the same
+  // answer choices and excerpts for every player. Both look like
+  // {mode, rounds, answerChoices, seed, songs}
+  function getPresetGame() {
+    return assignment || daily;
+  }
+
+  // look-alike distractors depend on a player's toggle, so preset games
+  // always play standard
+  function getDifficulty() {
+    return getPresetGame() ? "standard" : difficulty;
+  }
+
+  function getAnswerChoices() {
+    const preset = getPresetGame();
+    return preset ? preset.answerChoices : settings.answerChoices;
+  }
+
+  // false if a recording or photo the mode needs failed to load (see InsectMediaCheck)
+  function isSongUsable(song, mode = currentMode) {
+    if (!window.InsectMediaCheck || !mode) return true;
+    return window.InsectMediaCheck.isUsable(song, mode);
+  }
+
+  // the usable songs, or all of them if none are: a broken file beats an empty game
+  function getUsableSongs(songs) {
+    const usable = songs.filter(s => isSongUsable(s));
+    return usable.length ? usable : songs;
+  }
+
+  // species a normal game is dealt from: the field-guide selection, else the region
+  function getGamePool() {
+    return studySongs ? getUsableSongs(studySongs) : getRegionPool();
+  }
+
+  // species the wrong answers come from: a preset game's or the field-guide
+  // selection's own species first, topped up from all species if too few.
+  // A preset game's choices don't depend on which files loaded in this browser
+  function getChoicePool() {
+    const preset = getPresetGame();
+    const own = preset ? preset.songs : studySongs;
+    if (!own) return getRegionPool();
+    const usable = preset ? () => true : s => isSongUsable(s);
+    const deckSpecies = preset ? [...new Set(own)] : getUsableSongs([...new Set(own)]);
+    const needed = getAnswerChoices() - deckSpecies.length;
+    if (needed <= 0) return deckSpecies;
+    const extra = shuffleArray(
+      SONGS.filter(s => !deckSpecies.includes(s) && usable(s)),
+      getRandom("pool")
+    );
+    return deckSpecies.concat(extra.slice(0, needed));
+  }
+
+  function buildCreditHTML(label, person, copyright) {
+    if (!person) return "";
+
+    // Show CC only if a copyright/license string exists
+    const icon = copyright
+      ? `<span class="copy-icon" tabindex="0">CC
+           <span class="copy-tooltip">${copyright}</span>
+         </span>`
+      : "";
+
+    return `<span class="credit-entry">${label} ${person} ${icon}</span>`;
+  }
 
-    const groups = [
-      "cricket","crickets",
-      "cicada","cicadas",
-      "grasshopper","grasshoppers",
-      "katydid","katydids",
-      "conehead","coneheads"
-    ];
-    targets.push(...groups);
+  function buildCreditsHTML(song) {
+    return buildCreditHTML("📷", song.photoCredit, song.copyrightPhoto) +
+      buildCreditHTML("🎧", song.audioCredit, song.copyrightAudio);
+  }
+
+  function t(key, params) {
+    return window.InsectGameI18n.t(key, params);
+  }
+
+  // text of an error from assignments.js or analytics.js, which carry the
+  // key of their text in the locale bundles
+  function getErrorText(err) {
+    return err.key ? t(err.key, err.params) : err.message;
+  }
+
+  // a species' name and fact in the player's language (`translations` in species-data.js)
+  function getSongName(song) {
+    return window.InsectGameI18n.localize(song, "commonName");
+  }
+
+  function getSongFact(song) {
+    return window.InsectGameI18n.localize(song, "fact") || "";
+  }
+
+  function showsScientificNames() {
+    return sciNamesOn || settings.sciNamesRequired;
+  }
+
+  // settings reported to analytics with each game
+  function getGameDetails() {
+    return {
+      difficulty: getDifficulty(),
+      rounds: totalRounds,
+      answerChoices: getAnswerChoices(),
+      autoHints: settings.autoHints,
+      sciNamesRequired: settings.sciNamesRequired,
+      timed: timedOn,
+      assignment: assignment ? assignment.key : null,
+      daily: daily ? daily.date : null
+    };
+  }
+
+  function getRegionName(code) {
+    const region = REGION_BY_CODE[code];
+    return region ? region.name : code;
+  }
+
+  function getActiveRegionName() {
+    return currentRegion ? getRegionName(currentRegion) : "All regions";
+  }
+
+  // getRegionName is also what analytics records, so it stays in English;
+  // this is the name players see
+  function getRegionDisplayName(code) {
+    return window.InsectGameI18n.has(`region.${code}`) ? t(`region.${code}`) : getRegionName(code);
+  }
 
-    // special handling for periodical cicada
-    if (
-      song.commonName.toLowerCase().includes("13-year") ||
-      song.species.toLowerCase().includes("magicicada")
-    ) {
-      targets.push("13", "13-year", "13 year");
-      targets.push("periodical cicadas", "periodical cicada", "periodical");
+  // true if `code` is `ancestorCode` or lies somewhere below it
+  function isWithinRegion(code, ancestorCode) {
+    let region = REGION_BY_CODE[code];
+    if (code === ancestorCode) return true;
+    while (region && region.parent) {
+      if (region.parent === ancestorCode) return true;
+      region = REGION_BY_CODE[region.parent];
     }
+    return false;
+  }
+
+  // region codes for a song; entries without `regions` fall back to
+  // matching their free-text `region` against the region names
+  function getSongRegionCodes(song) {
+    if (Array.isArray(song.regions) && song.regions.length) return song.regions;
+    const match = REGIONS.find(r => r.name === song.region);
+    return match ? [match.code] : [];
+  }
+
+  function songInRegion(song, code) {
+    return getSongRegionCodes(song).some(c => isWithinRegion(c, code));
+  }
+
+  // the region's species, minus those whose media this mode needs is broken
+  function getRegionPool() {
+    return SONGS.filter(s =>
+      (!currentRegion || songInRegion(s, currentRegion)) && isSongUsable(s));
+  }
+
+  function countRegionSongs(code, mode = currentMode) {
+    return SONGS.filter(s => songInRegion(s, code) && isSongUsable(s, mode)).length;
+  }
+
+  // what players see as the species' range
+  function getRegionLabel(song) {
+    const region = window.InsectGameI18n.localize(song, "region");
+    if (region) return region;
+    return getSongRegionCodes(song).map(getRegionDisplayName).join(", ");
+  }
 
-    const escaped = [...new Set(
-      targets
-        .filter(Boolean)
-        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
-    )];
+  function getRegionDepth(code) {
+    let depth = 0;
+    let region = REGION_BY_CODE[code];
+    while (region && region.parent) {
+      depth++;
+      region = REGION_BY_CODE[region.parent];
+    }
+    return depth;
+  }
 
-    if (!escaped.length) return text;
+  // strong redaction for fact mode (redaction.js): the species' names in
+  // English and in the player's language, its redactTerms, and the group
+  // words of every family in the game, as naming another group rules
+  // answers out
+  function redactFact(song) {
+    const terms = window.InsectFactRedaction.getTerms(song, {
+      names: [getSongName(song)],
+      groupWords: getGroupWords()
+    });
+    return window.InsectFactRedaction.redact(getSongFact(song), terms);
+  }
 
-    const re = new RegExp(escaped.join("|"), "gi");
-    return text.replace(re, match => "•".repeat(match.length));
+  // what the insects of each family are called, in the player's languages
+  function getGroupWords() {
+    const families = [...new Set(SONGS.map(song => song.family).filter(Boolean))];
+    return families.flatMap(family => window.InsectGameI18n.getWords(family));
   }
 
   function getHintText(song) {
     if (currentMode === "facts") {
-      return `This species is found in: ${song.region}.`;
+      return t("hint.region", { region: getRegionLabel(song) });
     }
-    const fact = song.fact || "";
+    const fact = getSongFact(song);
     const idx = fact.indexOf(".");
     if (idx !== -1) return fact.slice(0, idx + 1);
-    return fact || "Listen / look again and pay attention to the patterns.";
+    return fact || t("hint.default");
   }
 
   function updateNextLabel() {
-    if (currentMode === "spectrogram") {
-      nextBtnEl.textContent = "Next spectrogram ➜";
-    } else if (currentMode === "image") {
-      nextBtnEl.textContent = "Next image ➜";
-    } else if (currentMode === "facts") {
-      nextBtnEl.textContent = "Next description ➜";
-    } else {
-      nextBtnEl.textContent = "Next ➜";
-    }
+    nextBtnEl.textContent = QUIZ_MODES.includes(currentMode)
+      ? t(`next.${currentMode}`)
+      : t("next.default");
   }
 
   function updateRegionToggleLabel() {
-    const name = getActiveRegionName();
-    regionToggleBtn.textContent = `🌍 Region: ${
-      name === "All regions" ? "All" : name
-    }`;
+    const name = currentRegion ? getRegionDisplayName(currentRegion) : t("region.allShort");
+    regionToggleBtn.textContent = t("region.toggle", { name });
   }
 
   function updateModeUI() {
     factBoxEl.classList.remove("fact-mode");
+    // listening only swaps the small play button for its own big controls
+    playBtnEl.classList.toggle("hidden", currentMode === "listen" || currentMode === "reverse");
+    if (listenControlsEl) listenControlsEl.classList.toggle("hidden", currentMode !== "listen");
+    // the reverse quiz's candidates are cards with their own play buttons
+    answersListEl.classList.toggle("reverse-list", currentMode === "reverse");
 
     if (currentMode === "spectrogram") {
-      modeLabelEl.textContent = "Mode: Spectrogram training";
-      specLabelEl.textContent = "Visualizing sound";
-      axisYEl.textContent = "Frequency (kHz)";
-      axisXEl.textContent = "Time (seconds)";
+      modeLabelEl.textContent = t("modeLabel", { mode: getModeName("spectrogram") });
+      specLabelEl.textContent = t("specLabel.spectrogram");
+      axisYEl.textContent = t("axis.frequency");
+      axisXEl.textContent = t("axis.time");
       ampBoxEl.style.display = "";
       specAxesWrapperEl.classList.remove("hidden");
       playBtnEl.disabled = false;
-      playBtnLabelEl.textContent = "Play call";
-      modeHintTextEl.textContent =
-        "Tip: match the band of energy and the rhythm of pulses.";
-      questionTextEl.textContent = "Which insect is producing this sound?";
-      questionSubtitleEl.textContent =
-        "Listen as many times as you like, then choose the common name.";
-      factLabelEl.textContent = "After the guess";
+      playBtnLabelEl.textContent = t("play.call");
+      modeHintTextEl.textContent = t("tip.spectrogram");
+      questionTextEl.textContent = t("question.spectrogram");
+      questionSubtitleEl.textContent = t("subtitle.spectrogram");
+      factLabelEl.textContent = t("fact.afterGuess");
     } else if (currentMode === "image") {
-      modeLabelEl.textContent = "Mode: Image recognition";
-      specLabelEl.textContent = "Insect image";
+      modeLabelEl.textContent = t("modeLabel", { mode: getModeName("image") });
+      specLabelEl.textContent = t("specLabel.image");
       axisYEl.textContent = "";
       axisXEl.textContent = "";
       ampBoxEl.style.display = "none";
       specAxesWrapperEl.classList.remove("hidden");
       playBtnEl.disabled = false;
-      playBtnLabelEl.textContent = "Play call (optional)";
-      modeHintTextEl.textContent =
-        "Tip: look at body shape, wings, and posture.";
-      questionTextEl.textContent = "Which insect is shown here?";
-      questionSubtitleEl.textContent =
-        "Look closely at the insect's appearance, then choose its name.";
-      factLabelEl.textContent = "After the guess";
+      playBtnLabelEl.textContent = t("play.optional");
+      modeHintTextEl.textContent = t("tip.image");
+      questionTextEl.textContent = t("question.image");
+      questionSubtitleEl.textContent = t("subtitle.image");
+      factLabelEl.textContent = t("fact.afterGuess");
     } else if (currentMode === "facts") {
-      modeLabelEl.textContent = "Mode: Fact knowledge";
-      specLabelEl.textContent = "Fact training";
+      modeLabelEl.textContent = t("modeLabel", { mode: getModeName("facts") });
+      specLabelEl.textContent = t("specLabel.facts");
       axisYEl.textContent = "";
       axisXEl.textContent = "";
       ampBoxEl.style.display = "none";
       specAxesWrapperEl.classList.add("hidden");
       playBtnEl.disabled = false;
-      playBtnLabelEl.textContent = "Play call (optional)";
-      modeHintTextEl.textContent =
-        "Tip: read the description carefully before you choose.";
-      questionTextEl.textContent = "Which insect fits this description?";
-      questionSubtitleEl.textContent =
-        "Read the description, then choose the species.";
-      factLabelEl.textContent = "Description";
+      playBtnLabelEl.textContent = t("play.optional");
+      modeHintTextEl.textContent = t("tip.facts");
+      questionTextEl.textContent = t("question.facts");
+      questionSubtitleEl.textContent = t("subtitle.facts");
+      factLabelEl.textContent = t("fact.description");
       factBoxEl.classList.add("fact-mode");
+    } else if (currentMode === "listen") {
+      modeLabelEl.textContent = t("modeLabel", { mode: getModeName("listen") });
+      specLabelEl.textContent = t("specLabel.listen");
+      axisYEl.textContent = "";
+      axisXEl.textContent = "";
+      ampBoxEl.style.display = "none";
+      specAxesWrapperEl.classList.add("hidden");
+      playBtnEl.disabled = false;
+      playBtnLabelEl.textContent = t("play.call");
+      modeHintTextEl.textContent = t("tip.listen");
+      questionTextEl.textContent = t("question.listen");
+      questionSubtitleEl.textContent = t("subtitle.listen");
+      factLabelEl.textContent = t("fact.afterGuess");
+    } else if (currentMode === "reverse") {
+      modeLabelEl.textContent = t("modeLabel", { mode: getModeName("reverse") });
+      specLabelEl.textContent = t("specLabel.reverse");
+      axisYEl.textContent = "";
+      axisXEl.textContent = "";
+      ampBoxEl.style.display = "none";
+      specAxesWrapperEl.classList.add("hidden");
+      playBtnEl.disabled = true;
+      modeHintTextEl.textContent = t("tip.reverse");
+      questionSubtitleEl.textContent = t("subtitle.reverse");
+      factLabelEl.textContent = t("fact.afterGuess");
     } else {
-      modeLabelEl.textContent = "Mode: —";
+      modeLabelEl.textContent = t("modeLabel.none");
+    }
+
+    if (currentMode && getDifficulty() === "hard") {
+      modeLabelEl.textContent += ` · ${t("tag.hard")}`;
+    }
+    if (currentMode && isLearnMode()) {
+      modeLabelEl.textContent += ` · ${t("tag.learn")}`;
+    }
+    if (isFieldActive()) {
+      modeLabelEl.textContent += ` · ${t("tag.field")}`;
+    }
+    if (currentMode && timedOn) {
+      modeLabelEl.textContent += ` · ${t("tag.timed")}`;
+    }
+    if (currentMode && assignment) {
+      modeLabelEl.textContent += ` · ${t("tag.assignment")}`;
+    }
+    if (currentMode && daily) {
+      modeLabelEl.textContent += ` · ${t("tag.daily")}`;
     }
 
     updateNextLabel();
@@ -254,104 +694,328 @@
   function startNewGame() {
     if (!currentMode) return;
 
-    const pool = getRegionPool();
-    // pick up to TOTAL_ROUNDS distinct species from this region
-    sessionSongs = shuffleArray(pool).slice(0, TOTAL_ROUNDS);
+    const preset = getPresetGame();
+    if (preset) {
+      // the same deck, in the same order, for every player, whichever files
+      // loaded here: a round with a broken file shows its media warning
+      sessionSongs = window.InsectGameAssignments.buildDeck(preset);
+      totalRounds = preset.rounds;
+      sessionSeed = preset.seed;
+    } else {
+      const pool = getGamePool();
+      totalRounds = settings.rounds;
+      // pick totalRounds species from the pool (distinct while the pool
+      // allows); Learn mode puts due and weak species first
+      const ordered = isLearnMode()
+        ? window.InsectGameLearning.pickSession(currentMode, shuffleArray(pool), totalRounds)
+        : shuffleArray(pool);
+      sessionSongs = fillSession(ordered, pool, totalRounds);
+      sessionSeed = null;
+    }
+    roundOutcomes = [];
+    assignmentResult = null;
+    gameStartedAt = Date.now();
+    learningChanges = [];
+    roundSnrs = [];
+    reactionTimes = [];
+    timedPoints = 0;
+    gameReplays = 0;
     sessionIndex = 0;
     roundsAnswered = 0;
     scoreCorrect = 0;
     hasAnswered = false;
     hadWrongGuess = false;
 
+    stopExcerpt();
     audioPlayerEl.pause();
     audioPlayerEl.currentTime = 0;
     nextBtnEl.disabled = true;
 
-    scoreTextEl.innerHTML = `Score this game: <strong>0</strong> of ${TOTAL_ROUNDS}`;
+    updateScoreText();
     updateModeUI();
     renderRound();
 
     if (window.InsectGameAnalytics) {
       window.InsectGameAnalytics.recordGameStarted(
         currentMode,
-        getActiveRegionName()
+        getActiveRegionName(),
+        getGameDetails()
       );
     }
   }
 
   function renderRound() {
+    stopExcerpt();
+    currentExcerpt = null;
     hasAnswered = false;
     hadWrongGuess = false;
     nextBtnEl.disabled = true;
+    if (hintBtnEl) hintBtnEl.disabled = false;
     feedbackLineEl.textContent = "";
     feedbackLineEl.className = "feedback-line";
+    roundPlays = 0;
 
     currentSong = sessionSongs[sessionIndex];
+    stopCandidate();
+    resetRoundClock();
     renderForMode(currentSong);
-    renderAnswers(currentSong);
-  }
+    if (currentMode === "reverse") {
+      renderReverseAnswers(currentSong);
+    } else {
+      renderAnswers(currentSong);
+    }
+    prepareRoundField(currentSong);
 
-  function renderForMode(song) {
-    insectPhotoEl.classList.add("hidden");
-    insectPhotoEl.src = "";
-    insectPhotoEl.alt = "";
+    // the clock starts with the image or description; in spectrogram
+    // training it starts once the spectrogram is shown (showLiveSpectrogram)
+    // or the call plays, in listening only with the call (see attachEvents)
+    if (!startsWithCall()) startRoundClock();
 
-function buildCreditHTML(label, person, copyright) {
-  if (!person) return "";
+    preloadNextRound();
+  }
 
-  // Show CC only if a copyright/license string exists
-  const icon = copyright
-    ? `<span class="copy-icon" tabindex="0">CC
-         <span class="copy-tooltip">${copyright}</span>
-       </span>`
-    : "";
+  // fetch the next round's call and photo while this round is played, so
+  // the switch is instant; spectrogram training also gets its spectrogram
+  // computed, once the browser is idle so this round's playback isn't held up
+  function preloadNextRound() {
+    const next = sessionSongs[sessionIndex + 1];
+    if (!next || next === currentSong) return;
 
-  return `<span class="credit-entry">${label} ${person} ${icon}</span>`;
-}
+    if (next.photo) {
+      new Image().src = next.photo;
+    }
+    if (!preloadAudioEl) {
+      preloadAudioEl = new Audio();
+      preloadAudioEl.preload = "auto";
+      preloadAudioEl.muted = true;
+    }
+    window.InsectAudioSources.setSource(preloadAudioEl, next);
 
-const photoHTML = buildCreditHTML("📷", song.photoCredit, song.copyrightPhoto);
-const audioHTML = buildCreditHTML("🎧", song.audioCredit, song.copyrightAudio);
+    if (currentMode === "spectrogram" && window.InsectSpectrogram) {
+      const whenIdle = window.requestIdleCallback || (fn => setTimeout(fn, 1000));
+      whenIdle(() => {
+        loadSpectrogram(next).catch(() => {
+          // drawn (or replaced by the static image) when its round comes
+        });
+      });
+    }
+  }
 
-creditsEl.innerHTML = photoHTML + audioHTML;
+  function updateScoreText() {
+    let text = t("score.text", { score: scoreCorrect, rounds: totalRounds });
+    if (timedOn) text += ` · ${t("score.points", { count: timedPoints })}`;
+    scoreTextEl.innerHTML = text;
+  }
 
+  function renderForMode(song) {
+    insectPhotoEl.classList.add("hidden");
+    insectPhotoEl.src = "";
+    insectPhotoEl.alt = "";
 
-    specRegionEl.textContent = song.region
-      ? `Region: ${song.region}`
-      : "Region: —";
+    creditsEl.innerHTML = buildCreditsHTML(song);
     winMarkEl.classList.remove("win-mark-visible");
 
     if (currentMode === "spectrogram") {
       specAxesWrapperEl.classList.remove("hidden");
-      spectrogramImageEl.src = song.spectrogramImage;
-      spectrogramImageEl.alt = `Spectrogram of ${song.commonName} call`;
-      audioPlayerEl.src = song.audio;
-      specTaglineEl.textContent = "Who is calling?";
-      factLabelEl.textContent = "After the guess";
-      factTextEl.textContent = "Identify the caller to reveal a fun fact.";
+      showLiveSpectrogram(song);
+      window.InsectAudioSources.setSource(audioPlayerEl, song, handleAudioError, resumeAfterFallback);
     } else if (currentMode === "image") {
       specAxesWrapperEl.classList.remove("hidden");
+      hideLiveSpectrogram();
       spectrogramImageEl.src = song.photo;
-      spectrogramImageEl.alt = `Photo of ${song.commonName}`;
-      audioPlayerEl.src = song.audio;
-      specTaglineEl.textContent = "Who is this insect?";
-      factLabelEl.textContent = "After the guess";
-      factTextEl.textContent = "Identify the insect to reveal a fun fact.";
-    } else if (currentMode === "facts") {
+      window.InsectAudioSources.setSource(audioPlayerEl, song, handleAudioError, resumeAfterFallback);
+    } else if (currentMode === "facts" || currentMode === "listen") {
+      specAxesWrapperEl.classList.add("hidden");
+      hideLiveSpectrogram();
+      spectrogramImageEl.src = "";
+      spectrogramImageEl.alt = "";
+      window.InsectAudioSources.setSource(audioPlayerEl, song, handleAudioError, resumeAfterFallback);
+    } else if (currentMode === "reverse") {
+      // the named species' own call would give the answer away
       specAxesWrapperEl.classList.add("hidden");
+      hideLiveSpectrogram();
       spectrogramImageEl.src = "";
       spectrogramImageEl.alt = "";
-      audioPlayerEl.src = song.audio;
-      specTaglineEl.textContent = "Which insect fits this description?";
-      factLabelEl.textContent = "Description";
+      audioPlayerEl.removeAttribute("src");
+      audioPlayerEl.load();
+    }
+    renderRoundText(song);
+  }
+
+  // the round's words, apart from the answers; redrawn when the language changes
+  function renderRoundText(song) {
+    const regionLabel = getRegionLabel(song);
+    specRegionEl.textContent = regionLabel
+      ? t("regionLabel", { region: regionLabel })
+      : t("regionLabel.none");
+
+    if (hasAnswered) {
+      specTaglineEl.textContent = getSongName(song);
+      factLabelEl.textContent = t("fact.fun");
+      factTextEl.textContent = getSongFact(song);
+    } else if (currentMode === "spectrogram") {
+      specTaglineEl.textContent = t("tagline.spectrogram");
+      factLabelEl.textContent = t("fact.afterGuess");
+      factTextEl.textContent = t("factPrompt.spectrogram");
+    } else if (currentMode === "image") {
+      specTaglineEl.textContent = t("tagline.image");
+      factLabelEl.textContent = t("fact.afterGuess");
+      factTextEl.textContent = t("factPrompt.image");
+    } else if (currentMode === "facts") {
+      specTaglineEl.textContent = t("tagline.facts");
+      factLabelEl.textContent = t("fact.description");
       factTextEl.textContent = redactFact(song);
+    } else if (currentMode === "listen") {
+      specTaglineEl.textContent = t("tagline.listen");
+      factLabelEl.textContent = t("fact.afterGuess");
+      factTextEl.textContent = t("factPrompt.spectrogram");
+    } else if (currentMode === "reverse") {
+      specTaglineEl.textContent = t("tagline.reverse", { name: getTargetName(song) });
+      factLabelEl.textContent = t("fact.afterGuess");
+      factTextEl.textContent = t("factPrompt.spectrogram");
+    }
+    if (currentMode === "reverse") {
+      questionTextEl.textContent = t("question.reverse", { name: getTargetName(song) });
+    }
+    updateListenCount();
+    if (currentMode === "image") {
+      spectrogramImageEl.alt = t("alt.photo", { name: getSongName(song) });
+    } else if (currentMode === "spectrogram" && !spectrogramImageEl.classList.contains("hidden")) {
+      spectrogramImageEl.alt = t("alt.spectrogram");
+    }
+    if (!spectrogramCanvasEl.classList.contains("hidden")) {
+      spectrogramCanvasEl.setAttribute("aria-label", t("alt.spectrogram"));
+    }
+  }
+
+  // ---- Live spectrogram ----
+
+  // Computes the spectrogram from the song's audio and draws it on the canvas.
+  // Falls back to the contributor's static spectrogramImage if the audio
+  // can't be fetched or decoded (e.g. when the page is opened from file://).
+  function showLiveSpectrogram(song) {
+    currentSpec = null;
+    specLayout = null;
+    updatePlayhead();
+
+    spectrogramImageEl.classList.add("hidden");
+    spectrogramImageEl.src = "";
+    spectrogramImageEl.alt = "";
+    spectrogramCanvasEl.classList.remove("hidden");
+    spectrogramCanvasEl.setAttribute("aria-label", t("alt.spectrogram"));
+    const ctx2d = spectrogramCanvasEl.getContext("2d");
+    if (ctx2d) ctx2d.clearRect(0, 0, spectrogramCanvasEl.width, spectrogramCanvasEl.height);
+
+    if (!window.InsectSpectrogram) {
+      showStaticSpectrogram(song);
+      return;
+    }
+
+    loadSpectrogram(song)
+      .then(spec => {
+        if (currentSong !== song || currentMode !== "spectrogram") return;
+        currentSpec = spec;
+        drawLiveSpectrogram();
+        startRoundClock();
+      })
+      .catch(() => {
+        if (currentSong !== song || currentMode !== "spectrogram") return;
+        showStaticSpectrogram(song);
+      });
+  }
+
+  // the song's spectrogram, from the first of its recordings that decodes
+  function loadSpectrogram(song, ctx = getAudioCtx()) {
+    return window.InsectAudioSources.tryEach(song,
+      src => window.InsectSpectrogram.load(src, ctx));
+  }
+
+  function showStaticSpectrogram(song) {
+    spectrogramCanvasEl.classList.add("hidden");
+    if (!song.spectrogramImage) return;
+    spectrogramImageEl.src = song.spectrogramImage;
+    spectrogramImageEl.alt = t("alt.spectrogram");
+    spectrogramImageEl.classList.remove("hidden");
+    if (currentMode === "spectrogram") startRoundClock();
+  }
+
+  function hideLiveSpectrogram() {
+    currentSpec = null;
+    specLayout = null;
+    updatePlayhead();
+    spectrogramCanvasEl.classList.add("hidden");
+    spectrogramImageEl.classList.remove("hidden");
+  }
+
+  function drawLiveSpectrogram() {
+    if (!currentSpec) return;
+    specLayout = window.InsectSpectrogram.render(spectrogramCanvasEl, currentSpec);
+    updatePlayhead();
+  }
+
+  function updatePlayhead() {
+    if (!specLayout) {
+      specPlayheadEl.classList.add("hidden");
+      return;
+    }
+    window.InsectSpectrogram.placePlayhead(
+      specPlayheadEl,
+      specLayout,
+      audioPlayerEl.currentTime
+    );
+    specPlayheadEl.classList.remove("hidden");
+  }
+
+  function playheadLoop() {
+    updatePlayhead();
+    playheadFrame = audioPlayerEl.paused
+      ? null
+      : window.requestAnimationFrame(playheadLoop);
+  }
+
+  function startPlayhead() {
+    if (playheadFrame === null) {
+      playheadFrame = window.requestAnimationFrame(playheadLoop);
     }
   }
 
+  // 1 for equal values, falling to 0 at a factor of two apart (or unknown)
+  function featureCloseness(a, b) {
+    if (!(a > 0) || !(b > 0)) return 0;
+    return Math.max(0, 1 - Math.abs(Math.log2(a / b)));
+  }
+
+  // how easily `other` could be mistaken for `target`:
+  // taxonomy (same family > same order) plus a similar-sounding song
+  function similarityScore(target, other) {
+    let score = 0;
+    if (target.family && target.family === other.family) score += 3;
+    else if (target.order && target.order === other.order) score += 1;
+    score += 2 * featureCloseness(target.dominantKHz, other.dominantKHz);
+    score += featureCloseness(target.pulseRate, other.pulseRate);
+    return score;
+  }
+
+  // most similar species first; ties, and species with nothing in common
+  // (score 0), stay in random order, so a pool without look-alikes falls
+  // back to random distractors
+  function pickSimilarDistractors(target, candidates, count, random) {
+    return shuffleArray(candidates, random)
+      .map(song => ({ song, score: similarityScore(target, song) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(x => x.song);
+  }
+
   function buildChoices(correctName) {
-    const pool = getRegionPool().map(s => s.commonName);
-    const others = pool.filter(n => n !== correctName);
-    const wrong = shuffleArray(others).slice(0, 3);
-    return shuffleArray([correctName, ...wrong]);
+    const random = getRandom("choices");
+    const target = SONGS.find(s => s.commonName === correctName);
+    const others = getChoicePool().filter(s => s.commonName !== correctName);
+    const count = getAnswerChoices() - 1;
+    const wrong = getDifficulty() === "hard" && target
+      ? pickSimilarDistractors(target, others, count, random)
+      : shuffleArray(others, random).slice(0, count);
+    return shuffleArray([correctName, ...wrong.map(s => s.commonName)], random);
   }
 
   function renderAnswers(song) {
@@ -365,19 +1029,28 @@ creditsEl.innerHTML = photoHTML + audioHTML;
       const btn = document.createElement("button");
       btn.type = "button";
       btn.className = "answer-btn";
-      btn.setAttribute("aria-label", `Guess: ${commonName}`);
+      btn.setAttribute("aria-label", t("answer.aria", { name: getSongName(songObj) }));
 
       btn.dataset.commonName = songObj.commonName;
       btn.dataset.scientificName = songObj.species;
 
+      // number key that picks it (see handleShortcut)
+      const number = String(answersListEl.children.length + 1);
+      btn.setAttribute("aria-keyshortcuts", number);
+      const keyEl = document.createElement("span");
+      keyEl.className = "answer-key";
+      keyEl.setAttribute("aria-hidden", "true");
+      keyEl.textContent = number;
+
       const label = document.createElement("span");
       label.className = "answer-label";
-      label.textContent = sciNamesOn ? songObj.species : songObj.commonName;
+      label.textContent = showsScientificNames() ? songObj.species : getSongName(songObj);
 
       const meta = document.createElement("span");
       meta.className = "answer-meta";
-      meta.textContent = "Guess";
+      meta.textContent = t("answer.guess");
 
+      btn.appendChild(keyEl);
       btn.appendChild(label);
       btn.appendChild(meta);
 
@@ -388,33 +1061,160 @@ creditsEl.innerHTML = photoHTML + audioHTML;
     });
   }
 
+  // reverse quiz: the choices are the candidates' calls, each with a play
+  // button and a spectrogram thumbnail computed from the call; they are
+  // numbered, not named, until the answer is revealed
+  function renderReverseAnswers(song) {
+    answersListEl.innerHTML = "";
+    candidateExcerpts = new Map();
+    const choices = buildChoices(song.commonName);
+    // every candidate gets a computed thumbnail or none does: a missing one,
+    // or a contributor's image among computed ones, would stand out
+    const thumbs = [];
+    const dropThumbs = () => thumbs.forEach(thumb => thumb.remove());
+
+    choices.forEach(commonName => {
+      const songObj = SONGS.find(s => s.commonName === commonName);
+      if (!songObj) return;
+      const number = String(answersListEl.children.length + 1);
+
+      const card = document.createElement("div");
+      card.className = "reverse-card";
+
+      const play = document.createElement("button");
+      play.type = "button";
+      play.className = "reverse-play";
+      play.dataset.number = number;
+      play.setAttribute("aria-label", t("reverse.play", { number }));
+      play.textContent = "▶";
+      play.addEventListener("click", () => playCandidate(songObj, play));
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "answer-btn reverse-choice";
+      btn.dataset.commonName = songObj.commonName;
+      btn.dataset.scientificName = songObj.species;
+      btn.dataset.number = number;
+      btn.setAttribute("aria-keyshortcuts", number);
+
+      const keyEl = document.createElement("span");
+      keyEl.className = "answer-key";
+      keyEl.setAttribute("aria-hidden", "true");
+      keyEl.textContent = number;
+      btn.appendChild(keyEl);
+
+      const thumb = buildSpectrogramView(songObj, "reverse-thumb", dropThumbs);
+      thumb.dataset.number = number;
+      // not "spectrogram of <name>", which would give the answer away
+      thumb.setAttribute("aria-label", t("reverse.thumbAlt", { number }));
+      thumbs.push(thumb);
+      btn.appendChild(thumb);
+
+      const label = document.createElement("span");
+      label.className = "reverse-label";
+      btn.appendChild(label);
+
+      const meta = document.createElement("span");
+      meta.className = "answer-meta";
+      meta.textContent = t("answer.guess");
+      btn.appendChild(meta);
+
+      labelReverseChoice(btn);
+      btn.addEventListener("click", () =>
+        handleAnswer(songObj.commonName, btn)
+      );
+
+      card.appendChild(play);
+      card.appendChild(btn);
+      answersListEl.appendChild(card);
+    });
+  }
+
+  // "Candidate 2" while the round is open, the species' name once answered
+  function labelReverseChoice(btn) {
+    const label = btn.querySelector(".reverse-label");
+    let text = t("reverse.candidate", { number: btn.dataset.number });
+    if (hasAnswered) {
+      const song = SONGS.find(s => s.commonName === btn.dataset.commonName);
+      text = showsScientificNames() || !song ? btn.dataset.scientificName : getSongName(song);
+    }
+    if (label) label.textContent = text;
+    btn.setAttribute("aria-label", hasAnswered ? text : t("reverse.choice", { number: btn.dataset.number }));
+  }
+
+  // the name the reverse quiz asks for
+  function getTargetName(song) {
+    return showsScientificNames() ? song.species : getSongName(song);
+  }
+
   function updateSciToggleUI() {
     if (sciToggleBtn) {
-      if (sciNamesOn) {
+      sciToggleBtn.disabled = settings.sciNamesRequired;
+      if (settings.sciNamesRequired) {
         sciToggleBtn.classList.add("mode-on");
         sciToggleBtn.classList.remove("mode-off");
-        sciToggleBtn.textContent = "Show scientific names: ON";
+        sciToggleBtn.textContent = t("toggle.sci.required");
+        sciToggleBtn.setAttribute("aria-pressed", "true");
+      } else if (sciNamesOn) {
+        sciToggleBtn.classList.add("mode-on");
+        sciToggleBtn.classList.remove("mode-off");
+        sciToggleBtn.textContent = t("toggle.sci.on");
         sciToggleBtn.setAttribute("aria-pressed", "true");
       } else {
         sciToggleBtn.classList.add("mode-off");
         sciToggleBtn.classList.remove("mode-on");
-        sciToggleBtn.textContent = "Show scientific names: OFF";
+        sciToggleBtn.textContent = t("toggle.sci.off");
         sciToggleBtn.setAttribute("aria-pressed", "false");
       }
     }
   }
 
+  function isLearnMode() {
+    return learnModeOn && !!window.InsectGameLearning;
+  }
+
+  function updateLearnToggleUI() {
+    if (!learnToggleBtn) return;
+    learnToggleBtn.classList.toggle("mode-on", learnModeOn);
+    learnToggleBtn.classList.toggle("mode-off", !learnModeOn);
+    learnToggleBtn.textContent = t(learnModeOn ? "toggle.learn.on" : "toggle.learn.off");
+    learnToggleBtn.setAttribute("aria-pressed", learnModeOn ? "true" : "false");
+  }
+
+  function updateDifficultyToggleUI() {
+    if (!difficultyToggleBtn) return;
+    const hard = difficulty === "hard";
+    difficultyToggleBtn.classList.toggle("mode-on", hard);
+    difficultyToggleBtn.classList.toggle("mode-off", !hard);
+    difficultyToggleBtn.textContent = t(hard ? "toggle.difficulty.hard" : "toggle.difficulty.standard");
+    difficultyToggleBtn.setAttribute("aria-pressed", hard ? "true" : "false");
+  }
+
+  function updateTimedToggleUI() {
+    if (!timedToggleBtn) return;
+    timedToggleBtn.classList.toggle("mode-on", timedOn);
+    timedToggleBtn.classList.toggle("mode-off", !timedOn);
+    timedToggleBtn.textContent = t(timedOn ? "toggle.timed.on" : "toggle.timed.off");
+    timedToggleBtn.setAttribute("aria-pressed", timedOn ? "true" : "false");
+  }
+
   function applySciToggleToButtons() {
     const buttons = answersListEl.querySelectorAll(".answer-btn");
     buttons.forEach(btn => {
       const labelSpan = btn.querySelector(".answer-label");
       if (!labelSpan) return;
-      if (sciNamesOn) {
+      if (showsScientificNames()) {
         labelSpan.textContent = btn.dataset.scientificName;
       } else {
-        labelSpan.textContent = btn.dataset.commonName;
+        const song = SONGS.find(s => s.commonName === btn.dataset.commonName);
+        labelSpan.textContent = song ? getSongName(song) : btn.dataset.commonName;
       }
     });
+    // the reverse quiz names its species in the question instead
+    if (currentMode === "reverse" && currentSong) {
+      answersListEl.querySelectorAll(".reverse-choice").forEach(labelReverseChoice);
+      renderRoundText(currentSong);
+    }
   }
 
   function showWinMark() {
@@ -484,319 +1284,2210 @@ creditsEl.innerHTML = photoHTML + audioHTML;
     });
   }
 
-  function playFromStart() {
-    if (!currentSong || !audioPlayerEl) return;
-    audioPlayerEl.currentTime = 0;
-    audioPlayerEl.play().catch(() => {});
-  }
-
-  function togglePlayPause() {
-    if (!audioPlayerEl) return;
-    if (audioPlayerEl.paused) {
-      audioPlayerEl.play().catch(() => {});
-    } else {
-      audioPlayerEl.pause();
+  // Routes audioPlayerEl through audioCtx (once; a media element can only
+  // have one source node) so excerpts can fade in and out.
+  function getAudioGraph() {
+    if (audioGraph) return audioGraph;
+    const ctx = getAudioCtx();
+    if (!ctx || !ctx.createMediaElementSource) return null;
+    try {
+      const source = ctx.createMediaElementSource(audioPlayerEl);
+      const gain = ctx.createGain();
+      source.connect(gain);
+      gain.connect(ctx.destination);
+      audioGraph = { source, gain };
+    } catch (e) {
+      return null;
     }
+    return audioGraph;
   }
 
-  function showHintOverlay(song) {
-    hintTextEl.textContent = getHintText(song);
-    hintOverlayEl.classList.remove("hidden");
+  function isQuizMode() {
+    return QUIZ_MODES.includes(currentMode);
   }
 
-  function hideHintOverlay() {
-    hintOverlayEl.classList.add("hidden");
+  // modes where the call is the question, so the round starts when it plays
+  function startsWithCall() {
+    return currentMode === "spectrogram" || currentMode === "listen";
   }
 
-  // ABOUT OVERLAY
-const aboutOverlay = document.getElementById("about-overlay");
-const aboutOpen = document.getElementById("about-open");
-const aboutClose = document.getElementById("about-close");
-
-if (aboutOpen && aboutClose && aboutOverlay) {
-  aboutOpen.addEventListener("click", () => {
-    aboutOverlay.classList.remove("hidden");
-  });
-
-  aboutClose.addEventListener("click", () => {
-    aboutOverlay.classList.add("hidden");
-  });
+  // valid [start, end] pairs from the species' optional callSegments
+  function getCallSegments(song, duration) {
+    if (!Array.isArray(song.callSegments)) return [];
+    return song.callSegments
+      .filter(seg => Array.isArray(seg) && seg[0] >= 0 && seg[1] > seg[0])
+      .map(([start, end]) => ({ start, end: Math.min(end, duration) }))
+      .filter(seg => seg.end > seg.start);
+  }
 
-  // Click outside to close
-  aboutOverlay.addEventListener("click", (e) => {
-    if (e.target === aboutOverlay) {
-      aboutOverlay.classList.add("hidden");
+  // a random clean song bout if the species lists any, otherwise a random
+  // EXCERPT_SECONDS window, so players can't learn the start of the recording
+  function chooseExcerpt(song, duration) {
+    const random = getRandom("excerpt");
+    const segments = getCallSegments(song, duration);
+    if (segments.length) {
+      return segments[Math.floor(random() * segments.length)];
     }
-  });
-}
+    if (duration <= EXCERPT_SECONDS) return { start: 0, end: duration };
+    const start = random() * (duration - EXCERPT_SECONDS);
+    return { start, end: start + EXCERPT_SECONDS };
+  }
 
+  // calls fn once the audio's duration is known
+  function whenDurationKnown(fn) {
+    if (isFinite(audioPlayerEl.duration) && audioPlayerEl.duration > 0) {
+      fn();
+      return;
+    }
+    const song = currentSong;
+    audioPlayerEl.addEventListener("loadedmetadata", () => {
+      if (currentSong === song) fn();
+    }, { once: true });
+  }
 
-  function getModeCorrectMessage(firstTry) {
-    if (currentMode === "spectrogram") {
-      return firstTry
-        ? "Correct! Nice listening."
-        : "That's it! Now you've found the right caller.";
-    } else if (currentMode === "image") {
-      return firstTry
-        ? "Correct! Nice observation."
-        : "That's it! Now you've picked the right insect.";
-    } else if (currentMode === "facts") {
-      return firstTry
-        ? "Correct! Nice recall."
-        : "That's it! You've matched the right species.";
+  function stopExcerpt() {
+    if (excerptTimer) {
+      clearTimeout(excerptTimer);
+      excerptTimer = null;
     }
-    return firstTry ? "Correct!" : "You got it.";
   }
 
-  function getEndMessage(score, mode) {
-    if (mode === "spectrogram") {
-      switch (score) {
-        case 0: return "You need to clean your ears. Play again...";
-        case 1: return "You need to learn to listen. Play again...";
-        case 2: return "Almost half way there!";
-        case 3: return "Pretty good! Your chance of finding a mate is more than 50%!";
-        case 4: return "Impressive ears!";
-        case 5:
-        default:
-          return "Master of insect sounds! You must be an insect sound biologist!";
-      }
-    } else if (mode === "image") {
-      switch (score) {
-        case 0: return "You need new glasses. Play again...";
-        case 1: return "You need to look more closely. Play again...";
-        case 2: return "Almost half way there! Keep sharpening your eyes.";
-        case 3: return "Pretty good! Your field ID skills are waking up.";
-        case 4: return "Impressive eye for insects!";
-        case 5:
-        default:
-          return "Master of insect identification! Your field guide game is strong!";
-      }
-    } else if (mode === "facts") {
-      switch (score) {
-        case 0: return "You need to hit the books. Play again...";
-        case 1: return "You need to brush up your insect trivia.";
-        case 2: return "Almost half way there! These facts are starting to stick.";
-        case 3: return "Pretty good! Your insect natural history memory is solid.";
-        case 4: return "Impressive knowledge! You're almost a walking field guide.";
-        case 5:
-        default:
-          return "Master of insect facts! You must be an insect natural history expert!";
+  // plays from `from` to the end of currentExcerpt, fading in and out;
+  // `retried` is the same press again, so it doesn't count as a replay
+  function playExcerptFrom(from, retried) {
+    const excerpt = currentExcerpt;
+    stopExcerpt();
+    if (from === excerpt.start && !hasAnswered && !retried) {
+      roundPlays++;
+      updateListenCount();
+    }
+    audioPlayerEl.currentTime = from;
+
+    const graph = getAudioGraph();
+    const ctx = audioCtx;
+    if (ctx && ctx.state === "suspended") ctx.resume();
+
+    audioPlayerEl.play().then(() => {
+      const remaining = Math.max(0, excerpt.end - audioPlayerEl.currentTime);
+      if (graph) {
+        const now = ctx.currentTime;
+        const fade = Math.min(FADE_SECONDS, remaining / 2);
+        const g = graph.gain.gain;
+        g.cancelScheduledValues(now);
+        g.setValueAtTime(0.0001, now);
+        g.linearRampToValueAtTime(1, now + fade);
+        g.setValueAtTime(1, now + remaining - fade);
+        g.linearRampToValueAtTime(0.0001, now + remaining);
       }
+      excerptTimer = setTimeout(() => {
+        excerptTimer = null;
+        audioPlayerEl.pause();
+      }, remaining * 1000);
+    }).catch(handlePlayError);
+  }
+
+  function playFromStart() {
+    if (!currentSong || !audioPlayerEl) return;
+    if (!isQuizMode()) {
+      audioPlayerEl.currentTime = 0;
+      audioPlayerEl.play().catch(handlePlayError);
+      return;
     }
-    // fallback
-    switch (score) {
-      case 0: return "Play again and see what you can learn!";
-      case 1: return "Keep practicing!";
-      case 2: return "Almost half way there!";
-      case 3: return "Pretty good!";
-      case 4: return "Nice work!";
-      case 5:
-      default: return "Excellent!";
+    // replay repeats the same excerpt for this round
+    whenDurationKnown(() => {
+      if (!currentExcerpt) {
+        currentExcerpt = chooseExcerpt(currentSong, audioPlayerEl.duration);
+      }
+      playExcerptFrom(currentExcerpt.start);
+    });
+  }
+
+  // the recording's file failed while playing and the next format is
+  // ready (see InsectAudioSources.setSource): the excerpt starts over on it
+  function resumeAfterFallback() {
+    if (!currentSong || !audioPlayerEl) return;
+    if (!isQuizMode() || !currentExcerpt) {
+      audioPlayerEl.play().catch(handlePlayError);
+      return;
     }
+    playExcerptFrom(currentExcerpt.start, true);
+  }
+
+  function togglePlayPause() {
+    if (!audioPlayerEl) return;
+    if (!audioPlayerEl.paused) {
+      stopExcerpt();
+      audioPlayerEl.pause();
+    } else if (!isQuizMode() || !currentExcerpt) {
+      if (isQuizMode()) {
+        playFromStart();
+      } else {
+        audioPlayerEl.play().catch(handlePlayError);
+      }
+    } else {
+      // resume inside the excerpt, or start it over once it has finished
+      const t = audioPlayerEl.currentTime;
+      const inside = t >= currentExcerpt.start && t < currentExcerpt.end - FADE_SECONDS;
+      playExcerptFrom(inside ? t : currentExcerpt.start);
+    }
+  }
+
+  // ---- Listening only ----
+
+  // plays after the first, up to the answer
+  function getRoundReplays() {
+    return Math.max(0, roundPlays - 1);
+  }
+
+  function updateListenCount() {
+    if (!listenCountEl) return;
+    listenCountEl.textContent = t("listen.replays", { count: getRoundReplays() });
+  }
+
+  function renderListenSummary() {
+    if (!endListenEl) return;
+    if (currentMode !== "listen" || !roundsAnswered) {
+      endListenEl.classList.add("hidden");
+      return;
+    }
+    endListenEl.textContent = t("end.listen.replays", {
+      count: gameReplays,
+      average: (gameReplays / roundsAnswered).toFixed(1)
+    });
+    endListenEl.classList.remove("hidden");
+  }
+
+  // ---- Reverse quiz: candidate calls ----
+
+  // plays one candidate's excerpt; pressing its button again stops it
+  function playCandidate(song, playEl) {
+    const wasPlaying = candidatePlayEl === playEl;
+    stopCandidate();
+    if (wasPlaying) return;
+
+    stopExcerpt();
+    audioPlayerEl.pause();
+    if (!candidateAudioEl) {
+      candidateAudioEl = new Audio();
+      candidateAudioEl.preload = "auto";
+    }
+    if (candidateSong !== song) {
+      candidateSong = song;
+      window.InsectAudioSources.setSource(candidateAudioEl, song, error => {
+        if (window.InsectMediaCheck && !window.InsectMediaCheck.isTransient(error)) {
+          window.InsectMediaCheck.markBroken(song, "audio", window.InsectMediaCheck.describeError(error));
+        }
+        stopCandidate();
+        showMediaWarning(`🔇 ${t("media.warning.audio")}`);
+      }, resumeCandidate);
+    }
+    candidatePlayEl = playEl;
+    playEl.classList.add("playing");
+    playEl.textContent = "■";
+
+    const audio = candidateAudioEl;
+    const start = () => {
+      if (candidatePlayEl !== playEl) return;
+      let excerpt = candidateExcerpts.get(song);
+      if (!excerpt) {
+        excerpt = chooseExcerpt(song, audio.duration);
+        candidateExcerpts.set(song, excerpt);
+      }
+      audio.currentTime = excerpt.start;
+      audio.play().then(() => {
+        if (candidatePlayEl !== playEl) return;
+        candidateTimer = setTimeout(stopCandidate, Math.max(0, excerpt.end - audio.currentTime) * 1000);
+      }).catch(() => {
+        // without an error the next format is loading and resumeCandidate
+        // goes on; a file that won't load is reported by setSource's onFail
+        if (candidatePlayEl === playEl && audio.error) stopCandidate();
+      });
+    };
+    if (isFinite(audio.duration) && audio.duration > 0) {
+      start();
+    } else {
+      audio.addEventListener("loadedmetadata", start, { once: true });
+    }
+  }
+
+  // the candidate's file failed while playing and its next format is ready
+  function resumeCandidate() {
+    const playEl = candidatePlayEl;
+    if (!playEl || !candidateSong) return;
+    stopCandidate();
+    playCandidate(candidateSong, playEl);
+  }
+
+  function stopCandidate() {
+    if (candidateTimer) {
+      clearTimeout(candidateTimer);
+      candidateTimer = null;
+    }
+    if (candidateAudioEl) candidateAudioEl.pause();
+    if (candidatePlayEl) {
+      candidatePlayEl.classList.remove("playing");
+      candidatePlayEl.textContent = "▶";
+      candidatePlayEl = null;
+    }
+  }
+
+  // ---- Timed challenge ----
+
+  function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+
+  // starts the countdown once per round (no-op outside timed challenge)
+  function startRoundClock() {
+    if (!timedOn || !currentMode || hasAnswered || roundClock) return;
+    const now = Date.now();
+    roundClock = {
+      startedAt: now,
+      deadline: now + TIMED_ROUND_SECONDS * 1000,
+      stoppedAt: null
+    };
+    clockTimer = setInterval(tickRoundClock, 100);
+    updateTimerText();
+  }
+
+  // stops the countdown; returns ms since it started, or null if it never ran
+  function stopRoundClock() {
+    if (clockTimer) {
+      clearInterval(clockTimer);
+      clockTimer = null;
+    }
+    if (!roundClock) return null;
+    if (roundClock.stoppedAt === null) {
+      roundClock.stoppedAt = Math.min(Date.now(), roundClock.deadline);
+    }
+    return roundClock.stoppedAt - roundClock.startedAt;
+  }
+
+  function resetRoundClock() {
+    stopRoundClock();
+    roundClock = null;
+    updateTimerText();
+  }
+
+  function tickRoundClock() {
+    if (roundClock && Date.now() >= roundClock.deadline) {
+      handleTimeout();
+      return;
+    }
+    updateTimerText();
+  }
+
+  function updateTimerText() {
+    if (!timerTextEl) return;
+    timerTextEl.classList.toggle("hidden", !timedOn);
+    if (!timedOn) return;
+
+    let remainingMs = TIMED_ROUND_SECONDS * 1000;
+    if (roundClock) {
+      // frozen once the round is answered
+      const now = roundClock.stoppedAt === null ? Date.now() : roundClock.stoppedAt;
+      remainingMs = Math.max(0, roundClock.deadline - now);
+    }
+    const waitingKey = currentMode === "spectrogram" ? "timer.waitingSpectrogram" : "timer.waiting";
+    timerTextEl.textContent = roundClock
+      ? `⏱ ${formatSeconds(remainingMs)}`
+      : `⏱ ${t(waitingKey, { time: formatSeconds(remainingMs) })}`;
+    timerTextEl.classList.toggle("timer-low", !!roundClock && remainingMs <= TIMED_LOW_SECONDS * 1000);
+  }
+
+  // a correct answer is worth more the faster it comes; a wrong guess
+  // first halves it
+  function getTimedPoints(reactionMs, firstTry) {
+    const left = 1 - reactionMs / (TIMED_ROUND_SECONDS * 1000);
+    const points = Math.max(1, Math.round(TIMED_MAX_POINTS * left));
+    return firstTry ? points : Math.max(1, Math.round(points / 2));
+  }
+
+  // time ran out: the round counts as missed and the answer is shown
+  function handleTimeout() {
+    if (hasAnswered) return;
+    stopRoundClock();
+    hasAnswered = true;
+    roundsAnswered++;
+    if (hintBtnEl) hintBtnEl.disabled = true;
+    if (hintOverlayEl) hideHintOverlay();
+
+    stopExcerpt();
+    audioPlayerEl.pause();
+    recordRoundOutcome(false, { reactionMs: null, timedOut: true });
+
+    feedbackLineEl.textContent = t("feedback.timeUp", { name: getSongName(currentSong) });
+    feedbackLineEl.classList.remove("correct");
+    feedbackLineEl.classList.add("wrong");
+
+    revealAnswer();
+    updateScoreText();
+    updateTimerText();
+
+    nextBtnEl.disabled = true;
+    showRevealOverlay(currentSong, false, t("reveal.timeUp"));
+  }
+
+  function loadFieldSettings() {
+    const defaults = { noise: "off", snr: "adaptive", decoy: false, adaptiveSnr: SNR_START };
+    try {
+      const parsed = JSON.parse(localStorage.getItem(FIELD_KEY) || "{}");
+      return Object.assign(defaults, parsed);
+    } catch (e) {
+      return defaults;
+    }
+  }
+
+  function saveFieldSettings() {
+    try {
+      localStorage.setItem(FIELD_KEY, JSON.stringify(fieldSettings));
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
+  }
+
+  function isFieldActive() {
+    return FIELD_MODES.includes(currentMode) &&
+      !!window.InsectFieldNoise &&
+      (fieldSettings.noise !== "off" || fieldSettings.decoy);
+  }
+
+  function formatSnr(db) {
+    return `${db > 0 ? "+" : ""}${db} dB`;
+  }
+
+  function updateFieldToggleLabel() {
+    if (!fieldToggleBtn) return;
+    if (fieldSettings.noise === "off" && !fieldSettings.decoy) {
+      fieldToggleBtn.textContent = `🌾 ${t("field.toggle.off")}`;
+      return;
+    }
+    const snr = fieldSettings.snr === "adaptive"
+      ? t("field.adaptive", { snr: formatSnr(fieldSettings.adaptiveSnr) })
+      : formatSnr(fieldSettings.snr);
+    fieldToggleBtn.textContent = `🌾 ${t("field.toggle.on", { snr })}`;
+  }
+
+  // picks this round's noise bed, SNR and decoy, and starts loading the decoy
+  function prepareRoundField(song) {
+    roundField = null;
+    if (!isFieldActive()) return;
+
+    const beds = window.InsectFieldNoise.BEDS;
+    let noise = fieldSettings.noise;
+    if (noise === "random") noise = beds[Math.floor(Math.random() * beds.length)].id;
+
+    roundField = {
+      noise: noise === "off" ? null : noise,
+      snrDb: fieldSettings.snr === "adaptive" ? fieldSettings.adaptiveSnr : fieldSettings.snr,
+      decoy: null,
+      decoyBuffer: null
+    };
+
+    // the decoy is one of the wrong answer choices, so it can't be ruled out by ear alone
+    if (fieldSettings.decoy) {
+      const names = [...answersListEl.querySelectorAll(".answer-btn")]
+        .map(btn => btn.dataset.commonName)
+        .filter(name => name !== song.commonName);
+      const decoyName = names[Math.floor(Math.random() * names.length)];
+      roundField.decoy = SONGS.find(s => s.commonName === decoyName) || null;
+    }
+
+    const field = roundField;
+    const ctx = getAudioCtx();
+    if (field.decoy && window.InsectSpectrogram && ctx) {
+      window.InsectAudioSources.tryEach(field.decoy,
+        src => window.InsectSpectrogram.loadBuffer(src, ctx))
+        .then(buffer => {
+          field.decoyBuffer = buffer;
+          field.decoyRms = window.InsectSpectrogram.measureRms(buffer);
+        })
+        .catch(() => {});
+    }
+  }
+
+  function addFieldLayer(ctx, buffer, gainValue) {
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    const gain = ctx.createGain();
+    const now = ctx.currentTime;
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.linearRampToValueAtTime(gainValue, now + FADE_SECONDS);
+    source.connect(gain);
+    gain.connect(ctx.destination);
+    source.start(now, Math.random() * buffer.duration);
+    fieldLayers.push({ source, gain });
+  }
+
+  // noise and decoy play only while the call does
+  function startFieldLayers() {
+    const field = roundField;
+    const ctx = audioCtx;
+    if (!field || !ctx || !audioGraph || fieldLayers.length) return;
+
+    const signalPromise = window.InsectSpectrogram
+      ? loadSpectrogram(currentSong, ctx)
+        .then(spec => spec.signalRms || DEFAULT_SIGNAL_RMS)
+        .catch(() => DEFAULT_SIGNAL_RMS)
+      : Promise.resolve(DEFAULT_SIGNAL_RMS);
+
+    const bedPromise = field.noise
+      ? window.InsectFieldNoise.getBed(ctx, field.noise).catch(() => null)
+      : Promise.resolve(null);
+
+    Promise.all([signalPromise, bedPromise]).then(([signalRms, bed]) => {
+      if (roundField !== field || audioPlayerEl.paused || fieldLayers.length) return;
+      if (bed) {
+        addFieldLayer(ctx, bed.buffer,
+          window.InsectFieldNoise.gainForSnr(signalRms, bed.rms, field.snrDb));
+      }
+      if (field.decoyBuffer) {
+        addFieldLayer(ctx, field.decoyBuffer,
+          window.InsectFieldNoise.gainForSnr(signalRms, field.decoyRms, -DECOY_LEVEL_DB));
+      }
+    });
+  }
+
+  function stopFieldLayers() {
+    if (!fieldLayers.length) return;
+    const now = audioCtx.currentTime;
+    fieldLayers.forEach(({ source, gain }) => {
+      gain.gain.cancelScheduledValues(now);
+      gain.gain.setValueAtTime(gain.gain.value, now);
+      gain.gain.linearRampToValueAtTime(0.0001, now + 0.1);
+      source.stop(now + 0.12);
+    });
+    fieldLayers = [];
+  }
+
+  // adaptive SNR gets harder after first-try answers and easier after misses
+  function updateAdaptiveSnr(firstTry) {
+    if (!roundField || fieldSettings.snr !== "adaptive") return;
+    const next = fieldSettings.adaptiveSnr + (firstTry ? -SNR_STEP : SNR_STEP);
+    fieldSettings.adaptiveSnr = Math.max(SNR_MIN, Math.min(SNR_MAX, next));
+    saveFieldSettings();
+    updateFieldToggleLabel();
+  }
+
+  function showFieldOverlay() {
+    fieldNoiseSelectEl.value = fieldSettings.noise;
+    fieldSnrSelectEl.value = String(fieldSettings.snr);
+    fieldDecoyEl.checked = !!fieldSettings.decoy;
+    fieldOverlayEl.classList.remove("hidden");
+  }
+
+  function buildFieldNoiseOptions() {
+    if (!fieldNoiseSelectEl || !window.InsectFieldNoise) return;
+    window.InsectFieldNoise.BEDS.forEach(bed => {
+      const opt = document.createElement("option");
+      opt.value = bed.id;
+      opt.textContent = bed.label;
+      // translated with the rest of the page where the bundles know the bed
+      if (window.InsectGameI18n.has(`field.bed.${bed.id}`)) opt.dataset.i18n = `field.bed.${bed.id}`;
+      fieldNoiseSelectEl.insertBefore(opt, fieldNoiseSelectEl.lastElementChild);
+    });
+  }
+
+  function applyFieldSettings() {
+    const snr = fieldSnrSelectEl.value;
+    fieldSettings.noise = fieldNoiseSelectEl.value;
+    fieldSettings.snr = snr === "adaptive" ? "adaptive" : Number(snr);
+    fieldSettings.decoy = fieldDecoyEl.checked;
+    saveFieldSettings();
+    updateFieldToggleLabel();
+    fieldOverlayEl.classList.add("hidden");
+    if (currentMode) {
+      startNewGame();
+    }
+  }
+
+  function renderFieldSummary() {
+    if (!endFieldEl) return;
+    if (!roundSnrs.length) {
+      endFieldEl.classList.add("hidden");
+      return;
+    }
+    const first = roundSnrs[0];
+    const last = roundSnrs[roundSnrs.length - 1];
+    const range = first === last
+      ? formatSnr(first)
+      : `${formatSnr(first)} → ${formatSnr(last)}`;
+    endFieldEl.textContent = t("end.field", { range });
+    endFieldEl.classList.remove("hidden");
+  }
+
+  function showHintOverlay(song) {
+    hintTextEl.textContent = getHintText(song);
+    hintOverlayEl.classList.remove("hidden");
+  }
+
+  function hideHintOverlay() {
+    hintOverlayEl.classList.add("hidden");
+  }
+
+  function buildSettingsOptions() {
+    if (settingsRoundsEl) {
+      ROUND_OPTIONS.forEach(n => {
+        const opt = document.createElement("option");
+        opt.value = String(n);
+        settingsRoundsEl.appendChild(opt);
+      });
+    }
+    if (settingsChoicesEl) {
+      for (let n = MIN_CHOICES; n <= MAX_CHOICES; n++) {
+        const opt = document.createElement("option");
+        opt.value = String(n);
+        settingsChoicesEl.appendChild(opt);
+      }
+    }
+    labelSettingsOptions();
+  }
+
+  function labelSettingsOptions() {
+    [[settingsRoundsEl, "count.rounds"], [settingsChoicesEl, "count.choices"]].forEach(([el, key]) => {
+      if (!el) return;
+      [...el.options].forEach(opt => {
+        opt.textContent = t(key, { count: Number(opt.value) });
+      });
+    });
+  }
+
+  function updateSettingsToggleLabel() {
+    if (!settingsToggleBtn) return;
+    settingsToggleBtn.textContent = `⚙ ${t("count.rounds", { count: settings.rounds })} · ` +
+      t("count.choices", { count: settings.answerChoices });
+  }
+
+  function updateStartText() {
+    document.querySelectorAll(".rounds-count").forEach(el => {
+      const preset = getPresetGame();
+      el.textContent = String(preset ? preset.rounds : settings.rounds);
+    });
+  }
+
+  function showSettingsOverlay() {
+    settingsRoundsEl.value = String(settings.rounds);
+    settingsChoicesEl.value = String(settings.answerChoices);
+    settingsAutoHintsEl.checked = settings.autoHints;
+    settingsSciRequiredEl.checked = settings.sciNamesRequired;
+    settingsOverlayEl.classList.remove("hidden");
+  }
+
+  function applySettings() {
+    settings.rounds = Number(settingsRoundsEl.value);
+    settings.answerChoices = Number(settingsChoicesEl.value);
+    settings.autoHints = settingsAutoHintsEl.checked;
+    settings.sciNamesRequired = settingsSciRequiredEl.checked;
+    saveSettings();
+
+    // more answer choices can leave the chosen region too small
+    if (currentRegion && getRegionPool().length < getMinRegionPool()) {
+      currentRegion = null;
+    }
+
+    updateRegionToggleLabel();
+    updateSettingsToggleLabel();
+    updateStartText();
+    updateSciToggleUI();
+    applySciToggleToButtons();
+    settingsOverlayEl.classList.add("hidden");
+    if (currentMode) {
+      startNewGame();
+    }
+  }
+
+  // ABOUT OVERLAY
+const aboutOverlay = document.getElementById("about-overlay");
+const aboutOpen = document.getElementById("about-open");
+const aboutClose = document.getElementById("about-close");
+
+if (aboutOpen && aboutClose && aboutOverlay) {
+  aboutOpen.addEventListener("click", () => {
+    openPage({ page: "about" });
+  });
+
+  aboutClose.addEventListener("click", closePage);
+
+  // Click outside to close
+  aboutOverlay.addEventListener("click", (e) => {
+    if (e.target === aboutOverlay) {
+      closePage();
+    }
+  });
+}
+
+
+  function getModeCorrectMessage(firstTry) {
+    const mode = QUIZ_MODES.includes(currentMode) ? currentMode : "other";
+    return t(`correct.${mode}.${firstTry ? "first" : "retry"}`);
+  }
+
+  // tier: 0 – 5, see getScoreTier
+  function getEndMessage(score, mode) {
+    const tier = Math.max(0, Math.min(5, score));
+    return t(`end.${QUIZ_MODES.includes(mode) ? mode : "other"}.${tier}`);
+  }
+
+  // score scaled to the 0 – 5 tiers used by the end messages and tints,
+  // whatever the game length
+  function getScoreTier(score, rounds) {
+    if (!rounds) return 0;
+    return Math.round((score / rounds) * 5);
   }
 
   function showEndOverlay() {
     const finalScore = scoreCorrect;
+    const tier = getScoreTier(finalScore, totalRounds);
     let tintClass = "tint-bad";
-    if (finalScore <= 1) tintClass = "tint-bad";
-    else if (finalScore <= 3) tintClass = "tint-mid";
+    if (tier <= 1) tintClass = "tint-bad";
+    else if (tier <= 3) tintClass = "tint-mid";
     else tintClass = "tint-good";
 
     endOverlayEl.classList.remove("tint-bad", "tint-mid", "tint-good");
     endOverlayEl.classList.add(tintClass);
 
-    const title =
-      currentMode === "spectrogram"
-        ? "Listening game complete!"
-        : currentMode === "image"
-        ? "Image game complete!"
-        : currentMode === "facts"
-        ? "Fact game complete!"
-        : "Game complete!";
-
-    endTitleEl.textContent = title;
-    endScoreTextEl.textContent = `You scored ${finalScore} / ${TOTAL_ROUNDS}.`;
-    endMessageEl.textContent = getEndMessage(finalScore, currentMode);
+    endTitleEl.textContent = t(`end.title.${QUIZ_MODES.includes(currentMode) ? currentMode : "other"}`);
+    endScoreTextEl.textContent = t("end.score", { score: finalScore, rounds: totalRounds });
+    endMessageEl.textContent = getEndMessage(tier, currentMode);
+    renderFieldSummary();
+    renderTimedSummary();
+    renderListenSummary();
+    renderLearningSummary();
+    renderAssignmentResult();
+    renderDailySummary();
 
     endOverlayEl.classList.remove("hidden");
     playTriumph();
 
     if (window.InsectGameAnalytics) {
+      const details = getGameDetails();
+      if (currentMode === "listen") details.replays = gameReplays;
       window.InsectGameAnalytics.recordGameCompleted(
         currentMode,
         getActiveRegionName(),
         finalScore,
-        TOTAL_ROUNDS
+        totalRounds,
+        details
+      );
+    }
+  }
+
+  // timed challenge: points, average and best reaction time, and the
+  // species this player is slowest on overall
+  function renderTimedSummary() {
+    if (!endTimedEl) return;
+    if (!timedOn) {
+      endTimedEl.classList.add("hidden");
+      return;
+    }
+
+    const lines = [t("end.timed.points", { count: timedPoints })];
+    if (reactionTimes.length) {
+      const total = reactionTimes.reduce((sum, ms) => sum + ms, 0);
+      lines.push(t("end.timed.reaction", {
+        avg: formatSeconds(total / reactionTimes.length),
+        best: formatSeconds(Math.min(...reactionTimes))
+      }));
+    } else {
+      lines.push(t("end.timed.none"));
+    }
+
+    const slowest = window.InsectGameAnalytics
+      ? window.InsectGameAnalytics.getReactionTimes(currentMode, 3)
+      : [];
+    if (slowest.length) {
+      const names = slowest.map(r => {
+        const song = SONGS.find(s => s.species === r.species);
+        const name = song && !showsScientificNames() ? getSongName(song) : r.species;
+        return r.averageMs === null
+          ? t("end.timed.alwaysOut", { name })
+          : `${name} (${formatSeconds(r.averageMs)})`;
+      });
+      lines.push(t("end.timed.slowest", { names: names.join(", ") }));
+    }
+
+    endTimedEl.textContent = lines.join(" ");
+    endTimedEl.classList.remove("hidden");
+  }
+
+  // Learn mode: which species moved up or down a Leitner box this game
+  function renderLearningSummary() {
+    if (!endLearningEl) return;
+    endLearningEl.innerHTML = "";
+    if (!isLearnMode()) {
+      endLearningEl.classList.add("hidden");
+      return;
+    }
+
+    const title = document.createElement("div");
+    title.className = "end-learning-title";
+    title.textContent = t("end.learn.title");
+    endLearningEl.appendChild(title);
+
+    const moved = learningChanges.filter(c => c.change !== "same");
+    if (!moved.length) {
+      const none = document.createElement("div");
+      none.className = "end-learning-none";
+      none.textContent = t("end.learn.none");
+      endLearningEl.appendChild(none);
+    } else {
+      const list = document.createElement("ul");
+      list.className = "end-learning-list";
+      moved.forEach(c => {
+        const li = document.createElement("li");
+        li.className = c.change;
+        const arrow = c.change === "promoted" ? "▲" : "▼";
+        const song = SONGS.find(s => s.species === c.species);
+        const name = showsScientificNames() ? c.species : song ? getSongName(song) : c.commonName;
+        li.textContent = `${arrow} ${t("end.learn.moved", { name, from: c.from, to: c.to })}`;
+        list.appendChild(li);
+      });
+      endLearningEl.appendChild(list);
+    }
+
+    endLearningEl.classList.remove("hidden");
+  }
+
+  function hideEndOverlay() {
+    endOverlayEl.classList.add("hidden");
+  }
+
+  // NEW: show reveal overlay after a correct answer (fact + photo)
+  function showRevealOverlay(song, firstTry, title) {
+    if (!revealOverlayEl) return;
+
+    revealTitleEl.textContent = title || getModeCorrectMessage(firstTry);
+    revealFactTextEl.textContent = getSongFact(song);
+
+    if (song.photo) {
+      revealPhotoEl.src = song.photo;
+      revealPhotoEl.alt = t("alt.photo", { name: getSongName(song) });
+      revealPhotoEl.classList.remove("hidden");
+    } else {
+      revealPhotoEl.src = "";
+      revealPhotoEl.alt = "";
+      revealPhotoEl.classList.add("hidden");
+    }
+
+    revealOverlayEl.classList.remove("hidden");
+  }
+
+  function handleAnswer(selectedName, buttonEl) {
+    if (hasAnswered) return;
+
+    const correct = selectedName === currentSong.commonName;
+    const meta = buttonEl.querySelector(".answer-meta");
+
+    const chosenSong = SONGS.find(s => s.commonName === selectedName);
+    if (window.InsectGameAnalytics && chosenSong) {
+      window.InsectGameAnalytics.recordGuess(
+        currentMode,
+        currentSong.species,
+        chosenSong.species,
+        !hadWrongGuess
       );
     }
-  }
 
-  function hideEndOverlay() {
-    endOverlayEl.classList.add("hidden");
+    // ----- WRONG ANSWER -----
+    if (!correct) {
+      // Mark that this round had at least one wrong guess
+      hadWrongGuess = true;
+
+      // Mark this button as wrong, but keep others clickable
+      if (meta) {
+        meta.textContent = t("answer.tryAgain");
+        meta.classList.add("guess");
+      }
+      buttonEl.classList.add("wrong-choice");
+
+      // Simple, consistent feedback
+      feedbackLineEl.textContent = t("feedback.wrong");
+      feedbackLineEl.classList.remove("correct");
+      feedbackLineEl.classList.add("wrong");
+
+      // Show the hint overlay the first time they get it wrong
+      // (unless hints are set to on request only)
+      if (settings.autoHints && hintOverlayEl && hintOverlayEl.classList.contains("hidden")) {
+        showHintOverlay(currentSong);
+      }
+      return;
+    }
+
+    // ----- CORRECT ANSWER -----
+    hasAnswered = true;
+    roundsAnswered++;
+    if (hintBtnEl) hintBtnEl.disabled = true;
+
+    const firstTry = !hadWrongGuess;
+    const reactionMs = stopRoundClock();
+    updateTimerText();
+    recordRoundOutcome(firstTry, { reactionMs, timedOut: false });
+    if (firstTry) {
+      scoreCorrect++;
+      feedbackLineEl.textContent = getModeCorrectMessage(true);
+      feedbackLineEl.classList.remove("wrong");
+      feedbackLineEl.classList.add("correct");
+      playDing();
+    } else {
+      feedbackLineEl.textContent = getModeCorrectMessage(false);
+      feedbackLineEl.classList.remove("wrong");
+      feedbackLineEl.classList.add("correct");
+    }
+    if (reactionMs !== null) {
+      const points = getTimedPoints(reactionMs, firstTry);
+      reactionTimes.push(reactionMs);
+      timedPoints += points;
+      feedbackLineEl.textContent += ` ${t("feedback.points", { count: points, time: formatSeconds(reactionMs) })}`;
+    }
+
+    revealAnswer();
+    showWinMark();
+    updateScoreText();
+
+    // Disable next until they close the reveal overlay
+    nextBtnEl.disabled = true;
+    showRevealOverlay(currentSong, firstTry);
+  }
+
+  // analytics, field SNR and Learn mode bookkeeping for an answered round;
+  // timing: {reactionMs, timedOut}, reactionMs is null outside timed challenge
+  function recordRoundOutcome(firstTry, timing) {
+    roundOutcomes.push(timing.timedOut ? "missed" : firstTry ? "first" : "retry");
+    const replays = currentMode === "listen" ? getRoundReplays() : null;
+    if (replays !== null) gameReplays += replays;
+    if (window.InsectGameAnalytics) {
+      window.InsectGameAnalytics.recordRoundResult(currentMode, {
+        species: currentSong.species,
+        firstTry,
+        snrDb: roundField ? roundField.snrDb : null,
+        noise: roundField ? roundField.noise : null,
+        decoy: roundField && roundField.decoy ? roundField.decoy.species : null,
+        reactionMs: timing.reactionMs,
+        timedOut: timing.timedOut,
+        replays
+      });
+    }
+    if (roundField) {
+      roundSnrs.push(roundField.snrDb);
+      updateAdaptiveSnr(firstTry);
+    }
+    if (isLearnMode()) {
+      learningChanges.push(
+        window.InsectGameLearning.recordResult(currentMode, currentSong, firstTry)
+      );
+    }
+  }
+
+  // names the species and locks the answer buttons
+  function revealAnswer() {
+    // the name and the fun fact replace the prompt (see renderRoundText)
+    renderRoundText(currentSong);
+
+    // Lock in answers visually
+    const buttons = answersListEl.querySelectorAll(".answer-btn");
+    buttons.forEach(btn => {
+      const m = btn.querySelector(".answer-meta");
+      if (btn.dataset.commonName === currentSong.commonName) {
+        btn.classList.add("correct-choice");
+        if (m) {
+          m.textContent = t("answer.answer");
+          m.classList.add("correct");
+        }
+      }
+      btn.disabled = true;
+    });
+    // the candidates' names, now that they give nothing away
+    answersListEl.querySelectorAll(".reverse-choice").forEach(labelReverseChoice);
+  }
+
+  // ---- Mix-ups view ----
+
+  function showMixupsOverlay() {
+    if (!mixupsOverlayEl) return;
+    mixupsOverlayEl.classList.remove("hidden");
+    renderMixups();
+  }
+
+  function hideMixupsOverlay() {
+    mixupsOverlayEl.classList.add("hidden");
+  }
+
+  function renderMixups() {
+    mixupsListEl.innerHTML = "";
+    const confusions = window.InsectGameAnalytics
+      ? window.InsectGameAnalytics.getConfusions(8)
+      : [];
+
+    const rows = confusions
+      .map(c => ({
+        c,
+        answer: SONGS.find(s => s.species === c.correctSpecies),
+        picked: SONGS.find(s => s.species === c.chosenSpecies)
+      }))
+      .filter(r => r.answer && r.picked);
+
+    if (!rows.length) {
+      const empty = document.createElement("div");
+      empty.className = "mixups-empty";
+      empty.textContent = t("mixups.empty");
+      mixupsListEl.appendChild(empty);
+      return;
+    }
+
+    rows.forEach(({ c, answer, picked }) => {
+      const row = document.createElement("div");
+      row.className = "mixup-row";
+
+      const count = document.createElement("div");
+      count.className = "mixup-count";
+      const modeKey = `mixups.mode.${c.mode}`;
+      count.textContent = `${window.InsectGameI18n.has(modeKey) ? t(modeKey) : c.mode} · ` +
+        t("mixups.times", { count: c.guesses });
+      row.appendChild(count);
+
+      const pair = document.createElement("div");
+      pair.className = "mixup-pair";
+      pair.appendChild(buildMixupCard(t("mixups.answer"), answer));
+      pair.appendChild(buildMixupCard(t("mixups.picked"), picked));
+      row.appendChild(pair);
+
+      mixupsListEl.appendChild(row);
+    });
+  }
+
+  function buildMixupCard(label, song) {
+    const card = document.createElement("figure");
+    card.className = "mixup-card";
+
+    const caption = document.createElement("figcaption");
+    caption.textContent = `${label}: ${showsScientificNames() ? song.species : getSongName(song)}`;
+    card.appendChild(caption);
+
+    card.appendChild(buildSpectrogramView(song, "mixup-spectrogram"));
+    return card;
+  }
+
+  // a live spectrogram canvas; once in the page it is swapped for the
+  // species' spectrogramImage (or removed) if the audio can't be decoded,
+  // unless onFail is given: then onFail() is called instead
+  function buildSpectrogramView(song, className, onFail) {
+    const canvas = document.createElement("canvas");
+    canvas.className = className;
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", t("alt.spectrogramOf", { name: getSongName(song) }));
+
+    const fallback = () => {
+      if (!song.spectrogramImage) {
+        canvas.remove();
+        return;
+      }
+      const img = document.createElement("img");
+      img.className = className;
+      img.src = song.spectrogramImage;
+      img.alt = t("alt.spectrogramOf", { name: getSongName(song) });
+      canvas.replaceWith(img);
+    };
+
+    const loading = window.InsectSpectrogram
+      ? loadSpectrogram(song)
+      : Promise.reject(new Error("No spectrogram support"));
+    loading
+      .then(spec => window.InsectSpectrogram.render(canvas, spec))
+      .catch(onFail || fallback);
+
+    return canvas;
+  }
+
+  function goToNextRound() {
+    if (!hasAnswered) return;
+    if (roundsAnswered >= totalRounds) {
+      // the summary was put aside with Escape
+      nextBtnEl.disabled = true;
+      endOverlayEl.classList.remove("hidden");
+      return;
+    }
+
+    sessionIndex++;
+    if (sessionIndex < sessionSongs.length) {
+      renderRound();
+    }
+  }
+
+  function setModeAndStart(mode) {
+    // another mode means the player is done with the assignment or daily challenge
+    const preset = getPresetGame();
+    if (preset && mode !== preset.mode) {
+      leavePresetGame();
+    }
+    currentMode = mode;
+    // species left out of this mode (broken media) can leave the region too small
+    if (currentRegion && getRegionPool().length < getMinRegionPool()) {
+      currentRegion = null;
+    }
+    startOverlayEl.classList.add("hidden");
+    updateModeUI();
+    startNewGame();
+    syncRoute();
+  }
+
+  function buildRegionButtons() {
+    regionButtonsEl.innerHTML = "";
+
+    // "All regions" option
+    const allBtn = document.createElement("button");
+    allBtn.type = "button";
+    allBtn.className = "mode-change-btn";
+    allBtn.textContent = t("region.all");
+    allBtn.addEventListener("click", () => {
+      currentRegion = null;
+      if (window.InsectGameAnalytics) {
+        window.InsectGameAnalytics.recordRegionChoice("All regions");
+      }
+      regionOverlayEl.classList.add("hidden");
+      updateRegionToggleLabel();
+      startNewGame();
+      syncRoute();
+    });
+    regionButtonsEl.appendChild(allBtn);
+
+    // regions (and their child regions) with enough species for a full game,
+    // in the order of REGIONS_DATA so children follow their parent
+    REGIONS
+      .map(r => ({
+        region: r,
+        count: countRegionSongs(r.code)
+      }))
+      .filter(({ count }) => count >= getMinRegionPool())
+      .forEach(({ region, count }) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = `mode-change-btn region-depth-${Math.min(getRegionDepth(region.code), 2)}`;
+        btn.textContent = t("region.button", { name: getRegionDisplayName(region.code), count });
+        btn.addEventListener("click", () => {
+          currentRegion = region.code;
+          if (window.InsectGameAnalytics) {
+            window.InsectGameAnalytics.recordRegionChoice(region.name);
+          }
+          regionOverlayEl.classList.add("hidden");
+          updateRegionToggleLabel();
+          startNewGame();
+          syncRoute();
+        });
+        regionButtonsEl.appendChild(btn);
+      });
+  }
+
+  // ---- Field guide ----
+
+  function getInsectGroup(song) {
+    return FAMILY_GROUPS[song.family] || song.family || song.order || "Other";
+  }
+
+  // the group's name in the active language (getInsectGroup stays the filter value)
+  function getInsectGroupName(song) {
+    const key = `group.${song.family}`;
+    return FAMILY_GROUPS[song.family] && window.InsectGameI18n.has(key)
+      ? t(key)
+      : getInsectGroup(song);
+  }
+
+  function showGuideOverlay() {
+    if (!guideOverlayEl) return;
+    guideOverlayEl.classList.remove("hidden");
+    // built on first open: spectrograms need the list laid out
+    if (!guideListEl.children.length) buildGuide();
+    guideModeEl.value = currentMode || "spectrogram";
+    filterGuide();
+  }
+
+  function buildGuide() {
+    const allRegions = document.createElement("option");
+    allRegions.value = "";
+    allRegions.textContent = t("region.all");
+    guideRegionEl.appendChild(allRegions);
+    REGIONS.forEach(region => {
+      const count = SONGS.filter(s => songInRegion(s, region.code)).length;
+      if (!count) return;
+      const opt = document.createElement("option");
+      opt.value = region.code;
+      opt.textContent = `${"\u00a0\u00a0".repeat(getRegionDepth(region.code))}${getRegionDisplayName(region.code)} (${count})`;
+      guideRegionEl.appendChild(opt);
+    });
+
+    const allGroups = document.createElement("option");
+    allGroups.value = "";
+    allGroups.textContent = t("guide.allGroups");
+    guideGroupEl.appendChild(allGroups);
+    const groupNames = new Map();
+    SONGS.forEach(song => groupNames.set(getInsectGroup(song), getInsectGroupName(song)));
+    [...groupNames].sort((a, b) => a[1].localeCompare(b[1])).forEach(([group, label]) => {
+      const opt = document.createElement("option");
+      opt.value = group;
+      opt.textContent = label;
+      guideGroupEl.appendChild(opt);
+    });
+
+    SONGS.forEach(song => guideListEl.appendChild(buildGuideCard(song)));
+    const empty = document.createElement("div");
+    empty.className = "guide-empty hidden";
+    empty.textContent = t("guide.empty");
+    guideListEl.appendChild(empty);
+  }
+
+  function buildGuideCard(song) {
+    const card = document.createElement("article");
+    card.className = "guide-card";
+    card.dataset.species = song.species;
+
+    if (song.photo) {
+      const photo = document.createElement("img");
+      photo.className = "guide-photo";
+      photo.src = song.photo;
+      photo.alt = t("alt.photo", { name: getSongName(song) });
+      photo.loading = "lazy";
+      card.appendChild(photo);
+    }
+
+    const name = document.createElement("h3");
+    name.className = "guide-name";
+    name.textContent = getSongName(song);
+    card.appendChild(name);
+
+    const sci = document.createElement("div");
+    sci.className = "guide-sci";
+    sci.textContent = song.species;
+    card.appendChild(sci);
+
+    const meta = document.createElement("div");
+    meta.className = "guide-meta";
+    meta.textContent = [getInsectGroupName(song), getRegionLabel(song)].filter(Boolean).join(" · ");
+    card.appendChild(meta);
+
+    card.appendChild(buildSpectrogramView(song, "guide-spectrogram"));
+
+    const audio = document.createElement("audio");
+    audio.className = "guide-audio";
+    audio.controls = true;
+    audio.preload = "none";
+    window.InsectAudioSources.setSource(audio, song);
+    // one call at a time
+    audio.addEventListener("play", () => {
+      guideListEl.querySelectorAll("audio").forEach(other => {
+        if (other !== audio) other.pause();
+      });
+      if (audioPlayerEl) audioPlayerEl.pause();
+    });
+    card.appendChild(audio);
+
+    const fact = document.createElement("p");
+    fact.className = "guide-fact";
+    fact.textContent = getSongFact(song);
+    card.appendChild(fact);
+
+    const credits = document.createElement("div");
+    credits.className = "credits";
+    credits.innerHTML = buildCreditsHTML(song);
+    card.appendChild(credits);
+
+    if (window.InsectGameRouter) {
+      const more = document.createElement("button");
+      more.type = "button";
+      more.className = "about-link";
+      more.textContent = t("guide.speciesPage");
+      more.addEventListener("click", () => openSpeciesPage(song));
+      card.appendChild(more);
+    }
+
+    return card;
+  }
+
+  // species matching the search box and both filters
+  function getGuideMatches() {
+    const query = guideSearchEl.value.trim().toLowerCase();
+    const region = guideRegionEl.value;
+    const group = guideGroupEl.value;
+    return SONGS.filter(song =>
+      (!query ||
+        song.commonName.toLowerCase().includes(query) ||
+        getSongName(song).toLowerCase().includes(query) ||
+        song.species.toLowerCase().includes(query)) &&
+      (!region || songInRegion(song, region)) &&
+      (!group || getInsectGroup(song) === group)
+    );
+  }
+
+  function filterGuide() {
+    const matches = getGuideMatches();
+    const shown = new Set(matches.map(s => s.species));
+    guideListEl.querySelectorAll(".guide-card").forEach(card => {
+      card.classList.toggle("hidden", !shown.has(card.dataset.species));
+    });
+    guideListEl.querySelector(".guide-empty").classList.toggle("hidden", matches.length > 0);
+    guideCountEl.textContent = t("guide.count", { count: matches.length, total: SONGS.length });
+    guideQuizEl.disabled = !matches.length;
+    guideQuizEl.textContent = matches.length === SONGS.length
+      ? t("guide.quizAll")
+      : t("guide.quizThese", { count: matches.length });
+  }
+
+  // a normal game (settings, Learn mode, timer) dealt only from the species on screen
+  function quizOnGuideSpecies() {
+    const matches = getGuideMatches();
+    if (!matches.length) return;
+    leavePresetGame();
+    studySongs = matches.length === SONGS.length ? null : matches;
+    updatePresetUI();
+    guideOverlayEl.classList.add("hidden");
+    hideGameOverlays();
+    setModeAndStart(guideModeEl.value);
+  }
+
+  // ---- Teacher assignments ----
+
+  function getModeName(mode) {
+    return t(`mode.${QUIZ_MODES.includes(mode) ? mode : "facts"}`);
+  }
+
+  // ?assignment=CODE in the page URL: play that deck instead of the region pool
+  function loadAssignmentFromUrl() {
+    const code = new URLSearchParams(window.location.search).get("assignment");
+    if (!code || !window.InsectGameAssignments) return;
+    try {
+      assignment = window.InsectGameAssignments.decodeAssignment(code, SONGS);
+    } catch (err) {
+      assignment = null;
+      presetBannerTextEl.textContent = t("preset.assignmentError", { message: getErrorText(err) });
+      presetBannerEl.classList.remove("hidden");
+      return;
+    }
+    updatePresetUI();
+  }
+
+  // banner and disabled toggles while an assignment or daily challenge is on
+  function updatePresetUI() {
+    const preset = getPresetGame();
+    if (presetBannerEl) {
+      presetBannerEl.classList.toggle("hidden", !preset && !studySongs);
+      if (assignment) {
+        const speciesCount = new Set(assignment.songs).size;
+        presetBannerTextEl.textContent = `📋 ${t("preset.assignment", {
+          mode: getModeName(assignment.mode),
+          rounds: t("count.rounds", { count: assignment.rounds }),
+          count: speciesCount
+        })}`;
+        presetLeaveEl.textContent = t("preset.leaveAssignment");
+      } else if (daily) {
+        presetBannerTextEl.textContent = `📅 ${t("preset.daily", {
+          date: daily.date,
+          mode: getModeName(daily.mode),
+          rounds: t("count.rounds", { count: daily.rounds })
+        })}`;
+        presetLeaveEl.textContent = t("preset.leaveDaily");
+      } else if (studySongs) {
+        presetBannerTextEl.textContent = `📖 ${t("preset.study", { count: studySongs.length })}`;
+        presetLeaveEl.textContent = t("preset.leaveStudy");
+      }
+    }
+    // the deck fixes the species and the distractors, so regions and
+    // look-alike mode don't apply; a field-guide selection fixes the species
+    if (regionToggleBtn) regionToggleBtn.disabled = !!preset || !!studySongs;
+    if (changeRegionBtnEl) changeRegionBtnEl.disabled = !!preset || !!studySongs;
+    if (difficultyToggleBtn) difficultyToggleBtn.disabled = !!preset;
+    updateStartText();
+  }
+
+  function leavePresetGame() {
+    const hadAssignment = !!assignment;
+    assignment = null;
+    daily = null;
+    studySongs = null;
+    sessionSeed = null;
+    // drop ?assignment= so a reload doesn't bring it back
+    if (hadAssignment && window.history && window.history.replaceState) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete("assignment");
+      window.history.replaceState(null, "", url.toString());
+    }
+    updatePresetUI();
+    updateModeUI();
+  }
+
+  // end of an assignment game: a result code for the teacher
+  function renderAssignmentResult() {
+    if (!endAssignmentEl) return;
+    if (!assignment) {
+      endAssignmentEl.classList.add("hidden");
+      return;
+    }
+    assignmentResult = {
+      score: scoreCorrect,
+      finishedAt: Date.now(),
+      durationMs: Date.now() - gameStartedAt,
+      outcomes: roundOutcomes.slice()
+    };
+    endAssignmentStatusEl.textContent = "";
+    updateAssignmentResultCode();
+    endAssignmentEl.classList.remove("hidden");
+  }
+
+  function updateAssignmentResultCode() {
+    if (!assignment || !assignmentResult) return;
+    endAssignmentCodeEl.value = window.InsectGameAssignments.encodeResult(
+      assignment,
+      Object.assign({ name: endAssignmentNameEl.value }, assignmentResult)
+    );
+  }
+
+  // copies a text field; without clipboard access the text is selected instead
+  function copyField(inputEl, statusEl) {
+    const selectIt = () => {
+      inputEl.focus();
+      inputEl.select();
+      statusEl.textContent = t("copy.manual");
+    };
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      selectIt();
+      return;
+    }
+    navigator.clipboard.writeText(inputEl.value)
+      .then(() => {
+        statusEl.textContent = t("copy.done");
+      })
+      .catch(selectIt);
+  }
+
+  function buildTeacherOptions() {
+    SONGS.forEach(song => {
+      const label = document.createElement("label");
+      label.className = "field-row field-row-check";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = song.species;
+      box.checked = true;
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(""));
+      teacherSpeciesEl.appendChild(label);
+    });
+    ROUND_OPTIONS.forEach(n => {
+      const opt = document.createElement("option");
+      opt.value = String(n);
+      teacherRoundsEl.appendChild(opt);
+    });
+    for (let n = MIN_CHOICES; n <= MAX_CHOICES; n++) {
+      const opt = document.createElement("option");
+      opt.value = String(n);
+      teacherChoicesEl.appendChild(opt);
+    }
+    teacherRoundsEl.value = String(DEFAULT_SETTINGS.rounds);
+    teacherChoicesEl.value = String(DEFAULT_SETTINGS.answerChoices);
+    labelTeacherOptions();
+  }
+
+  function labelTeacherOptions() {
+    if (!teacherSpeciesEl || !teacherSpeciesEl.children.length) return;
+    teacherSpeciesEl.querySelectorAll("label").forEach(label => {
+      const song = SONGS.find(s => s.species === label.querySelector("input").value);
+      label.lastChild.textContent = ` ${getSongName(song)} (${song.species})`;
+    });
+    [[teacherRoundsEl, "count.rounds"], [teacherChoicesEl, "count.choices"]].forEach(([el, key]) => {
+      [...el.options].forEach(opt => {
+        opt.textContent = t(key, { count: Number(opt.value) });
+      });
+    });
+  }
+
+  function setTeacherStatus(text, isError) {
+    teacherStatusEl.textContent = text;
+    teacherStatusEl.classList.toggle("error", !!isError);
+  }
+
+  function showTeacherOverlay() {
+    if (!teacherSpeciesEl.children.length) {
+      buildTeacherOptions();
+    }
+    if (!teacherSeedEl.value) {
+      teacherSeedEl.value = window.InsectSeededRandom.randomSeed();
+    }
+    if (assignment && !gradeAssignmentEl.value) {
+      gradeAssignmentEl.value = assignment.code;
+    }
+    setTeacherStatus("");
+    teacherOverlayEl.classList.remove("hidden");
+  }
+
+  function setTeacherSpecies(checked) {
+    teacherSpeciesEl.querySelectorAll("input[type=checkbox]").forEach(box => {
+      box.checked = checked;
+    });
+  }
+
+  function createAssignment() {
+    const species = Array.from(
+      teacherSpeciesEl.querySelectorAll("input[type=checkbox]:checked"),
+      box => box.value
+    );
+    let code;
+    try {
+      code = window.InsectGameAssignments.encodeAssignment({
+        mode: teacherModeEl.value,
+        rounds: Number(teacherRoundsEl.value),
+        answerChoices: Number(teacherChoicesEl.value),
+        seed: teacherSeedEl.value,
+        species
+      });
+    } catch (err) {
+      teacherOutputEl.classList.add("hidden");
+      setTeacherStatus(getErrorText(err), true);
+      return;
+    }
+    const url = new URL(window.location.href);
+    url.hash = "";
+    url.search = `?assignment=${encodeURIComponent(code)}`;
+    teacherCodeEl.value = code;
+    teacherLinkEl.value = url.toString();
+    teacherOutputEl.classList.remove("hidden");
+    gradeAssignmentEl.value = code;
+    setTeacherStatus(t("teacher.ready"));
+  }
+
+  function formatDuration(ms) {
+    const total = Math.round(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  function addCell(row, tag, text, className) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    if (className) cell.className = className;
+    row.appendChild(cell);
+    return cell;
+  }
+
+  // one row per pasted result code; the columns follow the assignment's deck
+  function gradeResults() {
+    gradeOutputEl.innerHTML = "";
+    const api = window.InsectGameAssignments;
+    let graded;
+    try {
+      graded = api.decodeAssignment(api.codeFromText(gradeAssignmentEl.value), SONGS);
+    } catch (err) {
+      addCell(gradeOutputEl, "div", getErrorText(err), "progress-status error");
+      return;
+    }
+    const lines = gradeResultsEl.value.split("\n").map(l => l.trim()).filter(Boolean);
+    if (!lines.length) {
+      addCell(gradeOutputEl, "div", t("grade.noResults"), "progress-status error");
+      return;
+    }
+
+    const deck = api.buildDeck(graded);
+    const marks = { first: "✓", retry: "↻", missed: "✗" };
+    const table = document.createElement("table");
+    table.className = "grade-table";
+    const head = document.createElement("tr");
+    ["name", "score", "finished", "time"].forEach(h => addCell(head, "th", t(`grade.column.${h}`)));
+    deck.forEach((song, i) => {
+      addCell(head, "th", String(i + 1)).title = getSongName(song);
+    });
+    addCell(head, "th", t("grade.column.check"));
+    table.appendChild(head);
+
+    lines.forEach(line => {
+      const row = document.createElement("tr");
+      let result;
+      try {
+        result = api.decodeResult(line, graded);
+      } catch (err) {
+        addCell(row, "td", line.slice(0, 24));
+        addCell(row, "td", getErrorText(err), "grade-bad").colSpan = deck.length + 4;
+        table.appendChild(row);
+        return;
+      }
+      addCell(row, "td", result.name || t("grade.noName"));
+      addCell(row, "td", `${result.score} / ${result.rounds}`);
+      addCell(row, "td", new Date(result.finishedAt).toLocaleString());
+      addCell(row, "td", formatDuration(result.durationMs));
+      deck.forEach((song, i) => {
+        const outcome = result.outcomes[i];
+        addCell(row, "td", outcome ? marks[outcome] : "–", `grade-${outcome || "none"}`)
+          .title = getSongName(song);
+      });
+      if (result.valid) {
+        addCell(row, "td", t("grade.ok"), "grade-ok");
+      } else {
+        addCell(row, "td", t(result.problemKey), "grade-bad");
+      }
+      table.appendChild(row);
+    });
+
+    gradeOutputEl.appendChild(table);
+    addCell(gradeOutputEl, "div", t("grade.legend"), "grade-legend");
+  }
+
+  // ---- Daily challenge ----
+
+  function isDailyAvailable() {
+    return !!window.InsectGameDaily && !!window.InsectGameAssignments;
+  }
+
+  function updateDailyButtons() {
+    if (!isDailyAvailable()) {
+      [dailyStartEl, modeChangeDailyEl].forEach(el => {
+        if (el) el.classList.add("hidden");
+      });
+      return;
+    }
+    const api = window.InsectGameDaily;
+    const done = !!api.getResult(api.getDateKey());
+    const streak = api.getStreak().current;
+    const label = `📅 ${t("daily.button")}${done ? " ✓" : ""}${streak > 1 ? ` · 🔥 ${streak}` : ""}`;
+    [dailyStartEl, modeChangeDailyEl].forEach(el => {
+      if (el) el.textContent = label;
+    });
+  }
+
+  // today's puzzle; a teacher assignment in progress is left
+  function startDailyChallenge() {
+    if (assignment || studySongs) leavePresetGame();
+    const api = window.InsectGameDaily;
+    daily = api.getChallenge(api.getDateKey(), SONGS);
+    updatePresetUI();
+    setModeAndStart(daily.mode);
+  }
+
+  // end of a daily game: the day's result (the first game counts), streak,
+  // the last week and the share text
+  function renderDailySummary() {
+    if (!endDailyEl) return;
+    if (!daily) {
+      endDailyEl.classList.add("hidden");
+      return;
+    }
+    const api = window.InsectGameDaily;
+    const counted = api.recordResult(daily.date, {
+      mode: currentMode,
+      score: scoreCorrect,
+      rounds: totalRounds,
+      outcomes: roundOutcomes
+    });
+    const result = api.getResult(daily.date);
+    const streak = api.getStreak(daily.date);
+
+    const lines = [t(counted ? "daily.result" : "daily.practice", {
+      date: daily.date,
+      score: result.score,
+      rounds: result.rounds
+    })];
+    lines.push(t("daily.streak", { count: streak.current, best: streak.best }));
+    endDailyTextEl.textContent = lines.join(" ");
+
+    endDailyHistoryEl.innerHTML = "";
+    api.getHistory(7, daily.date).forEach(({ date, result: dayResult }) => {
+      const day = document.createElement("div");
+      day.className = `end-daily-day${dayResult ? "" : " missed"}`;
+      day.title = date;
+      day.textContent = dayResult ? `${dayResult.score}/${dayResult.rounds}` : "–";
+      endDailyHistoryEl.appendChild(day);
+    });
+
+    endDailyShareEl.value = api.getShareText(daily.date);
+    endDailyStatusEl.textContent = "";
+    endDailyEl.classList.remove("hidden");
+    updateDailyButtons();
+  }
+
+  // ---- Usage sharing (opt-in telemetry) ----
+
+  function isTelemetryAvailable() {
+    return !!window.InsectGameTelemetry && window.InsectGameTelemetry.isAvailable();
+  }
+
+  function updateTelemetryUI() {
+    if (!telemetryItemEl) return;
+    telemetryItemEl.classList.toggle("hidden", !isTelemetryAvailable());
+    if (!isTelemetryAvailable()) return;
+    const on = window.InsectGameTelemetry.hasConsent();
+    telemetryOpenEl.textContent = t(on ? "telemetry.link.on" : "telemetry.link.off");
+    telemetryStatusEl.textContent = t(on ? "telemetry.status.on" : "telemetry.status.off");
+  }
+
+  function setTelemetryConsent(on) {
+    window.InsectGameTelemetry.setConsent(on);
+    telemetryOverlayEl.classList.add("hidden");
+    updateTelemetryUI();
+  }
+
+  // ---- Progress: export / import / reset of local stats ----
+
+  function showProgressOverlay() {
+    if (!progressOverlayEl) return;
+    setProgressStatus("");
+    progressResetConfirmEl.classList.add("hidden");
+    progressOverlayEl.classList.remove("hidden");
+  }
+
+  function hideProgressOverlay() {
+    progressOverlayEl.classList.add("hidden");
+  }
+
+  function setProgressStatus(text, isError) {
+    progressStatusEl.textContent = text;
+    progressStatusEl.classList.toggle("error", !!isError);
+  }
+
+  // an import or reset also changes the saved settings and daily results;
+  // new settings apply from the next game
+  function reloadStoredProgress() {
+    settings = loadSettings();
+    if (currentRegion && getRegionPool().length < getMinRegionPool()) {
+      currentRegion = null;
+    }
+    updateRegionToggleLabel();
+    updateSettingsToggleLabel();
+    updateStartText();
+    updateSciToggleUI();
+    applySciToggleToButtons();
+    updateDailyButtons();
+  }
+
+  function exportProgress() {
+    const data = window.InsectGameAnalytics.exportData();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `insect-game-stats-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setProgressStatus(t("progress.exported"));
+  }
+
+  function importProgress() {
+    const file = progressFileEl.files && progressFileEl.files[0];
+    if (!file) {
+      setProgressStatus(t("progress.noFile"), true);
+      return;
+    }
+    const how = progressImportHowEl.value;
+    file.text()
+      .then(text => {
+        window.InsectGameAnalytics.importData(JSON.parse(text), how);
+        reloadStoredProgress();
+        progressFileEl.value = "";
+        setProgressStatus(t(how === "replace" ? "progress.replaced" : "progress.merged"));
+      })
+      .catch(err => {
+        const message = err instanceof SyntaxError
+          ? t("progress.notJson")
+          : getErrorText(err);
+        setProgressStatus(t("progress.importFailed", { message }), true);
+      });
+  }
+
+  function resetProgress() {
+    window.InsectGameAnalytics.resetData();
+    reloadStoredProgress();
+    progressResetConfirmEl.classList.add("hidden");
+    setProgressStatus(t("progress.deleted"));
+  }
+
+  // ---- Pages and routing (#/play/…, #/species/…; see router.js) ----
+
+  // panels shown over the game, by route page name
+  function getPanelViews() {
+    return {
+      stats: {
+        el: dashboardOverlayEl,
+        available: !!window.InsectGameAnalytics,
+        show() {
+          dashboardOverlayEl.classList.remove("hidden");
+          // not drawn while hidden, so draw it now
+          window.InsectGameAnalytics.renderStatsPanel();
+        }
+      },
+      guide: { el: guideOverlayEl, available: true, show: showGuideOverlay },
+      mixups: { el: mixupsOverlayEl, available: true, show: showMixupsOverlay },
+      progress: {
+        el: progressOverlayEl,
+        available: !!window.InsectGameAnalytics,
+        show: showProgressOverlay
+      },
+      teacher: {
+        el: teacherOverlayEl,
+        available: !!window.InsectGameAssignments,
+        show: showTeacherOverlay
+      },
+      media: {
+        el: mediaOverlayEl,
+        available: !!window.InsectMediaCheck,
+        show: showMediaOverlay
+      },
+      about: {
+        el: aboutOverlay,
+        available: true,
+        show() {
+          aboutOverlay.classList.remove("hidden");
+        }
+      }
+    };
+  }
+
+  // the route of what's being played (or the start screen)
+  function getGameRoute() {
+    if (!currentMode) return { page: "start" };
+    if (daily) return { page: "daily" };
+    return {
+      page: "play",
+      mode: currentMode,
+      region: assignment || studySongs ? null : currentRegion,
+      species: studySongs && !assignment ? studySongs.map(getSongSlug) : null
+    };
+  }
+
+  // a new history entry when the player changes mode, region or game
+  function syncRoute() {
+    if (!window.InsectGameRouter || routeApplying) return;
+    const hash = window.InsectGameRouter.format(getGameRoute());
+    if (window.location.hash !== hash) {
+      window.history.pushState(null, "", hash);
+    }
+    shownHash = window.location.hash;
+  }
+
+  function openPage(route) {
+    if (window.InsectGameRouter) {
+      const from = window.InsectGameRouter.format(getGameRoute());
+      window.history.pushState({ openedFrom: from }, "", window.InsectGameRouter.format(route));
+    }
+    showRoute(route);
+  }
+
+  // back to the game: undo our own history entry if the game underneath is
+  // still the one it was opened from; else (opened from a link, or a new
+  // game was started from the page) replace it with the game's route
+  function closePage() {
+    const route = getGameRoute();
+    const state = window.history.state;
+    if (window.InsectGameRouter && state &&
+      state.openedFrom === window.InsectGameRouter.format(route)) {
+      window.history.back();
+      return;
+    }
+    if (window.InsectGameRouter) {
+      window.history.replaceState(null, "", window.InsectGameRouter.format(route));
+    }
+    showRoute(route);
+  }
+
+  function showRouteFromLocation() {
+    if (!window.InsectGameRouter || window.location.hash === shownHash) return;
+    showRoute(window.InsectGameRouter.parse(window.location.hash));
+  }
+
+  function showRoute(route) {
+    routeApplying = true;
+    shownHash = window.location.hash;
+
+    const panels = getPanelViews();
+    Object.keys(panels).forEach(name => {
+      if (name !== route.page && panels[name].el) panels[name].el.classList.add("hidden");
+    });
+    if (route.page !== "species") hideSpeciesPage();
+
+    if (route.page === "play") {
+      showPlayRoute(route);
+    } else if (route.page === "daily") {
+      if (isDailyAvailable() && !daily) {
+        hideGameOverlays();
+        startDailyChallenge();
+      }
+    } else if (route.page === "species") {
+      showSpeciesPage(route.slug);
+    } else if (panels[route.page]) {
+      if (panels[route.page].available) panels[route.page].show();
+    } else {
+      hideGameOverlays();
+      if (audioPlayerEl) audioPlayerEl.pause();
+      stopCandidate();
+      startOverlayEl.classList.remove("hidden");
+    }
+
+    routeApplying = false;
   }
 
-  // NEW: show reveal overlay after a correct answer (fact + photo)
-  function showRevealOverlay(song, firstTry) {
-    if (!revealOverlayEl) return;
+  // end-of-game and round dialogs belong to the game being left
+  function hideGameOverlays() {
+    [endOverlayEl, revealOverlayEl, hintOverlayEl, modeChangeOverlayEl, regionOverlayEl]
+      .forEach(el => {
+        if (el) el.classList.add("hidden");
+      });
+  }
 
-    revealTitleEl.textContent = getModeCorrectMessage(firstTry);
-    revealFactTextEl.textContent = song.fact || "";
+  function isRegionPlayable(code, mode) {
+    return !!REGION_BY_CODE[code] && countRegionSongs(code, mode) >= getMinRegionPool();
+  }
 
-    if (song.photo) {
-      revealPhotoEl.src = song.photo;
-      revealPhotoEl.alt = `Photo of ${song.commonName}`;
-      revealPhotoEl.classList.remove("hidden");
+  // starts the linked game unless it is the one already being played
+  function showPlayRoute(route) {
+    const region = route.region && isRegionPlayable(route.region, route.mode) ? route.region : null;
+    const species = route.species
+      ? SONGS.filter(s => route.species.includes(getSongSlug(s)))
+      : [];
+    let changed = currentMode !== route.mode;
+    if (daily) {
+      leavePresetGame();
+      changed = true;
+    }
+    if (!assignment && getSlugList(studySongs) !== getSlugList(species)) {
+      studySongs = species.length ? species : null;
+      updatePresetUI();
+      changed = true;
+    }
+    if (!assignment && currentRegion !== region) {
+      currentRegion = region;
+      updateRegionToggleLabel();
+      changed = true;
+    }
+    if (changed) {
+      hideGameOverlays();
+      setModeAndStart(route.mode);
     } else {
-      revealPhotoEl.src = "";
-      revealPhotoEl.alt = "";
-      revealPhotoEl.classList.add("hidden");
+      startOverlayEl.classList.add("hidden");
+    }
+    // an unplayable region was dropped: show what is actually played
+    const hash = window.InsectGameRouter.format(getGameRoute());
+    if (window.location.hash !== hash) {
+      window.history.replaceState(null, "", hash);
+      shownHash = hash;
     }
+  }
 
-    revealOverlayEl.classList.remove("hidden");
+  function getSongSlug(song) {
+    return window.InsectGameRouter ? window.InsectGameRouter.slugify(song.species) : song.species;
   }
 
-  function handleAnswer(selectedName, buttonEl) {
-    if (hasAnswered) return;
+  function getSlugList(songs) {
+    return songs && songs.length ? songs.map(getSongSlug).join(",") : "";
+  }
 
-    const correct = selectedName === currentSong.commonName;
-    const meta = buttonEl.querySelector(".answer-meta");
+  function openSpeciesPage(song) {
+    openPage({ page: "species", slug: getSongSlug(song) });
+  }
 
-    // ----- WRONG ANSWER -----
-    if (!correct) {
-      // Mark that this round had at least one wrong guess
-      hadWrongGuess = true;
+  function showSpeciesPage(slug) {
+    const song = SONGS.find(s => getSongSlug(s) === slug);
+    if (!song || !speciesOverlayEl) {
+      // unknown species: back to the game without a dead history entry
+      closePage();
+      return;
+    }
 
-      // Mark this button as wrong, but keep others clickable
-      if (meta) {
-        meta.textContent = "Try again";
-        meta.classList.add("guess");
-      }
-      buttonEl.classList.add("wrong-choice");
+    speciesTitleEl.textContent = getSongName(song);
+    speciesSciEl.textContent = song.species;
+    speciesPhotoEl.src = song.photo || "";
+    speciesPhotoEl.alt = t("alt.photo", { name: getSongName(song) });
+    speciesPhotoEl.classList.toggle("hidden", !song.photo);
+    speciesMetaEl.textContent = [song.order, song.family, getRegionLabel(song)]
+      .filter(Boolean)
+      .join(" · ");
+    speciesFactEl.textContent = getSongFact(song);
+    speciesCreditsEl.innerHTML = buildCreditsHTML(song);
+    speciesSpectrogramEl.innerHTML = "";
+    speciesSpectrogramEl.appendChild(buildSpectrogramView(song, "mixup-spectrogram"));
+    if (audioPlayerEl) audioPlayerEl.pause();
+    window.InsectAudioSources.setSource(speciesAudioEl, song);
+
+    speciesOverlayEl.classList.remove("hidden");
+  }
 
-      // Simple, consistent feedback
-      feedbackLineEl.textContent = "Wrong answer, try again.";
-      feedbackLineEl.classList.remove("correct");
-      feedbackLineEl.classList.add("wrong");
+  function hideSpeciesPage() {
+    if (!speciesOverlayEl || speciesOverlayEl.classList.contains("hidden")) return;
+    speciesOverlayEl.classList.add("hidden");
+    speciesAudioEl.pause();
+  }
 
-      // Show the hint overlay the first time they get it wrong
-      if (hintOverlayEl && hintOverlayEl.classList.contains("hidden")) {
-        showHintOverlay(currentSong);
+  // ---- Missing or broken media (media-check.js) ----
+
+  // probes every recording and photo once; species with a broken file are
+  // left out of the modes that need it (see isSongUsable)
+  function startMediaCheck() {
+    if (!window.InsectMediaCheck) return;
+    window.InsectMediaCheck.onChange(updateMediaDiagnostics);
+    window.InsectMediaCheck.probeAll(SONGS).then(() => {
+      mediaCheckDone = true;
+      updateMediaDiagnostics();
+      // a game dealt before the check finished may hold a broken species;
+      // deal again while nothing has been answered (a preset deck stays)
+      if (currentMode && !getPresetGame() && roundsAnswered === 0 && !hasAnswered &&
+        sessionSongs.some(s => !isSongUsable(s))) {
+        startNewGame();
       }
-      return;
+    });
+  }
+
+  function updateMediaDiagnostics() {
+    const count = window.InsectMediaCheck.getProblems().length;
+    if (mediaItemEl) mediaItemEl.classList.toggle("hidden", !count);
+    if (mediaOpenEl) mediaOpenEl.textContent = `⚠ ${t("media.link", { count })}`;
+    if (mediaOverlayEl && !mediaOverlayEl.classList.contains("hidden")) {
+      renderMediaProblems();
     }
+  }
 
-    // ----- CORRECT ANSWER -----
-    hasAnswered = true;
-    roundsAnswered++;
+  function showMediaOverlay() {
+    renderMediaProblems();
+    mediaOverlayEl.classList.remove("hidden");
+  }
 
-    const firstTry = !hadWrongGuess;
-    if (firstTry) {
-      scoreCorrect++;
-      feedbackLineEl.textContent = getModeCorrectMessage(true);
-      feedbackLineEl.classList.remove("wrong");
-      feedbackLineEl.classList.add("correct");
-      playDing();
+  function renderMediaProblems() {
+    const problems = window.InsectMediaCheck.getProblems();
+    if (!problems.length) {
+      mediaSummaryEl.textContent = t(mediaCheckDone ? "media.summary.ok" : "media.summary.checking");
     } else {
-      feedbackLineEl.textContent = getModeCorrectMessage(false);
-      feedbackLineEl.classList.remove("wrong");
-      feedbackLineEl.classList.add("correct");
+      mediaSummaryEl.textContent = t("media.summary.problems", { count: problems.length });
     }
 
-    specTaglineEl.textContent = currentSong.commonName;
+    mediaListEl.innerHTML = "";
+    problems.forEach(problem => {
+      const row = document.createElement("div");
+      row.className = "media-problem";
 
-    // Still update the small fact box under the spectrogram, if you want
-    factLabelEl.textContent = "Fun fact";
-    factTextEl.textContent = currentSong.fact || "";
+      const name = document.createElement("div");
+      name.className = "media-problem-name";
+      name.textContent = `${getSongName(problem.song)} (${problem.song.species})`;
 
-    // Lock in answers visually
-    const buttons = answersListEl.querySelectorAll(".answer-btn");
-    buttons.forEach(btn => {
-      const m = btn.querySelector(".answer-meta");
-      if (btn.dataset.commonName === currentSong.commonName) {
-        btn.classList.add("correct-choice");
-        if (m) {
-          m.textContent = "Answer";
-          m.classList.add("correct");
-        }
-      }
-      btn.disabled = true;
-    });
+      const reason = document.createElement("div");
+      reason.textContent = t(`media.kind.${problem.kind}`, {
+        reason: t(`media.reason.${problem.reason}`)
+      });
 
-    showWinMark();
+      const file = document.createElement("code");
+      file.className = "media-problem-file";
+      file.textContent = problem.url || "—";
 
-    scoreTextEl.innerHTML = `Score this game: <strong>${scoreCorrect}</strong> of ${TOTAL_ROUNDS}`;
+      const effect = document.createElement("div");
+      effect.className = "media-problem-effect";
+      effect.textContent = t("media.leftOut", { modes: problem.modes.map(getModeName).join(", ") });
 
-    // Disable next until they close the reveal overlay
-    nextBtnEl.disabled = true;
-    showRevealOverlay(currentSong, firstTry);
+      row.append(name, reason, file, effect);
+      mediaListEl.appendChild(row);
+    });
   }
 
-  function goToNextRound() {
-    if (!hasAnswered) return;
-    if (roundsAnswered >= TOTAL_ROUNDS) return;
+  function showMediaWarning(text) {
+    if (hasAnswered) return;
+    feedbackLineEl.textContent = text;
+    feedbackLineEl.className = "feedback-line warning";
+  }
 
-    sessionIndex++;
-    if (sessionIndex < sessionSongs.length) {
-      renderRound();
+  // none of the round's recordings loaded: report it like a failed probe
+  // (unless the connection is to blame) and tell the player, instead of
+  // leaving them with silence
+  function handleAudioError(error) {
+    if (!currentSong) return;
+    if (window.InsectMediaCheck && !window.InsectMediaCheck.isTransient(error)) {
+      window.InsectMediaCheck.markBroken(currentSong, "audio",
+        window.InsectMediaCheck.describeError(error));
+    }
+    if (startsWithCall()) {
+      showMediaWarning(`🔇 ${t("media.warning.audioRound")}`);
     }
   }
 
-  function setModeAndStart(mode) {
-    currentMode = mode;
-    startOverlayEl.classList.add("hidden");
+  // play() rejects with AbortError when a new round interrupts it and with
+  // NotAllowedError before the page has been tapped; anything else is a
+  // recording that can't be played
+  function handlePlayError(err) {
+    if (err && (err.name === "AbortError" || err.name === "NotAllowedError")) return;
+    // the next source is already loading (see InsectAudioSources.setSource)
+    if (!audioPlayerEl.error) return;
+    showMediaWarning(`🔇 ${t("media.warning.audio")}`);
+  }
+
+  function handlePhotoError() {
+    if (currentMode !== "image" || !currentSong ||
+      spectrogramImageEl.getAttribute("src") !== currentSong.photo) return;
+    if (window.InsectMediaCheck) {
+      window.InsectMediaCheck.markBroken(currentSong, "photo", "notImage");
+    }
+    showMediaWarning(`🖼️ ${t("media.warning.photo")}`);
+  }
+
+  // ---- Language (i18n.js) ----
+
+  function buildLanguageOptions() {
+    [languageSelectEl, startLanguageSelectEl].forEach(select => {
+      if (!select) return;
+      window.InsectGameI18n.getLanguages().forEach(({ code, name }) => {
+        const opt = document.createElement("option");
+        opt.value = code;
+        opt.textContent = name;
+        select.appendChild(opt);
+      });
+    });
+  }
+
+  // redraws the page's words in the current language; the round in play
+  // keeps its species and answer choices
+  function applyLanguage() {
+    const i18n = window.InsectGameI18n;
+    document.documentElement.lang = i18n.getLanguage();
+    i18n.translatePage();
+    [languageSelectEl, startLanguageSelectEl].forEach(select => {
+      if (select) select.value = i18n.getLanguage();
+    });
+
     updateModeUI();
-    startNewGame();
+    updateSciToggleUI();
+    updateLearnToggleUI();
+    updateDifficultyToggleUI();
+    updateTimedToggleUI();
+    updateFieldToggleLabel();
+    labelSettingsOptions();
+    labelTeacherOptions();
+    updateSettingsToggleLabel();
+    updateTelemetryUI();
+    updateDailyButtons();
+    updateScoreText();
+    updateTimerText();
+    updateStartText();
+    // keeps an "assignment couldn't be opened" banner up
+    if (getPresetGame() || studySongs) updatePresetUI();
+    if (window.InsectMediaCheck) updateMediaDiagnostics();
+    // the dashboard is drawn only while it is shown
+    if (window.InsectGameAnalytics) window.InsectGameAnalytics.renderStatsPanel();
+
+    if (currentSong) {
+      renderRoundText(currentSong);
+      relabelAnswers();
+    }
+    // the field guide is built again on its next open
+    if (guideListEl && guideListEl.children.length) {
+      [guideListEl, guideRegionEl, guideGroupEl].forEach(el => {
+        el.innerHTML = "";
+      });
+    }
   }
 
-  function buildRegionButtons() {
-    regionButtonsEl.innerHTML = "";
+  function relabelAnswers() {
+    answersListEl.querySelectorAll(".answer-btn").forEach(btn => {
+      const song = SONGS.find(s => s.commonName === btn.dataset.commonName);
+      if (btn.classList.contains("reverse-choice")) {
+        labelReverseChoice(btn);
+      } else if (song) {
+        btn.setAttribute("aria-label", t("answer.aria", { name: getSongName(song) }));
+      }
+      const meta = btn.querySelector(".answer-meta");
+      if (!meta) return;
+      meta.textContent = meta.classList.contains("correct") ? t("answer.answer")
+        : meta.classList.contains("guess") ? t("answer.tryAgain")
+        : t("answer.guess");
+    });
+    answersListEl.querySelectorAll(".reverse-play").forEach(btn => {
+      btn.setAttribute("aria-label", t("reverse.play", { number: btn.dataset.number }));
+    });
+    answersListEl.querySelectorAll(".reverse-thumb").forEach(thumb => {
+      thumb.setAttribute("aria-label", t("reverse.thumbAlt", { number: thumb.dataset.number }));
+    });
+    applySciToggleToButtons();
+  }
 
-    // "All regions" option
-    const allBtn = document.createElement("button");
-    allBtn.type = "button";
-    allBtn.className = "mode-change-btn";
-    allBtn.textContent = "All regions";
-    allBtn.addEventListener("click", () => {
-      currentRegion = null;
-      if (window.InsectGameAnalytics) {
-        window.InsectGameAnalytics.recordRegionChoice("All regions");
+  // ---- Keyboard play and dialogs (dialogs.js) ----
+
+  // Escape does what the overlay's own close or cancel button does
+  function registerDialogs() {
+    const api = window.InsectGameDialogs;
+    if (!api) return;
+    const closeWith = btn => () => pressButton(btn);
+
+    api.register(hintOverlayEl, { onEscape: hideHintOverlay, initialFocus: hintCloseBtnEl });
+    api.register(revealOverlayEl, { onEscape: closeWith(revealCloseBtnEl), initialFocus: revealCloseBtnEl });
+    api.register(endOverlayEl, { onEscape: dismissEndOverlay, initialFocus: playAgainBtnEl });
+    api.register(modeChangeOverlayEl, { onEscape: closeWith(modeChangeCancelEl) });
+    api.register(regionOverlayEl, { onEscape: closeWith(regionCancelEl) });
+    api.register(fieldOverlayEl, { onEscape: closeWith(fieldCancelEl) });
+    api.register(settingsOverlayEl, { onEscape: closeWith(settingsCancelEl) });
+    api.register(telemetryOverlayEl, {
+      onEscape() {
+        telemetryOverlayEl.classList.add("hidden");
       }
-      regionOverlayEl.classList.add("hidden");
-      updateRegionToggleLabel();
-      startNewGame();
     });
-    regionButtonsEl.appendChild(allBtn);
+    Object.values(getPanelViews()).forEach(view => {
+      api.register(view.el, { onEscape: closePage });
+    });
+    api.register(speciesOverlayEl, { onEscape: closePage });
 
-    const counts = {};
-    SONGS.forEach(s => {
-      if (!counts[s.region]) counts[s.region] = 0;
-      counts[s.region] += 1;
+    // e.g. the answer that was clicked is disabled once the reveal closes
+    api.setFallbackFocus(() => {
+      if (!nextBtnEl.disabled) return nextBtnEl;
+      return answersListEl.querySelector(".answer-btn:not([disabled])") || playBtnEl;
     });
+  }
 
-    Object.entries(counts)
-      .filter(([, count]) => count > 5) // appears only if >5 species
-      .forEach(([name, count]) => {
-        const btn = document.createElement("button");
-        btn.type = "button";
-        btn.className = "mode-change-btn";
-        btn.textContent = `${name} (${count} species)`;
-        btn.addEventListener("click", () => {
-          currentRegion = name;
-          if (window.InsectGameAnalytics) {
-            window.InsectGameAnalytics.recordRegionChoice(name);
-          }
-          regionOverlayEl.classList.add("hidden");
-          updateRegionToggleLabel();
-          startNewGame();
-        });
-        regionButtonsEl.appendChild(btn);
-      });
+  // the end of game summary can be put aside to look at the last round;
+  // Next brings it back (see goToNextRound)
+  function dismissEndOverlay() {
+    hideEndOverlay();
+    nextBtnEl.disabled = false;
+  }
+
+  // a shortcut works like a click, so only while its button can be clicked
+  function pressButton(btn) {
+    if (btn && !btn.disabled && !btn.closest(".hidden")) btn.click();
+  }
+
+  function isTyping(target) {
+    const tag = (target && target.tagName || "").toLowerCase();
+    return tag === "input" || tag === "textarea" || tag === "select" ||
+      !!(target && target.isContentEditable);
+  }
+
+  // Space play/pause · R replay · 1 – 6 answer · H hint · N next
+  function handleShortcut(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+    if (window.InsectGameDialogs && window.InsectGameDialogs.getOpen()) return;
+    if (!currentMode || !startOverlayEl.classList.contains("hidden")) return;
+
+    const key = e.key.toLowerCase();
+    if (e.code === "Space" || key === " ") {
+      e.preventDefault();
+      if (currentMode === "reverse") stopCandidate();
+      else togglePlayPause();
+    } else if (/^[1-9]$/.test(key)) {
+      const btn = answersListEl.querySelectorAll(".answer-btn")[Number(key) - 1];
+      if (!btn) return;
+      e.preventDefault();
+      pressButton(btn);
+    } else if (key === "r") {
+      e.preventDefault();
+      pressButton(currentMode === "listen" ? listenReplayEl : playBtnEl);
+    } else if (key === "h") {
+      e.preventDefault();
+      pressButton(hintBtnEl);
+    } else if (key === "n") {
+      e.preventDefault();
+      pressButton(nextBtnEl);
+    }
+  }
+
+  // ---- Offline play (service-worker.js) ----
+
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register("service-worker.js").catch(err => {
+      console.warn("Offline play unavailable:", err.message);
+    });
   }
 
   // ---- Init ----
 
   function initDomRefs() {
     spectrogramImageEl = document.getElementById("spectrogram-image");
+    spectrogramCanvasEl = document.getElementById("spectrogram-canvas");
+    specPlayheadEl = document.getElementById("spec-playhead");
     specTaglineEl = document.getElementById("spec-tagline");
     specRegionEl = document.getElementById("spec-region");
     specLabelEl = document.getElementById("spec-label");
@@ -816,9 +3507,17 @@ if (aboutOpen && aboutClose && aboutOverlay) {
     scoreTextEl = document.getElementById("score-text");
     playBtnEl = document.getElementById("play-btn");
     playBtnLabelEl = document.getElementById("play-btn-label");
+    listenControlsEl = document.getElementById("listen-controls");
+    listenPlayEl = document.getElementById("listen-play");
+    listenReplayEl = document.getElementById("listen-replay");
+    listenCountEl = document.getElementById("listen-count");
     nextBtnEl = document.getElementById("next-btn");
     audioPlayerEl = document.getElementById("audio-player");
     sciToggleBtn = document.getElementById("sci-toggle");
+    learnToggleBtn = document.getElementById("learn-toggle");
+    difficultyToggleBtn = document.getElementById("difficulty-toggle");
+    timedToggleBtn = document.getElementById("timed-toggle");
+    timerTextEl = document.getElementById("timer-text");
     winMarkEl = document.getElementById("win-mark");
     modeHintTextEl = document.getElementById("mode-hint-text");
     questionTextEl = document.getElementById("question-text");
@@ -826,6 +3525,9 @@ if (aboutOpen && aboutClose && aboutOverlay) {
     modeLabelEl = document.getElementById("mode-label");
     modeBubbleEl = document.getElementById("mode-bubble");
     regionToggleBtn = document.getElementById("region-toggle");
+    fieldToggleBtn = document.getElementById("field-toggle");
+    settingsToggleBtn = document.getElementById("settings-toggle");
+    hintBtnEl = document.getElementById("hint-btn");
 
     startOverlayEl = document.getElementById("start-overlay");
     startBtnEl = document.getElementById("start-btn");
@@ -838,6 +3540,8 @@ if (aboutOpen && aboutClose && aboutOverlay) {
     modeChangeSpectroEl = document.getElementById("mode-change-spectro");
     modeChangeImageEl = document.getElementById("mode-change-image");
     modeChangeFactsEl = document.getElementById("mode-change-facts");
+    modeChangeListenEl = document.getElementById("mode-change-listen");
+    modeChangeReverseEl = document.getElementById("mode-change-reverse");
     modeChangeCancelEl = document.getElementById("mode-change-cancel");
 
     regionOverlayEl = document.getElementById("region-overlay");
@@ -848,6 +3552,10 @@ if (aboutOpen && aboutClose && aboutOverlay) {
     endTitleEl = document.getElementById("end-title");
     endScoreTextEl = document.getElementById("end-score-text");
     endMessageEl = document.getElementById("end-message");
+    endLearningEl = document.getElementById("end-learning");
+    endFieldEl = document.getElementById("end-field");
+    endTimedEl = document.getElementById("end-timed");
+    endListenEl = document.getElementById("end-listen");
     playAgainBtnEl = document.getElementById("play-again-btn");
     changeModeBtnEl = document.getElementById("change-mode-btn");
     changeRegionBtnEl = document.getElementById("change-region-btn");
@@ -858,6 +3566,121 @@ if (aboutOpen && aboutClose && aboutOverlay) {
     revealPhotoEl = document.getElementById("reveal-photo");
     revealFactTextEl = document.getElementById("reveal-fact-text");
     revealCloseBtnEl = document.getElementById("reveal-close-btn");
+
+    fieldOverlayEl = document.getElementById("field-overlay");
+    fieldNoiseSelectEl = document.getElementById("field-noise");
+    fieldSnrSelectEl = document.getElementById("field-snr");
+    fieldDecoyEl = document.getElementById("field-decoy");
+    fieldApplyEl = document.getElementById("field-apply");
+    fieldCancelEl = document.getElementById("field-cancel");
+
+    mixupsOverlayEl = document.getElementById("mixups-overlay");
+    mixupsListEl = document.getElementById("mixups-list");
+    mixupsOpenEl = document.getElementById("mixups-open");
+    mixupsCloseEl = document.getElementById("mixups-close");
+
+    dashboardOverlayEl = document.getElementById("dashboard-overlay");
+    dashboardOpenEl = document.getElementById("dashboard-open");
+    dashboardCloseEl = document.getElementById("dashboard-close");
+
+    telemetryItemEl = document.getElementById("telemetry-item");
+    telemetryOpenEl = document.getElementById("telemetry-open");
+    telemetryOverlayEl = document.getElementById("telemetry-overlay");
+    telemetryStatusEl = document.getElementById("telemetry-status");
+    telemetryAllowEl = document.getElementById("telemetry-allow");
+    telemetryDenyEl = document.getElementById("telemetry-deny");
+
+    progressOverlayEl = document.getElementById("progress-overlay");
+    progressOpenEl = document.getElementById("progress-open");
+    progressCloseEl = document.getElementById("progress-close");
+    progressExportEl = document.getElementById("progress-export");
+    progressFileEl = document.getElementById("progress-file");
+    progressImportHowEl = document.getElementById("progress-import-how");
+    progressImportEl = document.getElementById("progress-import");
+    progressResetEl = document.getElementById("progress-reset");
+    progressResetConfirmEl = document.getElementById("progress-reset-confirm");
+    progressResetYesEl = document.getElementById("progress-reset-yes");
+    progressResetNoEl = document.getElementById("progress-reset-no");
+    progressStatusEl = document.getElementById("progress-status");
+
+    settingsOverlayEl = document.getElementById("settings-overlay");
+    settingsRoundsEl = document.getElementById("settings-rounds");
+    settingsChoicesEl = document.getElementById("settings-choices");
+    settingsAutoHintsEl = document.getElementById("settings-auto-hints");
+    settingsSciRequiredEl = document.getElementById("settings-sci-required");
+    settingsApplyEl = document.getElementById("settings-apply");
+    settingsCancelEl = document.getElementById("settings-cancel");
+
+    presetBannerEl = document.getElementById("preset-banner");
+    presetBannerTextEl = document.getElementById("preset-banner-text");
+    presetLeaveEl = document.getElementById("preset-leave");
+    dailyStartEl = document.getElementById("daily-start");
+    modeChangeDailyEl = document.getElementById("mode-change-daily");
+    endDailyEl = document.getElementById("end-daily");
+    endDailyTextEl = document.getElementById("end-daily-text");
+    endDailyHistoryEl = document.getElementById("end-daily-history");
+    endDailyShareEl = document.getElementById("end-daily-share");
+    endDailyCopyEl = document.getElementById("end-daily-copy");
+    endDailyStatusEl = document.getElementById("end-daily-status");
+    endAssignmentEl = document.getElementById("end-assignment");
+    endAssignmentNameEl = document.getElementById("end-assignment-name");
+    endAssignmentCodeEl = document.getElementById("end-assignment-code");
+    endAssignmentCopyEl = document.getElementById("end-assignment-copy");
+    endAssignmentStatusEl = document.getElementById("end-assignment-status");
+
+    teacherOpenEl = document.getElementById("teacher-open");
+    teacherOverlayEl = document.getElementById("teacher-overlay");
+    teacherSpeciesEl = document.getElementById("teacher-species");
+    teacherSelectAllEl = document.getElementById("teacher-select-all");
+    teacherSelectNoneEl = document.getElementById("teacher-select-none");
+    teacherModeEl = document.getElementById("teacher-mode");
+    teacherRoundsEl = document.getElementById("teacher-rounds");
+    teacherChoicesEl = document.getElementById("teacher-choices");
+    teacherSeedEl = document.getElementById("teacher-seed");
+    teacherCreateEl = document.getElementById("teacher-create");
+    teacherOutputEl = document.getElementById("teacher-output");
+    teacherLinkEl = document.getElementById("teacher-link");
+    teacherCodeEl = document.getElementById("teacher-code");
+    teacherCopyLinkEl = document.getElementById("teacher-copy-link");
+    teacherStatusEl = document.getElementById("teacher-status");
+    teacherCloseEl = document.getElementById("teacher-close");
+    gradeAssignmentEl = document.getElementById("grade-assignment");
+    gradeResultsEl = document.getElementById("grade-results");
+    gradeCheckEl = document.getElementById("grade-check");
+    gradeOutputEl = document.getElementById("grade-output");
+
+    guideOpenEl = document.getElementById("guide-open");
+    guideStartEl = document.getElementById("guide-start");
+    guideOverlayEl = document.getElementById("guide-overlay");
+    guideSearchEl = document.getElementById("guide-search");
+    guideRegionEl = document.getElementById("guide-region");
+    guideGroupEl = document.getElementById("guide-group");
+    guideCountEl = document.getElementById("guide-count");
+    guideListEl = document.getElementById("guide-list");
+    guideModeEl = document.getElementById("guide-mode");
+    guideQuizEl = document.getElementById("guide-quiz");
+    guideCloseEl = document.getElementById("guide-close");
+
+    speciesOverlayEl = document.getElementById("species-overlay");
+    speciesTitleEl = document.getElementById("species-title");
+    speciesSciEl = document.getElementById("species-sci");
+    speciesPhotoEl = document.getElementById("species-photo");
+    speciesSpectrogramEl = document.getElementById("species-spectrogram");
+    speciesAudioEl = document.getElementById("species-audio");
+    speciesMetaEl = document.getElementById("species-meta");
+    speciesFactEl = document.getElementById("species-fact");
+    speciesCreditsEl = document.getElementById("species-credits");
+    speciesCloseEl = document.getElementById("species-close");
+    revealSpeciesLinkEl = document.getElementById("reveal-species-link");
+
+    mediaItemEl = document.getElementById("media-item");
+    mediaOpenEl = document.getElementById("media-open");
+    mediaOverlayEl = document.getElementById("media-overlay");
+    mediaSummaryEl = document.getElementById("media-summary");
+    mediaListEl = document.getElementById("media-list");
+    mediaCloseEl = document.getElementById("media-close");
+    languageSelectEl = document.getElementById("language-select");
+    startLanguageSelectEl = document.getElementById("start-language-select");
   }
 
   function attachEvents() {
@@ -867,6 +3690,12 @@ if (aboutOpen && aboutClose && aboutOverlay) {
     if (nextBtnEl) {
       nextBtnEl.addEventListener("click", goToNextRound);
     }
+    if (listenPlayEl) {
+      listenPlayEl.addEventListener("click", togglePlayPause);
+    }
+    if (listenReplayEl) {
+      listenReplayEl.addEventListener("click", playFromStart);
+    }
     if (sciToggleBtn) {
       sciToggleBtn.addEventListener("click", () => {
         sciNamesOn = !sciNamesOn;
@@ -874,12 +3703,51 @@ if (aboutOpen && aboutClose && aboutOverlay) {
         applySciToggleToButtons();
       });
     }
+    if (learnToggleBtn) {
+      learnToggleBtn.addEventListener("click", () => {
+        learnModeOn = !learnModeOn;
+        updateLearnToggleUI();
+        // the session order depends on Learn mode, so start over
+        if (currentMode) {
+          startNewGame();
+        }
+      });
+    }
+    if (difficultyToggleBtn) {
+      difficultyToggleBtn.addEventListener("click", () => {
+        difficulty = difficulty === "hard" ? "standard" : "hard";
+        updateDifficultyToggleUI();
+        // difficulty is recorded per game, so start over
+        if (currentMode) {
+          startNewGame();
+        }
+      });
+    }
+    if (timedToggleBtn) {
+      timedToggleBtn.addEventListener("click", () => {
+        timedOn = !timedOn;
+        updateTimedToggleUI();
+        // points and reaction times are per game, so start over
+        if (currentMode) {
+          startNewGame();
+        } else {
+          updateTimerText();
+        }
+      });
+    }
     if (startBtnEl) {
-      startBtnEl.addEventListener("click", () => setModeAndStart("spectrogram"));
+      startBtnEl.addEventListener("click", () => {
+        setModeAndStart(assignment ? assignment.mode : "spectrogram");
+      });
     }
     if (hintCloseBtnEl) {
       hintCloseBtnEl.addEventListener("click", hideHintOverlay);
     }
+    if (hintBtnEl) {
+      hintBtnEl.addEventListener("click", () => {
+        if (currentSong && !hasAnswered) showHintOverlay(currentSong);
+      });
+    }
     if (playAgainBtnEl) {
       playAgainBtnEl.addEventListener("click", () => {
         hideEndOverlay();
@@ -922,6 +3790,18 @@ if (aboutOpen && aboutClose && aboutOverlay) {
         setModeAndStart("facts");
       });
     }
+    if (modeChangeListenEl) {
+      modeChangeListenEl.addEventListener("click", () => {
+        modeChangeOverlayEl.classList.add("hidden");
+        setModeAndStart("listen");
+      });
+    }
+    if (modeChangeReverseEl) {
+      modeChangeReverseEl.addEventListener("click", () => {
+        modeChangeOverlayEl.classList.add("hidden");
+        setModeAndStart("reverse");
+      });
+    }
     if (modeChangeCancelEl) {
       modeChangeCancelEl.addEventListener("click", () => {
         modeChangeOverlayEl.classList.add("hidden");
@@ -945,7 +3825,7 @@ if (aboutOpen && aboutClose && aboutOverlay) {
         if (!revealOverlayEl) return;
         revealOverlayEl.classList.add("hidden");
 
-        if (roundsAnswered >= TOTAL_ROUNDS) {
+        if (roundsAnswered >= totalRounds) {
           showEndOverlay();
         } else {
           nextBtnEl.disabled = false;
@@ -953,17 +3833,214 @@ if (aboutOpen && aboutClose && aboutOverlay) {
       });
     }
 
-    // Spacebar toggles play/pause (but not in text inputs)
-    document.addEventListener("keydown", e => {
-      if (e.code === "Space" || e.key === " ") {
-        const tag = (e.target && e.target.tagName || "").toLowerCase();
-        if (tag === "input" || tag === "textarea" || e.target.isContentEditable) {
-          return;
+    if (mixupsOpenEl) {
+      mixupsOpenEl.addEventListener("click", () => openPage({ page: "mixups" }));
+    }
+    if (mixupsCloseEl) {
+      mixupsCloseEl.addEventListener("click", closePage);
+    }
+
+    if (dashboardOpenEl && window.InsectGameAnalytics) {
+      dashboardOpenEl.addEventListener("click", () => openPage({ page: "stats" }));
+    }
+    if (dashboardCloseEl) {
+      dashboardCloseEl.addEventListener("click", closePage);
+    }
+
+    if (telemetryOpenEl) {
+      telemetryOpenEl.addEventListener("click", () => {
+        updateTelemetryUI();
+        telemetryOverlayEl.classList.remove("hidden");
+      });
+    }
+    if (telemetryAllowEl) {
+      telemetryAllowEl.addEventListener("click", () => setTelemetryConsent(true));
+    }
+    if (telemetryDenyEl) {
+      telemetryDenyEl.addEventListener("click", () => setTelemetryConsent(false));
+    }
+
+    if (speciesCloseEl) {
+      speciesCloseEl.addEventListener("click", closePage);
+    }
+    [guideOpenEl, guideStartEl].forEach(el => {
+      if (el) el.addEventListener("click", () => openPage({ page: "guide" }));
+    });
+    if (guideCloseEl) {
+      guideCloseEl.addEventListener("click", closePage);
+    }
+    [guideSearchEl, guideRegionEl, guideGroupEl].forEach(el => {
+      if (el) el.addEventListener("input", filterGuide);
+    });
+    if (guideQuizEl) {
+      guideQuizEl.addEventListener("click", quizOnGuideSpecies);
+    }
+    if (revealSpeciesLinkEl) {
+      revealSpeciesLinkEl.addEventListener("click", () => {
+        if (currentSong) openSpeciesPage(currentSong);
+      });
+    }
+    // back / forward, and links or hand-edited hashes
+    window.addEventListener("popstate", showRouteFromLocation);
+    window.addEventListener("hashchange", showRouteFromLocation);
+
+    if (presetLeaveEl) {
+      presetLeaveEl.addEventListener("click", () => {
+        const wasPlaying = (!!getPresetGame() || !!studySongs) && !!currentMode;
+        leavePresetGame();
+        if (wasPlaying) {
+          hideEndOverlay();
+          startNewGame();
+          syncRoute();
         }
-        e.preventDefault();
-        togglePlayPause();
+      });
+    }
+    if (dailyStartEl) {
+      dailyStartEl.addEventListener("click", () => {
+        if (isDailyAvailable()) startDailyChallenge();
+      });
+    }
+    if (modeChangeDailyEl) {
+      modeChangeDailyEl.addEventListener("click", () => {
+        modeChangeOverlayEl.classList.add("hidden");
+        if (isDailyAvailable()) startDailyChallenge();
+      });
+    }
+    if (endDailyCopyEl) {
+      endDailyCopyEl.addEventListener("click", () => {
+        copyField(endDailyShareEl, endDailyStatusEl);
+      });
+    }
+    if (endAssignmentNameEl) {
+      endAssignmentNameEl.addEventListener("input", updateAssignmentResultCode);
+    }
+    if (endAssignmentCopyEl) {
+      endAssignmentCopyEl.addEventListener("click", () => {
+        copyField(endAssignmentCodeEl, endAssignmentStatusEl);
+      });
+    }
+
+    if (teacherOpenEl && window.InsectGameAssignments) {
+      teacherOpenEl.addEventListener("click", () => openPage({ page: "teacher" }));
+    }
+    if (teacherCloseEl) {
+      teacherCloseEl.addEventListener("click", closePage);
+    }
+    if (teacherSelectAllEl) {
+      teacherSelectAllEl.addEventListener("click", () => setTeacherSpecies(true));
+    }
+    if (teacherSelectNoneEl) {
+      teacherSelectNoneEl.addEventListener("click", () => setTeacherSpecies(false));
+    }
+    if (teacherCreateEl) {
+      teacherCreateEl.addEventListener("click", createAssignment);
+    }
+    if (teacherCopyLinkEl) {
+      teacherCopyLinkEl.addEventListener("click", () => {
+        copyField(teacherLinkEl, teacherStatusEl);
+      });
+    }
+    if (gradeCheckEl) {
+      gradeCheckEl.addEventListener("click", gradeResults);
+    }
+
+    if (progressOpenEl && window.InsectGameAnalytics) {
+      progressOpenEl.addEventListener("click", () => openPage({ page: "progress" }));
+    }
+    if (progressCloseEl) {
+      progressCloseEl.addEventListener("click", closePage);
+    }
+    if (progressExportEl) {
+      progressExportEl.addEventListener("click", exportProgress);
+    }
+    if (progressImportEl) {
+      progressImportEl.addEventListener("click", importProgress);
+    }
+    if (progressResetEl) {
+      progressResetEl.addEventListener("click", () => {
+        setProgressStatus("");
+        progressResetConfirmEl.classList.remove("hidden");
+      });
+    }
+    if (progressResetYesEl) {
+      progressResetYesEl.addEventListener("click", resetProgress);
+    }
+    if (progressResetNoEl) {
+      progressResetNoEl.addEventListener("click", () => {
+        progressResetConfirmEl.classList.add("hidden");
+      });
+    }
+
+    if (settingsToggleBtn) {
+      settingsToggleBtn.addEventListener("click", showSettingsOverlay);
+    }
+    if (settingsApplyEl) {
+      settingsApplyEl.addEventListener("click", applySettings);
+    }
+    if (settingsCancelEl) {
+      settingsCancelEl.addEventListener("click", () => {
+        settingsOverlayEl.classList.add("hidden");
+      });
+    }
+
+    if (fieldToggleBtn) {
+      fieldToggleBtn.addEventListener("click", showFieldOverlay);
+    }
+    if (fieldApplyEl) {
+      fieldApplyEl.addEventListener("click", applyFieldSettings);
+    }
+    if (fieldCancelEl) {
+      fieldCancelEl.addEventListener("click", () => {
+        fieldOverlayEl.classList.add("hidden");
+      });
+    }
+
+    // Field-condition noise plays under the call, only while it plays
+    if (audioPlayerEl) {
+      audioPlayerEl.addEventListener("playing", startFieldLayers);
+      // spectrogram training and listening only: the round's clock starts
+      // with the call at the latest
+      audioPlayerEl.addEventListener("playing", () => {
+        if (startsWithCall()) startRoundClock();
+      });
+      audioPlayerEl.addEventListener("pause", stopFieldLayers);
+      audioPlayerEl.addEventListener("ended", stopFieldLayers);
+      audioPlayerEl.addEventListener("emptied", stopFieldLayers);
+    }
+
+    // Playhead follows the audio over the live spectrogram
+    if (audioPlayerEl) {
+      audioPlayerEl.addEventListener("play", startPlayhead);
+      audioPlayerEl.addEventListener("pause", updatePlayhead);
+      audioPlayerEl.addEventListener("seeked", updatePlayhead);
+      audioPlayerEl.addEventListener("ended", updatePlayhead);
+    }
+
+    // Broken recordings (see renderForMode) and photos are reported, not skipped silently
+    if (spectrogramImageEl) {
+      spectrogramImageEl.addEventListener("error", handlePhotoError);
+    }
+    if (mediaOpenEl) {
+      mediaOpenEl.addEventListener("click", () => openPage({ page: "media" }));
+    }
+    if (mediaCloseEl) {
+      mediaCloseEl.addEventListener("click", closePage);
+    }
+
+    [languageSelectEl, startLanguageSelectEl].forEach(select => {
+      if (select) {
+        select.addEventListener("change", () => window.InsectGameI18n.setLanguage(select.value));
       }
     });
+    window.InsectGameI18n.onChange(applyLanguage);
+
+    // Canvas size follows the layout, so redraw when it changes
+    window.addEventListener("resize", () => {
+      if (currentSpec) drawLiveSpectrogram();
+    });
+
+    // Keyboard play (but not in text inputs or open dialogs)
+    document.addEventListener("keydown", handleShortcut);
   }
 
   function initGame() {
@@ -974,8 +4051,19 @@ if (aboutOpen && aboutClose && aboutOverlay) {
 
     initDomRefs();
     attachEvents();
-    updateSciToggleUI();
-    updateRegionToggleLabel();
+    registerDialogs();
+    buildLanguageOptions();
+    buildFieldNoiseOptions();
+    buildSettingsOptions();
+    applyLanguage();
+    loadAssignmentFromUrl();
+    if (revealSpeciesLinkEl) {
+      revealSpeciesLinkEl.classList.toggle("hidden", !window.InsectGameRouter);
+    }
+    startMediaCheck();
+    showRouteFromLocation();
+    // after the page has loaded, so caching the media doesn't compete with it
+    window.addEventListener("load", registerServiceWorker);
 
     // Initialize analytics and stats panel if available
     if (window.InsectGameAnalytics && document.getElementById("stats-text")) {
@@ -0,0 +1,221 @@
+/*
+  i18n.js
+
+  Translations for the Insect Song Learning Game.
+
+  Player-facing text lives in locale bundles (locales/en.js, locales/es.js,
+  locales/fr.js), loaded before this file. Each adds itself to
+  window.LOCALE_BUNDLES:
+
+    window.LOCALE_BUNDLES.es = {
+      name: "Español",           // shown in the language picker
+      fallback: "en",            // OPTIONAL where missing strings come from (default "en")
+      strings: { "next.spectrogram": "Siguiente espectrograma ➜", … },
+      words: {                   // what each family's insects are called,
+        Gryllidae: ["grillo"], … // hidden in fact mode (see redaction.js)
+      }
+    };
+
+  A string missing from a bundle comes from the next bundle in the chain,
+  e.g. "es-MX" -> "es" -> "en"; if no bundle has it, t() returns the key.
+  Strings can hold {placeholders}. When params include a numeric `count`,
+  the plural form "key.one" / "key.other" / … (Intl.PluralRules) is used
+  if the bundle has one.
+
+  Species in species-data.js can carry their own translations:
+
+    translations: { es: { commonName: "…", fact: "…", region: "…" } }
+
+  In index.html, elements are translated by attribute:
+
+    data-i18n="key"                       text content
+    data-i18n-html="key"                  inner HTML (bundles are trusted)
+    data-i18n-attr="aria-label:key; title:key"
+
+  Modules that build text outside game.js take their strings from here too
+  (dashboard.js), and the errors of assignments.js and analytics.js carry
+  the key of their text. Only analytics records and share texts stay in
+  English.
+
+  The language is chosen once (saved in this browser, else the browser's
+  preferred languages, else English) and can be changed with setLanguage().
+
+  API exposed on window.InsectGameI18n:
+
+    InsectGameI18n.t(key, params?)          // translated string
+    InsectGameI18n.has(key)                 // true if a bundle in the chain has the key
+    InsectGameI18n.getLanguage()            // e.g. "fr"
+    InsectGameI18n.setLanguage(code)        // saves the choice, then calls onChange listeners
+    InsectGameI18n.getLanguages()           // -> [{code, name}] of the loaded bundles
+    InsectGameI18n.getChain()               // -> e.g. ["fr", "en"]
+    InsectGameI18n.getWords(list)           // -> bundle words[list] of every language in the chain, e.g. getWords("Gryllidae")
+    InsectGameI18n.localize(song, field)    // song's commonName / fact / region in the chain's first language that has it
+    InsectGameI18n.translatePage(root?)     // applies the data-i18n attributes
+    InsectGameI18n.onChange(fn)
+*/
+
+(function () {
+  const LANGUAGE_KEY = "insectGameLanguage_v1";
+  const DEFAULT_LANGUAGE = "en";
+
+  const bundles = window.LOCALE_BUNDLES || {};
+  const listeners = [];
+  let language = pickLanguage();
+
+  function loadSavedLanguage() {
+    try {
+      return localStorage.getItem(LANGUAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveLanguage(code) {
+    try {
+      localStorage.setItem(LANGUAGE_KEY, code);
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
+  }
+
+  // "es-MX" -> "es-MX" if there is such a bundle, else "es", else null
+  function matchBundle(code) {
+    if (!code) return null;
+    if (bundles[code]) return code;
+    const base = code.split("-")[0].toLowerCase();
+    return bundles[base] ? base : null;
+  }
+
+  function pickLanguage() {
+    const saved = matchBundle(loadSavedLanguage());
+    if (saved) return saved;
+    const preferred = (navigator.languages && navigator.languages.length)
+      ? navigator.languages
+      : [navigator.language];
+    for (const code of preferred) {
+      const match = matchBundle(code);
+      if (match) return match;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  function getChain() {
+    const chain = [];
+    let code = language;
+    while (code && !chain.includes(code)) {
+      chain.push(code);
+      code = bundles[code] ? bundles[code].fallback || DEFAULT_LANGUAGE : null;
+    }
+    if (!chain.includes(DEFAULT_LANGUAGE)) chain.push(DEFAULT_LANGUAGE);
+    return chain;
+  }
+
+  function lookup(key) {
+    for (const code of getChain()) {
+      const strings = bundles[code] && bundles[code].strings;
+      if (strings && Object.prototype.hasOwnProperty.call(strings, key)) return strings[key];
+    }
+    return null;
+  }
+
+  function pluralKey(key, count) {
+    try {
+      return `${key}.${new Intl.PluralRules(language).select(count)}`;
+    } catch (e) {
+      return `${key}.${count === 1 ? "one" : "other"}`;
+    }
+  }
+
+  function t(key, params) {
+    let text = null;
+    if (params && typeof params.count === "number") {
+      text = lookup(pluralKey(key, params.count)) || lookup(`${key}.other`);
+    }
+    if (text === null) text = lookup(key);
+    if (text === null) return key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    );
+  }
+
+  function has(key) {
+    return lookup(key) !== null;
+  }
+
+  function getLanguage() {
+    return language;
+  }
+
+  function setLanguage(code) {
+    const match = matchBundle(code);
+    if (!match) return;
+    language = match;
+    saveLanguage(match);
+    listeners.forEach(fn => {
+      try {
+        fn(match);
+      } catch (e) {
+        console.error(e);
+      }
+    });
+  }
+
+  function getLanguages() {
+    return Object.keys(bundles).map(code => ({ code, name: bundles[code].name || code }));
+  }
+
+  function getWords(list) {
+    const words = [];
+    getChain().forEach(code => {
+      const bundleWords = bundles[code] && bundles[code].words;
+      if (bundleWords && Array.isArray(bundleWords[list])) words.push(...bundleWords[list]);
+    });
+    return [...new Set(words)];
+  }
+
+  function localize(song, field) {
+    const translations = song && song.translations;
+    if (translations) {
+      for (const code of getChain()) {
+        const value = translations[code] && translations[code][field];
+        if (value) return value;
+      }
+    }
+    return song ? song[field] : "";
+  }
+
+  function translatePage(root) {
+    const scope = root || document;
+    scope.querySelectorAll("[data-i18n]").forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    scope.querySelectorAll("[data-i18n-html]").forEach(el => {
+      el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    scope.querySelectorAll("[data-i18n-attr]").forEach(el => {
+      el.dataset.i18nAttr.split(";").forEach(pair => {
+        const [attr, key] = pair.split(":").map(s => s.trim());
+        if (attr && key) el.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  // Expose API on window
+  window.InsectGameI18n = {
+    t,
+    has,
+    getLanguage,
+    setLanguage,
+    getLanguages,
+    getChain,
+    getWords,
+    localize,
+    translatePage,
+    onChange
+  };
+})();
@@ -0,0 +1,183 @@
+/*
+  learning.js
+
+  Spaced-repetition memory for the "Learn" mode of the Insect Song Learning Game.
+
+  Uses Leitner boxes, stored in localStorage PER BROWSER ONLY (next to the
+  analytics key). Each species has its own card per game mode:
+
+    - box     : 1 – MAX_BOX. A first-try correct answer moves the card up one
+                box, any wrong guess sends it back to box 1.
+    - dueAt   : when the card should be reviewed again. Higher boxes wait longer
+                (BOX_INTERVAL_DAYS).
+    - seen / correct / lastSeenAt : simple history for the card
+
+  Cards are keyed by scientific name, so renaming a common name keeps progress.
+
+  API exposed on window.InsectGameLearning:
+
+    InsectGameLearning.pickSession(mode, pool, count)   // due + weak species first
+    InsectGameLearning.recordResult(mode, song, firstTry) // returns {species, commonName, from, to, change}
+    InsectGameLearning.getCard(mode, song)              // current card, or null if never reviewed
+    InsectGameLearning.exportData()                     // -> {cards}, for analytics.js exports
+    InsectGameLearning.importData(data, how)            // how: "merge" | "replace"
+    InsectGameLearning.resetData()                      // deletes every card
+*/
+
+(function () {
+  const LEARNING_KEY = "insectGameLearning_v1";
+  const MAX_BOX = 5;
+  const BOX_INTERVAL_DAYS = [0, 1, 3, 7, 14]; // index = box - 1
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let data = loadData();
+
+  function loadData() {
+    try {
+      const raw = localStorage.getItem(LEARNING_KEY);
+      if (!raw) return createEmptyData();
+      const parsed = JSON.parse(raw);
+      return {
+        cards: parsed.cards || {}
+      };
+    } catch (e) {
+      return createEmptyData();
+    }
+  }
+
+  function createEmptyData() {
+    return {
+      cards: {} // mode -> species -> {box, dueAt, seen, correct, lastSeenAt}
+    };
+  }
+
+  function saveData() {
+    try {
+      localStorage.setItem(LEARNING_KEY, JSON.stringify(data));
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
+  }
+
+  function getCard(mode, song) {
+    const modeCards = data.cards[mode];
+    return (modeCards && modeCards[song.species]) || null;
+  }
+
+  // 0 = due now, 1 = never reviewed, 2 = reviewed and not yet due
+  function priorityTier(card, now) {
+    if (!card) return 1;
+    return card.dueAt <= now ? 0 : 2;
+  }
+
+  // pool should already be shuffled; the sort is stable, so ties keep that order
+  function pickSession(mode, pool, count) {
+    const now = Date.now();
+    return pool
+      .map(song => ({ song, card: getCard(mode, song) }))
+      .sort((a, b) => {
+        const tier = priorityTier(a.card, now) - priorityTier(b.card, now);
+        if (tier !== 0) return tier;
+        if (!a.card || !b.card) return 0;
+        if (a.card.box !== b.card.box) return a.card.box - b.card.box;
+        return a.card.dueAt - b.card.dueAt;
+      })
+      .slice(0, count)
+      .map(x => x.song);
+  }
+
+  function recordResult(mode, song, firstTry) {
+    if (!data.cards[mode]) data.cards[mode] = {};
+    const now = Date.now();
+    const card = data.cards[mode][song.species] || {
+      box: 1,
+      dueAt: now,
+      seen: 0,
+      correct: 0,
+      lastSeenAt: null
+    };
+
+    const from = card.box;
+    card.box = firstTry ? Math.min(MAX_BOX, card.box + 1) : 1;
+    card.dueAt = now + BOX_INTERVAL_DAYS[card.box - 1] * DAY_MS;
+    card.seen += 1;
+    if (firstTry) card.correct += 1;
+    card.lastSeenAt = new Date(now).toISOString();
+
+    data.cards[mode][song.species] = card;
+    saveData();
+
+    let change = "same";
+    if (card.box > from) change = "promoted";
+    else if (card.box < from) change = "demoted";
+
+    return {
+      species: song.species,
+      commonName: song.commonName,
+      from,
+      to: card.box,
+      change
+    };
+  }
+
+  // ---- Export / import / reset (see InsectGameAnalytics.exportData) ----
+
+  function exportData() {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  // the well-formed cards of imported data, copied
+  function readCards(incoming) {
+    const cards = {};
+    Object.entries((incoming && incoming.cards) || {}).forEach(([mode, modeCards]) => {
+      if (!modeCards || typeof modeCards !== "object") return;
+      Object.entries(modeCards).forEach(([species, card]) => {
+        if (!card || !Number.isInteger(card.box) || card.box < 1 || card.box > MAX_BOX ||
+          typeof card.dueAt !== "number") return;
+        if (!cards[mode]) cards[mode] = {};
+        cards[mode][species] = {
+          box: card.box,
+          dueAt: card.dueAt,
+          seen: Number(card.seen) || 0,
+          correct: Number(card.correct) || 0,
+          lastSeenAt: card.lastSeenAt || null
+        };
+      });
+    });
+    return cards;
+  }
+
+  // merging keeps, for each species, the card reviewed last
+  function importData(incoming, how) {
+    const cards = readCards(incoming);
+    if (how === "replace") {
+      data = { cards };
+    } else {
+      Object.entries(cards).forEach(([mode, modeCards]) => {
+        if (!data.cards[mode]) data.cards[mode] = {};
+        Object.entries(modeCards).forEach(([species, card]) => {
+          const current = data.cards[mode][species];
+          if (!current || (card.lastSeenAt || "") > (current.lastSeenAt || "")) {
+            data.cards[mode][species] = card;
+          }
+        });
+      });
+    }
+    saveData();
+  }
+
+  function resetData() {
+    data = createEmptyData();
+    saveData();
+  }
+
+  // Expose API on window
+  window.InsectGameLearning = {
+    pickSession,
+    recordResult,
+    getCard,
+    exportData,
+    importData,
+    resetData
+  };
+})();
@@ -0,0 +1,477 @@
+/*
+  locales/en.js
+
+  English strings for the Insect Song Learning Game: the fallback for every
+  other language, so it has to hold every key game.js and index.html use.
+  See i18n.js for the bundle format.
+*/
+
+window.LOCALE_BUNDLES = window.LOCALE_BUNDLES || {};
+
+window.LOCALE_BUNDLES.en = {
+  name: "English",
+  strings: {
+    "app.title": "Insect Song Learning Game",
+    "app.tagline": "Match insect sounds, images, and natural history facts to their owners.",
+    "language.label": "Language",
+
+    // header
+    "header.changeMode": "Change mode",
+    "header.changeModeAria": "Change game mode",
+    "header.regionAria": "Change region",
+    "header.fieldAria": "Field conditions (background noise)",
+    "header.settingsAria": "Game settings",
+    "header.learnTitle": "Review the species you're due for or keep missing",
+    "header.difficultyTitle": "Hard mode offers answer choices from the same family or with a similar song",
+    "header.timedTitle": "A countdown for every round; faster correct answers earn more points",
+    "modeLabel": "Mode: {mode}",
+    "modeLabel.none": "Mode: —",
+    "tag.hard": "Hard",
+    "tag.learn": "Learn",
+    "tag.field": "Field",
+    "tag.timed": "Timed",
+    "tag.assignment": "Assignment",
+    "tag.daily": "Daily",
+    "region.toggle": "🌍 Region: {name}",
+    "region.allShort": "All",
+    "toggle.sci.required": "Scientific names: REQUIRED",
+    "toggle.sci.on": "Show scientific names: ON",
+    "toggle.sci.off": "Show scientific names: OFF",
+    "toggle.learn.on": "Learn mode: ON",
+    "toggle.learn.off": "Learn mode: OFF",
+    "toggle.difficulty.hard": "Difficulty: Hard",
+    "toggle.difficulty.standard": "Difficulty: Standard",
+    "toggle.timed.on": "Timed challenge: ON",
+    "toggle.timed.off": "Timed challenge: OFF",
+    "field.toggle.off": "Field conditions: Off",
+    "field.toggle.on": "Field conditions: {snr}",
+    "field.adaptive": "adaptive ({snr})",
+    "count.rounds.one": "{count} round",
+    "count.rounds.other": "{count} rounds",
+    "count.choices.one": "{count} choice",
+    "count.choices.other": "{count} choices",
+
+    // modes
+    "mode.spectrogram": "Spectrogram training",
+    "mode.image": "Image recognition",
+    "mode.facts": "Fact knowledge",
+    "mode.listen": "Listening only",
+    "mode.reverse": "Reverse quiz",
+    "specLabel.spectrogram": "Visualizing sound",
+    "specLabel.image": "Insect image",
+    "specLabel.facts": "Fact training",
+    "specLabel.listen": "Listening only",
+    "specLabel.reverse": "Reverse quiz",
+    "tip.spectrogram": "Tip: match the band of energy and the rhythm of pulses.",
+    "tip.image": "Tip: look at body shape, wings, and posture.",
+    "tip.facts": "Tip: read the description carefully before you choose.",
+    "tip.listen": "Tip: no picture here. Listen for pitch, rhythm and how the call starts and stops.",
+    "tip.reverse": "Tip: play every candidate before you choose.",
+    "question.spectrogram": "Which insect is producing this sound?",
+    "question.image": "Which insect is shown here?",
+    "question.facts": "Which insect fits this description?",
+    "question.listen": "Which insect is calling?",
+    "question.reverse": "Which of these is the {name}?",
+    "subtitle.spectrogram": "Listen as many times as you like, then choose the common name.",
+    "subtitle.image": "Look closely at the insect's appearance, then choose its name.",
+    "subtitle.facts": "Read the description, then choose the species.",
+    "subtitle.listen": "Listen, replay as often as you need, then choose the common name.",
+    "subtitle.reverse": "Play the candidate calls as often as you like, then choose the one that matches the name.",
+    "tagline.spectrogram": "Who is calling?",
+    "tagline.image": "Who is this insect?",
+    "tagline.facts": "Which insect fits this description?",
+    "tagline.listen": "Who is calling?",
+    "tagline.reverse": "Find the {name}",
+    "next.spectrogram": "Next spectrogram ➜",
+    "next.image": "Next image ➜",
+    "next.facts": "Next description ➜",
+    "next.listen": "Next call ➜",
+    "next.reverse": "Next species ➜",
+    "next.default": "Next ➜",
+
+    // the round
+    "layout.soundAria": "Insect sound and details",
+    "layout.answersAria": "Answer choices and score",
+    "regionLabel": "Region: {region}",
+    "regionLabel.none": "Region: —",
+    "axis.frequency": "Frequency (kHz)",
+    "axis.time": "Time (seconds)",
+    "axis.amplitude": "Relative amplitude",
+    "alt.photo": "Photo of {name}",
+    "alt.spectrogram": "Spectrogram of this call",
+    "alt.spectrogramOf": "Spectrogram of {name} call",
+    "play.call": "Play call",
+    "play.optional": "Play call (optional)",
+    "play.keys": "Keys: Space play/pause · R replay · 1–6 answer · H hint · N next",
+    "listen.play": "▶ Play / pause",
+    "listen.replay": "⟲ Replay from the start",
+    "listen.replays.one": "Replayed {count} time this round",
+    "listen.replays.other": "Replayed {count} times this round",
+    "reverse.candidate": "Candidate {number}",
+    "reverse.choice": "Choose candidate {number}",
+    "reverse.play": "Play candidate {number}",
+    "reverse.thumbAlt": "Spectrogram of candidate {number}",
+    "fact.afterGuess": "After the guess",
+    "fact.description": "Description",
+    "fact.fun": "Fun fact",
+    "factPrompt.spectrogram": "Identify the caller to reveal a fun fact.",
+    "factPrompt.image": "Identify the insect to reveal a fun fact.",
+    "answer.aria": "Guess: {name}",
+    "answer.guess": "Guess",
+    "answer.tryAgain": "Try again",
+    "answer.answer": "Answer",
+    "feedback.wrong": "Wrong answer, try again.",
+    "feedback.timeUp": "Time's up! It was the {name}.",
+    "feedback.points.one": "+{count} point ({time}).",
+    "feedback.points.other": "+{count} points ({time}).",
+    "correct.spectrogram.first": "Correct! Nice listening.",
+    "correct.spectrogram.retry": "That's it! Now you've found the right caller.",
+    "correct.image.first": "Correct! Nice observation.",
+    "correct.image.retry": "That's it! Now you've picked the right insect.",
+    "correct.facts.first": "Correct! Nice recall.",
+    "correct.facts.retry": "That's it! You've matched the right species.",
+    "correct.listen.first": "Correct! Great ears.",
+    "correct.listen.retry": "That's it! You picked out the right caller.",
+    "correct.reverse.first": "Correct! You found it.",
+    "correct.reverse.retry": "That's it! Now you've found the right call.",
+    "correct.other.first": "Correct!",
+    "correct.other.retry": "You got it.",
+    "score.text": "Score this game: <strong>{score}</strong> of {rounds}",
+    "score.points.one": "<strong>{count}</strong> point",
+    "score.points.other": "<strong>{count}</strong> points",
+    "timer.waiting": "{time} · starts when the call plays",
+    "timer.waitingSpectrogram": "{time} · starts with the spectrogram or the call",
+    "hint.button": "💡 Hint",
+    "hint.title": "Biological hint",
+    "hint.close": "Got it",
+    "hint.region": "This species is found in: {region}.",
+    "hint.default": "Listen / look again and pay attention to the patterns.",
+    "reveal.timeUp": "Time's up!",
+    "reveal.more": "More about this species",
+    "reveal.continue": "Continue",
+    "media.link": "Media problems ({count})",
+    "media.warning.audio": "This call couldn't be loaded.",
+    "media.warning.audioRound": "This call couldn't be loaded, so there is no sound this round. " +
+      "The species is left out of spectrogram training and listening only from now on.",
+    "media.warning.photo": "This photo couldn't be loaded. " +
+      "The species is left out of image recognition from now on.",
+    "media.title": "Media problems",
+    "media.summary.checking": "Checking every recording and photo…",
+    "media.summary.ok": "Every recording and photo loaded.",
+    "media.summary.problems.one": "{count} file couldn't be loaded. Until it is fixed in " +
+      "species-data.js, its species is left out of the modes that need it (but not out of " +
+      "assignments and daily challenges).",
+    "media.summary.problems.other": "{count} files couldn't be loaded. Until they are fixed in " +
+      "species-data.js, these species are left out of the modes that need them (but not out of " +
+      "assignments and daily challenges).",
+    "media.kind.audio": "Recording: {reason}",
+    "media.kind.photo": "Photo: {reason}",
+    "media.leftOut": "Left out of: {modes}",
+    "media.reason.aborted": "loading was aborted",
+    "media.reason.network": "network error",
+    "media.reason.damaged": "the file is damaged",
+    "media.reason.unsupported": "file missing or format not supported",
+    "media.reason.unknown": "the recording couldn't be loaded",
+    "media.reason.emptyImage": "the image is empty",
+    "media.reason.notImage": "file missing or not an image",
+    "media.reason.noFile": "no file listed in species-data.js",
+
+    // end of a game
+    "end.title.spectrogram": "Listening game complete!",
+    "end.title.image": "Image game complete!",
+    "end.title.facts": "Fact game complete!",
+    "end.title.listen": "Ears-only game complete!",
+    "end.title.reverse": "Reverse quiz complete!",
+    "end.title.other": "Game complete!",
+    "end.score": "You scored {score} / {rounds}.",
+    "end.spectrogram.0": "You need to clean your ears. Play again...",
+    "end.spectrogram.1": "You need to learn to listen. Play again...",
+    "end.spectrogram.2": "Almost half way there!",
+    "end.spectrogram.3": "Pretty good! Your chance of finding a mate is more than 50%!",
+    "end.spectrogram.4": "Impressive ears!",
+    "end.spectrogram.5": "Master of insect sounds! You must be an insect sound biologist!",
+    "end.image.0": "You need new glasses. Play again...",
+    "end.image.1": "You need to look more closely. Play again...",
+    "end.image.2": "Almost half way there! Keep sharpening your eyes.",
+    "end.image.3": "Pretty good! Your field ID skills are waking up.",
+    "end.image.4": "Impressive eye for insects!",
+    "end.image.5": "Master of insect identification! Your field guide game is strong!",
+    "end.facts.0": "You need to hit the books. Play again...",
+    "end.facts.1": "You need to brush up your insect trivia.",
+    "end.facts.2": "Almost half way there! These facts are starting to stick.",
+    "end.facts.3": "Pretty good! Your insect natural history memory is solid.",
+    "end.facts.4": "Impressive knowledge! You're almost a walking field guide.",
+    "end.facts.5": "Master of insect facts! You must be an insect natural history expert!",
+    "end.listen.0": "Those calls slipped past you. Play again...",
+    "end.listen.1": "Without the picture it gets hard. Keep listening!",
+    "end.listen.2": "Almost half way there! Your ears are warming up.",
+    "end.listen.3": "Pretty good! You can pick callers out by ear.",
+    "end.listen.4": "Impressive! You hardly need the spectrogram.",
+    "end.listen.5": "Perfect ears! You could survey insects in the dark!",
+    "end.reverse.0": "Those calls all sounded alike to you. Play again...",
+    "end.reverse.1": "Knowing the name is only half the job. Keep practicing!",
+    "end.reverse.2": "Almost half way there!",
+    "end.reverse.3": "Pretty good! You could find most of these in the field.",
+    "end.reverse.4": "Impressive! You know what to listen for.",
+    "end.reverse.5": "Perfect! Name any insect and you can pick out its call!",
+    "end.other.0": "Play again and see what you can learn!",
+    "end.other.1": "Keep practicing!",
+    "end.other.2": "Almost half way there!",
+    "end.other.3": "Pretty good!",
+    "end.other.4": "Nice work!",
+    "end.other.5": "Excellent!",
+    "end.field": "Field conditions: signal-to-noise {range}.",
+    "end.timed.points.one": "Timed challenge: {count} point.",
+    "end.timed.points.other": "Timed challenge: {count} points.",
+    "end.timed.reaction": "Average reaction time {avg}, best {best}.",
+    "end.timed.none": "No rounds answered before the clock ran out.",
+    "end.timed.alwaysOut": "{name} (always timed out)",
+    "end.timed.slowest": "Slowest species so far: {names}.",
+    "end.listen.replays.one": "You replayed a call {count} time ({average} per round).",
+    "end.listen.replays.other": "You replayed the calls {count} times ({average} per round).",
+    "end.learn.title": "Learn mode progress",
+    "end.learn.none": "No species changed boxes this game.",
+    "end.learn.moved": "{name} — box {from} → {to}",
+    "end.playAgain": "▶ Play again",
+
+    // start screen and overlays
+    "start.subtitle": "Click to begin a <span class=\"rounds-count\">5</span>-round game. " +
+      "Start in spectrogram training mode, then explore image recognition and fact matching.",
+    "start.button": "▶ Click to start",
+    "start.guide": "📖 Study the field guide first",
+    "button.cancel": "Cancel",
+    "button.close": "Close",
+    "button.applyNewGame": "Apply and start new game",
+    "modeChange.title": "Change game mode?",
+    "modeChange.text": "Are you sure you want to change modes? This will start a new " +
+      "<span class=\"rounds-count\">5</span>-round game in the selected mode.",
+    "modeChange.facts": "Fact matching",
+    "region.title": "Choose region",
+    "region.text": "Select a region to focus on its insects, or choose “All regions” to mix " +
+      "everything together. A region includes all of its smaller regions, and appears once " +
+      "it has enough species for a full game.",
+    "region.all": "All regions",
+    "region.button": "{name} ({count} species)",
+    "field.title": "Field conditions",
+    "field.text": "Outdoors, calls come mixed with wind, traffic and other insects. Add " +
+      "background noise to listening only, and choose how loud the call is compared to it " +
+      "(signal-to-noise ratio).",
+    "field.background": "Background",
+    "field.noise.off": "Off (clean recording)",
+    "field.noise.random": "A different one each round",
+    "field.bed.wind": "Wind",
+    "field.bed.traffic": "Distant traffic",
+    "field.bed.chorus": "Insect chorus",
+    "field.snr": "Signal-to-noise",
+    "field.snr.adaptive": "Adaptive (harder as you improve)",
+    "field.snr.easy": "+12 dB (easy)",
+    "field.snr.even": "0 dB (as loud as the noise)",
+    "field.snr.hard": "−6 dB (hard)",
+    "field.decoy": "Add a decoy: another species calling at the same time",
+    "settings.title": "Game settings",
+    "settings.text": "Settings are saved in this browser. Games longer than the species " +
+      "list for a region will repeat some species.",
+    "settings.rounds": "Rounds per game",
+    "settings.choices": "Answer choices",
+    "settings.autoHints": "Show a hint automatically after a wrong guess",
+    "settings.sciRequired": "Require scientific names (answer choices show only scientific names)",
+    "mixups.title": "Your most common mix-ups",
+    "mixups.text": "Each row shows the right answer next to the species you picked instead, " +
+      "with both spectrograms side by side.",
+    "mixups.empty": "No mix-ups yet. Play a few games and come back!",
+    "mixups.mode.spectrogram": "Spectrogram mode",
+    "mixups.mode.image": "Image mode",
+    "mixups.mode.facts": "Facts mode",
+    "mixups.mode.listen": "Listening mode",
+    "mixups.mode.reverse": "Reverse mode",
+    "mixups.times.one": "{count} time",
+    "mixups.times.other": "{count} times",
+    "mixups.answer": "Answer",
+    "mixups.picked": "You picked",
+
+    // field guide and species pages
+    "guide.title": "Field guide",
+    "guide.searchPlaceholder": "Search common or scientific names",
+    "guide.searchAria": "Search species",
+    "guide.regionAria": "Region",
+    "guide.groupAria": "Insect group",
+    "guide.modeAria": "Quiz mode",
+    "guide.allGroups": "All insect groups",
+    "guide.empty": "No species match. Try another search or filter.",
+    "guide.speciesPage": "Species page",
+    "guide.count": "Showing {count} of {total} species",
+    "guide.quizAll": "Quiz me on all species",
+    "guide.quizThese": "Quiz me on these {count}",
+
+    // assignments and the daily challenge
+    "preset.assignment": "Assignment: {mode} · {rounds} · {count} species",
+    "preset.assignmentError": "Couldn't open the assignment: {message}",
+    "preset.daily": "Daily challenge {date}: {mode} · {rounds}",
+    "preset.study": "Field guide quiz: {count} species",
+    "preset.leaveAssignment": "Leave assignment",
+    "preset.leaveDaily": "Leave daily challenge",
+    "preset.leaveStudy": "Play all species",
+    "assignment.title": "Assignment result for your teacher",
+    "assignment.name": "Your name",
+    "assignment.code": "Result code",
+    "assignment.copy": "Copy result code",
+    "daily.button": "Daily challenge",
+    "daily.result": "Daily challenge {date}: {score} / {rounds}.",
+    "daily.practice": "Practice round. Today's result stays {score} / {rounds} (only the first game counts).",
+    "daily.streak.one": "Streak: {count} day (best {best}).",
+    "daily.streak.other": "Streak: {count} days (best {best}).",
+    "daily.historyAria": "Daily scores, last 7 days",
+    "daily.copy": "Copy to share",
+    "copy.manual": "Press Ctrl+C (⌘C on a Mac) to copy.",
+    "copy.done": "Copied.",
+
+    // footer
+    "footer.createdBy": "Created by:",
+    "footer.about": "About",
+    "footer.guide": "Field guide",
+    "footer.stats": "My stats",
+    "footer.mixups": "My mix-ups",
+    "footer.progress": "My progress",
+    "footer.teacher": "Teacher tools",
+    "telemetry.link.on": "Usage sharing: On",
+    "telemetry.link.off": "Usage sharing: Off",
+    "telemetry.status.on": "You are currently sharing anonymous usage.",
+    "telemetry.status.off": "You are not sharing anything right now.",
+    "telemetry.title": "Share anonymous usage?",
+    "telemetry.text": "The people running this copy of the game would like to know how it is " +
+      "used in classrooms. If you agree, this browser sends them when a game starts and ends " +
+      "(mode, region, score and game settings) and which regions are chosen, with a random ID " +
+      "for this browser. No names, no email, nothing else. You can turn it off at any time, " +
+      "which also deletes the ID.",
+    "telemetry.allow": "Share anonymous usage",
+    "telemetry.deny": "Don't share",
+    // teacher tools
+    "teacher.title": "Teacher tools",
+    "teacher.create.title": "Create an assignment",
+    "teacher.create.text": "Pick the species to practise. Every student who opens the link plays " +
+      "the same rounds in the same order.",
+    "teacher.selectAll": "Select all",
+    "teacher.selectNone": "Select none",
+    "teacher.mode": "Mode",
+    "teacher.rounds": "Rounds",
+    "teacher.seed": "Seed (letters and digits)",
+    "teacher.createButton": "Create assignment",
+    "teacher.link": "Link",
+    "teacher.code": "Code",
+    "teacher.copyLink": "Copy link",
+    "teacher.ready": "Assignment ready. Share the link, or the code.",
+    "grade.title": "Grade results",
+    "grade.assignment": "Assignment link or code",
+    "grade.results": "Result codes, one per line",
+    "grade.check": "Check results",
+    "grade.noResults": "Paste at least one result code.",
+    "grade.column.name": "Name",
+    "grade.column.score": "Score",
+    "grade.column.finished": "Finished",
+    "grade.column.time": "Time",
+    "grade.column.check": "Check",
+    "grade.noName": "(no name)",
+    "grade.ok": "OK",
+    "grade.legend": "✓ right first try · ↻ right after a wrong guess · ✗ time ran out. " +
+      "Hover a round number to see its species.",
+    "assignment.error.mode": "Unknown mode \"{mode}\".",
+    "assignment.error.noSpecies": "Pick at least one species.",
+    "assignment.error.rounds": "Rounds must be one of {options}.",
+    "assignment.error.choices": "Answer choices must be {min} – {max}.",
+    "assignment.error.seed": "The seed can only use letters and digits (up to 12).",
+    "assignment.error.notCode": "This isn't an assignment code.",
+    "assignment.error.damaged": "This assignment code is damaged.",
+    "assignment.error.unknownSpecies": "This assignment uses species that aren't in this version of the game.",
+    "result.error.notCode": "This isn't a result code.",
+    "result.error.damaged": "This result code is damaged.",
+    "result.problem.otherAssignment": "Result is for a different assignment.",
+    "result.problem.checksum": "Checksum doesn't match: the code was changed or mistyped.",
+
+    // stats dashboard and progress
+    "stats.title": "Your stats",
+    "stats.gamesCompleted.one": "{count} game completed.",
+    "stats.gamesCompleted.other": "{count} games completed.",
+    "stats.error.newer": "These stats come from a newer version of the game (schema {version}).",
+    "stats.error.migration": "No migration from stats schema {version}.",
+    "stats.error.notExport": "This file isn't an Insect Song Game stats export.",
+    "dashboard.empty": "Finish a game to see your stats here.",
+    "dashboard.streaks": "Current streaks",
+    "dashboard.streak.days.one": "day in a row",
+    "dashboard.streak.days.other": "days in a row",
+    "dashboard.streak.goodGames.one": "game in a row at {percent}+",
+    "dashboard.streak.goodGames.other": "games in a row at {percent}+",
+    "dashboard.accuracyOverTime.title": "Accuracy over time (line: last {games} games, dots: each game)",
+    "dashboard.accuracyOverTime.label": "Accuracy over time, per mode",
+    "dashboard.byRegion": "Accuracy by region",
+    "dashboard.regionGames.one": "{percent} · {count} game",
+    "dashboard.regionGames.other": "{percent} · {count} games",
+    "dashboard.perWeek.title": "Games per week (last {weeks} weeks)",
+    "dashboard.perWeek.label": "Games per week, last {weeks} weeks",
+    "dashboard.mode.spectrogram": "Spectrogram",
+    "dashboard.mode.image": "Image",
+    "dashboard.mode.facts": "Facts",
+    "dashboard.mode.listen": "Listening",
+    "dashboard.mode.reverse": "Reverse",
+    "progress.title": "Your progress",
+    "progress.text": "Your stats, learn-mode progress, daily challenge results and game settings " +
+      "are stored in this browser only. Export them to a file to back them up, or import them in " +
+      "another browser.",
+    "progress.export": "⬇ Export to a file",
+    "progress.file": "Import file",
+    "progress.how": "When importing",
+    "progress.how.merge": "Add to what this browser has",
+    "progress.how.replace": "Replace what this browser has",
+    "progress.import": "⬆ Import",
+    "progress.reset": "Reset all progress…",
+    "progress.reset.text": "This deletes your stats, learn-mode progress, daily challenge " +
+      "results and game settings in this browser and can't be undone. Export first if you might " +
+      "want them back.",
+    "progress.reset.yes": "Yes, delete my progress",
+    "progress.reset.no": "Keep them",
+    "progress.exported": "Progress exported.",
+    "progress.noFile": "Choose an exported progress file first.",
+    "progress.replaced": "Progress replaced with the imported file.",
+    "progress.merged": "Imported progress added to this browser's.",
+    "progress.notJson": "That file isn't valid JSON.",
+    "progress.importFailed": "Import failed: {message}",
+    "progress.deleted": "All progress in this browser was deleted.",
+
+    // about page
+    "about.title": "About the Creator",
+    "about.photoAlt": "Photo of Lucas H. Fink",
+    "about.text1": "<strong>Lucas H. Fink</strong> is an entomologist, bioacoustics researcher, " +
+      "and natural history educator completing his bachelor’s degree in Entomology and Ecology " +
+      "and Evolutionary Biology at Cornell University. He will graduate in May 2026. Lucas " +
+      "describes and studies acoustic behavior across a wide range of animals, working with the " +
+      "K. Lisa Yang Center for Conservation Bioacoustics to explore how sound can deepen our " +
+      "understanding of the natural world.",
+    "about.text2": "His research includes fieldwork to describe the sounds of katydids and " +
+      "crickets in the Brazilian Pantanal, dialect variation in Hawaiian honeycreepers, and " +
+      "long-term patterns in orangutan vocal behavior. He is particularly interested in how " +
+      "tuning into animal communication can reveal the ecology, behavior, and conservation " +
+      "needs of wildlife.",
+    "about.text3": "Beyond research, Lucas leads public science outreach and wilderness " +
+      "education as an instructor with Cornell Outdoor Education and as the founder of the " +
+      "Cornell Bioacoustics Club. He is committed to helping people develop sharper observation " +
+      "and listening skills and to inspiring curiosity about the biodiversity around us.",
+    "about.text4": "This game reflects his mission to bring the world of animal communication " +
+      "to learners and to make the experience of listening and identifying wildlife more " +
+      "engaging and accessible.",
+
+    // insect groups in the field guide (by family)
+    "group.Gryllidae": "Crickets",
+    "group.Gryllotalpidae": "Mole crickets",
+    "group.Tettigoniidae": "Katydids",
+    "group.Acrididae": "Grasshoppers",
+    "group.Cicadidae": "Cicadas"
+  },
+  // what each family's insects are called, hidden from fact-mode
+  // descriptions (see redaction.js); plurals and "-" / " " spellings match too
+  words: {
+    Gryllidae: ["cricket"],
+    Gryllotalpidae: ["mole cricket", "cricket"],
+    Tettigoniidae: ["katydid", "conehead", "bush cricket"],
+    Acrididae: ["grasshopper"],
+    Cicadidae: ["cicada"]
+  }
+};
@@ -0,0 +1,508 @@
+/*
+  locales/es.js
+
+  Spanish strings for the Insect Song Learning Game. Missing keys come from
+  locales/en.js. See i18n.js for the bundle format.
+*/
+
+window.LOCALE_BUNDLES = window.LOCALE_BUNDLES || {};
+
+window.LOCALE_BUNDLES.es = {
+  name: "Español",
+  fallback: "en",
+  strings: {
+    "app.title": "Juego de cantos de insectos",
+    "app.tagline": "Relaciona sonidos, imágenes y datos de historia natural con el insecto al que pertenecen.",
+    "language.label": "Idioma",
+
+    // header
+    "header.changeMode": "Cambiar modo",
+    "header.changeModeAria": "Cambiar el modo de juego",
+    "header.regionAria": "Cambiar la región",
+    "header.fieldAria": "Condiciones de campo (ruido de fondo)",
+    "header.settingsAria": "Ajustes del juego",
+    "header.learnTitle": "Repasa las especies que te tocan o que sueles fallar",
+    "header.difficultyTitle": "El modo difícil ofrece respuestas de la misma familia o con un canto parecido",
+    "header.timedTitle": "Una cuenta atrás en cada ronda; cuanto antes aciertes, más puntos",
+    "modeLabel": "Modo: {mode}",
+    "modeLabel.none": "Modo: —",
+    "tag.hard": "Difícil",
+    "tag.learn": "Aprender",
+    "tag.field": "Campo",
+    "tag.timed": "Contrarreloj",
+    "tag.assignment": "Tarea",
+    "tag.daily": "Diario",
+    "region.toggle": "🌍 Región: {name}",
+    "region.allShort": "Todas",
+    "toggle.sci.required": "Nombres científicos: OBLIGATORIOS",
+    "toggle.sci.on": "Mostrar nombres científicos: SÍ",
+    "toggle.sci.off": "Mostrar nombres científicos: NO",
+    "toggle.learn.on": "Modo aprendizaje: SÍ",
+    "toggle.learn.off": "Modo aprendizaje: NO",
+    "toggle.difficulty.hard": "Dificultad: Difícil",
+    "toggle.difficulty.standard": "Dificultad: Normal",
+    "toggle.timed.on": "Contrarreloj: SÍ",
+    "toggle.timed.off": "Contrarreloj: NO",
+    "field.toggle.off": "Condiciones de campo: No",
+    "field.toggle.on": "Condiciones de campo: {snr}",
+    "field.adaptive": "adaptativo ({snr})",
+    "count.rounds.one": "{count} ronda",
+    "count.rounds.other": "{count} rondas",
+    "count.choices.one": "{count} opción",
+    "count.choices.other": "{count} opciones",
+
+    // modes
+    "mode.spectrogram": "Espectrogramas",
+    "mode.image": "Reconocimiento por imagen",
+    "mode.facts": "Datos curiosos",
+    "mode.listen": "Solo escuchar",
+    "mode.reverse": "Quiz inverso",
+    "specLabel.spectrogram": "Visualizando el sonido",
+    "specLabel.image": "Imagen del insecto",
+    "specLabel.facts": "Entrenamiento con datos",
+    "specLabel.listen": "Solo escuchar",
+    "specLabel.reverse": "Quiz inverso",
+    "tip.spectrogram": "Consejo: fíjate en la banda de energía y el ritmo de los pulsos.",
+    "tip.image": "Consejo: observa la forma del cuerpo, las alas y la postura.",
+    "tip.facts": "Consejo: lee la descripción con atención antes de elegir.",
+    "tip.listen": "Consejo: aquí no hay imagen. Escucha el tono, el ritmo y cómo empieza y termina el canto.",
+    "tip.reverse": "Consejo: escucha todos los candidatos antes de elegir.",
+    "question.spectrogram": "¿Qué insecto produce este sonido?",
+    "question.image": "¿Qué insecto aparece aquí?",
+    "question.facts": "¿Qué insecto encaja con esta descripción?",
+    "question.listen": "¿Qué insecto está cantando?",
+    "question.reverse": "¿Cuál de estos es el {name}?",
+    "subtitle.spectrogram": "Escucha todas las veces que quieras y elige el nombre común.",
+    "subtitle.image": "Observa bien el aspecto del insecto y elige su nombre.",
+    "subtitle.facts": "Lee la descripción y elige la especie.",
+    "subtitle.listen": "Escucha, repite tantas veces como necesites y elige el nombre común.",
+    "subtitle.reverse": "Escucha los cantos candidatos tantas veces como quieras y elige el que corresponde al nombre.",
+    "tagline.spectrogram": "¿Quién está cantando?",
+    "tagline.image": "¿Qué insecto es este?",
+    "tagline.facts": "¿Qué insecto encaja con esta descripción?",
+    "tagline.listen": "¿Quién está cantando?",
+    "tagline.reverse": "Encuentra: {name}",
+    "next.spectrogram": "Siguiente espectrograma ➜",
+    "next.image": "Siguiente imagen ➜",
+    "next.facts": "Siguiente descripción ➜",
+    "next.listen": "Siguiente canto ➜",
+    "next.reverse": "Siguiente especie ➜",
+    "next.default": "Siguiente ➜",
+
+    // the round
+    "layout.soundAria": "Sonido del insecto y detalles",
+    "layout.answersAria": "Opciones de respuesta y puntuación",
+    "regionLabel": "Región: {region}",
+    "regionLabel.none": "Región: —",
+    "axis.frequency": "Frecuencia (kHz)",
+    "axis.time": "Tiempo (segundos)",
+    "axis.amplitude": "Amplitud relativa",
+    "alt.photo": "Foto de {name}",
+    "alt.spectrogram": "Espectrograma de este canto",
+    "alt.spectrogramOf": "Espectrograma del canto de {name}",
+    "play.call": "Reproducir canto",
+    "play.optional": "Reproducir canto (opcional)",
+    "play.keys": "Teclas: Espacio reproducir/pausar · R repetir · 1–6 responder · H pista · N siguiente",
+    "listen.play": "▶ Reproducir / pausar",
+    "listen.replay": "⟲ Repetir desde el principio",
+    "listen.replays.one": "Repetido {count} vez en esta ronda",
+    "listen.replays.other": "Repetido {count} veces en esta ronda",
+    "reverse.candidate": "Candidato {number}",
+    "reverse.choice": "Elegir el candidato {number}",
+    "reverse.play": "Escuchar el candidato {number}",
+    "reverse.thumbAlt": "Espectrograma del candidato {number}",
+    "fact.afterGuess": "Después de responder",
+    "fact.description": "Descripción",
+    "fact.fun": "Dato curioso",
+    "factPrompt.spectrogram": "Identifica al cantor para descubrir un dato curioso.",
+    "factPrompt.image": "Identifica al insecto para descubrir un dato curioso.",
+    "answer.aria": "Respuesta: {name}",
+    "answer.guess": "Elegir",
+    "answer.tryAgain": "Prueba otra vez",
+    "answer.answer": "Respuesta",
+    "feedback.wrong": "Respuesta incorrecta, prueba otra vez.",
+    "feedback.timeUp": "¡Se acabó el tiempo! Era: {name}.",
+    "feedback.points.one": "+{count} punto ({time}).",
+    "feedback.points.other": "+{count} puntos ({time}).",
+    "correct.spectrogram.first": "¡Correcto! Buen oído.",
+    "correct.spectrogram.retry": "¡Eso es! Ahora has encontrado al cantor.",
+    "correct.image.first": "¡Correcto! Buena observación.",
+    "correct.image.retry": "¡Eso es! Ahora has elegido el insecto correcto.",
+    "correct.facts.first": "¡Correcto! Buena memoria.",
+    "correct.facts.retry": "¡Eso es! Has dado con la especie correcta.",
+    "correct.listen.first": "¡Correcto! Qué buen oído.",
+    "correct.listen.retry": "¡Eso es! Has reconocido al cantor correcto.",
+    "correct.reverse.first": "¡Correcto! Lo encontraste.",
+    "correct.reverse.retry": "¡Eso es! Has dado con el canto correcto.",
+    "correct.other.first": "¡Correcto!",
+    "correct.other.retry": "¡Lo tienes!",
+    "score.text": "Puntuación de esta partida: <strong>{score}</strong> de {rounds}",
+    "score.points.one": "<strong>{count}</strong> punto",
+    "score.points.other": "<strong>{count}</strong> puntos",
+    "timer.waiting": "{time} · empieza cuando suena el canto",
+    "timer.waitingSpectrogram": "{time} · empieza con el espectrograma o el canto",
+    "hint.button": "💡 Pista",
+    "hint.title": "Pista biológica",
+    "hint.close": "Entendido",
+    "hint.region": "Esta especie vive en: {region}.",
+    "hint.default": "Escucha / mira otra vez y fíjate en los patrones.",
+    "reveal.timeUp": "¡Se acabó el tiempo!",
+    "reveal.more": "Más sobre esta especie",
+    "reveal.continue": "Continuar",
+    "media.link": "Problemas con archivos ({count})",
+    "media.warning.audio": "No se pudo cargar este canto.",
+    "media.warning.audioRound": "No se pudo cargar este canto, así que esta ronda no tiene sonido. " +
+      "A partir de ahora la especie queda fuera de los modos espectrogramas y solo escuchar.",
+    "media.warning.photo": "No se pudo cargar esta foto. " +
+      "A partir de ahora la especie queda fuera del reconocimiento por imagen.",
+    "media.title": "Problemas con archivos",
+    "media.summary.checking": "Comprobando cada grabación y foto…",
+    "media.summary.ok": "Todas las grabaciones y fotos se cargaron.",
+    "media.summary.problems.one": "No se pudo cargar {count} archivo. Hasta que se corrija en " +
+      "species-data.js, su especie queda fuera de los modos que lo necesitan (pero no de las " +
+      "tareas ni de los desafíos diarios).",
+    "media.summary.problems.other": "No se pudieron cargar {count} archivos. Hasta que se corrijan " +
+      "en species-data.js, estas especies quedan fuera de los modos que los necesitan (pero no de " +
+      "las tareas ni de los desafíos diarios).",
+    "media.kind.audio": "Grabación: {reason}",
+    "media.kind.photo": "Foto: {reason}",
+    "media.leftOut": "Fuera de: {modes}",
+    "media.reason.aborted": "se interrumpió la carga",
+    "media.reason.network": "error de red",
+    "media.reason.damaged": "el archivo está dañado",
+    "media.reason.unsupported": "falta el archivo o su formato no es compatible",
+    "media.reason.unknown": "no se pudo cargar la grabación",
+    "media.reason.emptyImage": "la imagen está vacía",
+    "media.reason.notImage": "falta el archivo o no es una imagen",
+    "media.reason.noFile": "species-data.js no indica ningún archivo",
+
+    // end of a game
+    "end.title.spectrogram": "¡Fin de la partida de escucha!",
+    "end.title.image": "¡Fin de la partida de imágenes!",
+    "end.title.facts": "¡Fin de la partida de datos!",
+    "end.title.listen": "¡Fin de la partida solo de oído!",
+    "end.title.reverse": "¡Fin del quiz inverso!",
+    "end.title.other": "¡Fin de la partida!",
+    "end.score": "Has acertado {score} de {rounds}.",
+    "end.spectrogram.0": "Tienes que limpiarte los oídos. Juega otra vez...",
+    "end.spectrogram.1": "Tienes que aprender a escuchar. Juega otra vez...",
+    "end.spectrogram.2": "¡Ya casi vas por la mitad!",
+    "end.spectrogram.3": "¡Muy bien! ¡Tienes más de un 50 % de posibilidades de encontrar pareja!",
+    "end.spectrogram.4": "¡Qué oído!",
+    "end.spectrogram.5": "¡Maestro de los sonidos de insectos! ¡Debes de ser bioacústico!",
+    "end.image.0": "Necesitas gafas nuevas. Juega otra vez...",
+    "end.image.1": "Tienes que mirar con más atención. Juega otra vez...",
+    "end.image.2": "¡Ya casi vas por la mitad! Sigue afinando la vista.",
+    "end.image.3": "¡Muy bien! Tu ojo de naturalista se está despertando.",
+    "end.image.4": "¡Qué buen ojo para los insectos!",
+    "end.image.5": "¡Maestro de la identificación de insectos! ¡Eres una guía de campo andante!",
+    "end.facts.0": "Te toca volver a los libros. Juega otra vez...",
+    "end.facts.1": "Tienes que repasar tus datos sobre insectos.",
+    "end.facts.2": "¡Ya casi vas por la mitad! Los datos empiezan a quedarse.",
+    "end.facts.3": "¡Muy bien! Tienes buena memoria para la historia natural.",
+    "end.facts.4": "¡Impresionante! Ya casi eres una guía de campo andante.",
+    "end.facts.5": "¡Maestro de los datos sobre insectos! ¡Debes de ser naturalista!",
+    "end.listen.0": "Esos cantos se te escaparon. Juega otra vez...",
+    "end.listen.1": "Sin la imagen cuesta más. ¡Sigue escuchando!",
+    "end.listen.2": "¡Casi a mitad de camino! Tu oído se está afinando.",
+    "end.listen.3": "¡Bastante bien! Ya reconoces cantores de oído.",
+    "end.listen.4": "¡Impresionante! Casi no necesitas el espectrograma.",
+    "end.listen.5": "¡Oído perfecto! Podrías censar insectos a oscuras.",
+    "end.reverse.0": "Todos los cantos te sonaron iguales. Juega otra vez...",
+    "end.reverse.1": "Saber el nombre es solo la mitad. ¡Sigue practicando!",
+    "end.reverse.2": "¡Casi a mitad de camino!",
+    "end.reverse.3": "¡Bastante bien! Encontrarías la mayoría en el campo.",
+    "end.reverse.4": "¡Impresionante! Sabes qué escuchar.",
+    "end.reverse.5": "¡Perfecto! Dime un insecto y reconoces su canto.",
+    "end.other.0": "¡Juega otra vez y a ver qué aprendes!",
+    "end.other.1": "¡Sigue practicando!",
+    "end.other.2": "¡Ya casi vas por la mitad!",
+    "end.other.3": "¡Muy bien!",
+    "end.other.4": "¡Buen trabajo!",
+    "end.other.5": "¡Excelente!",
+    "end.field": "Condiciones de campo: relación señal/ruido {range}.",
+    "end.timed.points.one": "Contrarreloj: {count} punto.",
+    "end.timed.points.other": "Contrarreloj: {count} puntos.",
+    "end.timed.reaction": "Tiempo de reacción medio {avg}, mejor {best}.",
+    "end.timed.none": "No respondiste ninguna ronda antes de que se acabara el tiempo.",
+    "end.timed.alwaysOut": "{name} (siempre se acabó el tiempo)",
+    "end.timed.slowest": "Especies en las que más tardas: {names}.",
+    "end.listen.replays.one": "Repetiste un canto {count} vez ({average} por ronda).",
+    "end.listen.replays.other": "Repetiste los cantos {count} veces ({average} por ronda).",
+    "end.learn.title": "Progreso del modo aprendizaje",
+    "end.learn.none": "Ninguna especie cambió de caja en esta partida.",
+    "end.learn.moved": "{name} — caja {from} → {to}",
+    "end.playAgain": "▶ Jugar otra vez",
+
+    // start screen and overlays
+    "start.subtitle": "Haz clic para empezar una partida de <span class=\"rounds-count\">5</span> rondas. " +
+      "Empieza con los espectrogramas y luego prueba el reconocimiento por imagen y los datos.",
+    "start.button": "▶ Haz clic para empezar",
+    "start.guide": "📖 Estudiar antes la guía de campo",
+    "button.cancel": "Cancelar",
+    "button.close": "Cerrar",
+    "button.applyNewGame": "Aplicar y empezar nueva partida",
+    "modeChange.title": "¿Cambiar el modo de juego?",
+    "modeChange.text": "¿Seguro que quieres cambiar de modo? Empezará una nueva partida de " +
+      "<span class=\"rounds-count\">5</span> rondas en el modo elegido.",
+    "modeChange.facts": "Datos curiosos",
+    "region.title": "Elegir región",
+    "region.text": "Elige una región para centrarte en sus insectos, o «Todas las regiones» para " +
+      "mezclarlo todo. Una región incluye todas sus regiones más pequeñas y aparece cuando " +
+      "tiene especies suficientes para una partida completa.",
+    "region.all": "Todas las regiones",
+    "region.button": "{name} ({count} especies)",
+    "field.title": "Condiciones de campo",
+    "field.text": "Al aire libre, los cantos se mezclan con el viento, el tráfico y otros " +
+      "insectos. Añade ruido de fondo a solo escuchar, y elige cuánto más fuerte suena el " +
+      "canto que el ruido (relación señal/ruido).",
+    "field.background": "Fondo",
+    "field.noise.off": "Ninguno (grabación limpia)",
+    "field.noise.random": "Uno distinto en cada ronda",
+    "field.bed.wind": "Viento",
+    "field.bed.traffic": "Tráfico lejano",
+    "field.bed.chorus": "Coro de insectos",
+    "field.snr": "Señal/ruido",
+    "field.snr.adaptive": "Adaptativo (más difícil a medida que mejoras)",
+    "field.snr.easy": "+12 dB (fácil)",
+    "field.snr.even": "0 dB (tan fuerte como el ruido)",
+    "field.snr.hard": "−6 dB (difícil)",
+    "field.decoy": "Añadir un señuelo: otra especie cantando a la vez",
+    "settings.title": "Ajustes del juego",
+    "settings.text": "Los ajustes se guardan en este navegador. Si una partida tiene más " +
+      "rondas que especies hay en la región, algunas se repetirán.",
+    "settings.rounds": "Rondas por partida",
+    "settings.choices": "Opciones de respuesta",
+    "settings.autoHints": "Mostrar una pista automáticamente tras un fallo",
+    "settings.sciRequired": "Exigir nombres científicos (las opciones solo muestran nombres científicos)",
+    "mixups.title": "Tus confusiones más frecuentes",
+    "mixups.text": "Cada fila muestra la respuesta correcta junto a la especie que elegiste, " +
+      "con los dos espectrogramas uno al lado del otro.",
+    "mixups.empty": "Aún no hay confusiones. ¡Juega unas partidas y vuelve!",
+    "mixups.mode.spectrogram": "Modo espectrogramas",
+    "mixups.mode.image": "Modo imagen",
+    "mixups.mode.facts": "Modo datos",
+    "mixups.mode.listen": "Modo solo escuchar",
+    "mixups.mode.reverse": "Modo inverso",
+    "mixups.times.one": "{count} vez",
+    "mixups.times.other": "{count} veces",
+    "mixups.answer": "Respuesta",
+    "mixups.picked": "Elegiste",
+
+    // field guide and species pages
+    "guide.title": "Guía de campo",
+    "guide.searchPlaceholder": "Buscar por nombre común o científico",
+    "guide.searchAria": "Buscar especies",
+    "guide.regionAria": "Región",
+    "guide.groupAria": "Grupo de insectos",
+    "guide.modeAria": "Modo del cuestionario",
+    "guide.allGroups": "Todos los grupos",
+    "guide.empty": "Ninguna especie coincide. Prueba otra búsqueda u otro filtro.",
+    "guide.speciesPage": "Ficha de la especie",
+    "guide.count": "Mostrando {count} de {total} especies",
+    "guide.quizAll": "Ponme a prueba con todas",
+    "guide.quizThese": "Ponme a prueba con estas {count}",
+
+    // assignments and the daily challenge
+    "preset.assignment": "Tarea: {mode} · {rounds} · {count} especies",
+    "preset.assignmentError": "No se pudo abrir la tarea: {message}",
+    "preset.daily": "Reto diario {date}: {mode} · {rounds}",
+    "preset.study": "Cuestionario de la guía: {count} especies",
+    "preset.leaveAssignment": "Salir de la tarea",
+    "preset.leaveDaily": "Salir del reto diario",
+    "preset.leaveStudy": "Jugar con todas las especies",
+    "assignment.title": "Resultado de la tarea para tu profesor",
+    "assignment.name": "Tu nombre",
+    "assignment.code": "Código de resultado",
+    "assignment.copy": "Copiar código de resultado",
+    "daily.button": "Reto diario",
+    "daily.result": "Reto diario {date}: {score} / {rounds}.",
+    "daily.practice": "Ronda de práctica. El resultado de hoy sigue siendo {score} / {rounds} (solo cuenta la primera partida).",
+    "daily.streak.one": "Racha: {count} día (mejor {best}).",
+    "daily.streak.other": "Racha: {count} días (mejor {best}).",
+    "daily.historyAria": "Puntuaciones diarias de los últimos 7 días",
+    "daily.copy": "Copiar para compartir",
+    "copy.manual": "Pulsa Ctrl+C (⌘C en un Mac) para copiar.",
+    "copy.done": "Copiado.",
+
+    // footer
+    "footer.createdBy": "Creado por:",
+    "footer.about": "Acerca de",
+    "footer.guide": "Guía de campo",
+    "footer.stats": "Mis estadísticas",
+    "footer.mixups": "Mis confusiones",
+    "footer.progress": "Mi progreso",
+    "footer.teacher": "Herramientas docentes",
+    "telemetry.link.on": "Datos de uso: Sí",
+    "telemetry.link.off": "Datos de uso: No",
+    "telemetry.status.on": "Ahora mismo compartes datos de uso anónimos.",
+    "telemetry.status.off": "Ahora mismo no compartes nada.",
+    "telemetry.title": "¿Compartir datos de uso anónimos?",
+    "telemetry.text": "Quienes gestionan esta copia del juego quieren saber cómo se usa en " +
+      "clase. Si aceptas, este navegador les envía cuándo empieza y termina una partida " +
+      "(modo, región, puntuación y ajustes) y qué regiones se eligen, con un identificador " +
+      "aleatorio para este navegador. Ni nombres, ni correo, nada más. Puedes desactivarlo " +
+      "cuando quieras, y así también se borra el identificador.",
+    "telemetry.allow": "Compartir datos anónimos",
+    "telemetry.deny": "No compartir",
+    // teacher tools
+    "teacher.title": "Herramientas para docentes",
+    "teacher.create.title": "Crear una tarea",
+    "teacher.create.text": "Elige las especies que se van a practicar. Cada estudiante que abra " +
+      "el enlace juega las mismas rondas en el mismo orden.",
+    "teacher.selectAll": "Seleccionar todas",
+    "teacher.selectNone": "Ninguna",
+    "teacher.mode": "Modo",
+    "teacher.rounds": "Rondas",
+    "teacher.seed": "Semilla (letras y dígitos)",
+    "teacher.createButton": "Crear tarea",
+    "teacher.link": "Enlace",
+    "teacher.code": "Código",
+    "teacher.copyLink": "Copiar enlace",
+    "teacher.ready": "Tarea lista. Comparte el enlace o el código.",
+    "grade.title": "Corregir resultados",
+    "grade.assignment": "Enlace o código de la tarea",
+    "grade.results": "Códigos de resultado, uno por línea",
+    "grade.check": "Comprobar resultados",
+    "grade.noResults": "Pega al menos un código de resultado.",
+    "grade.column.name": "Nombre",
+    "grade.column.score": "Puntuación",
+    "grade.column.finished": "Terminada",
+    "grade.column.time": "Tiempo",
+    "grade.column.check": "Control",
+    "grade.noName": "(sin nombre)",
+    "grade.ok": "OK",
+    "grade.legend": "✓ acierto al primer intento · ↻ acierto tras un error · ✗ se acabó el tiempo. " +
+      "Pasa el cursor sobre el número de una ronda para ver su especie.",
+    "assignment.error.mode": "Modo desconocido \"{mode}\".",
+    "assignment.error.noSpecies": "Elige al menos una especie.",
+    "assignment.error.rounds": "Las rondas deben ser {options}.",
+    "assignment.error.choices": "Las opciones de respuesta deben ser de {min} a {max}.",
+    "assignment.error.seed": "La semilla solo puede tener letras y dígitos (hasta 12).",
+    "assignment.error.notCode": "Esto no es un código de tarea.",
+    "assignment.error.damaged": "Este código de tarea está dañado.",
+    "assignment.error.unknownSpecies": "Esta tarea usa especies que no están en esta versión del juego.",
+    "result.error.notCode": "Esto no es un código de resultado.",
+    "result.error.damaged": "Este código de resultado está dañado.",
+    "result.problem.otherAssignment": "El resultado es de otra tarea.",
+    "result.problem.checksum": "La suma de control no coincide: el código se cambió o se copió mal.",
+
+    // stats dashboard and progress
+    "stats.title": "Tus estadísticas",
+    "stats.gamesCompleted.one": "{count} partida terminada.",
+    "stats.gamesCompleted.other": "{count} partidas terminadas.",
+    "stats.error.newer": "Estas estadísticas son de una versión más reciente del juego (esquema {version}).",
+    "stats.error.migration": "No hay migración desde el esquema de estadísticas {version}.",
+    "stats.error.notExport": "Este archivo no es una exportación de estadísticas del Insect Song Game.",
+    "dashboard.empty": "Termina una partida para ver aquí tus estadísticas.",
+    "dashboard.streaks": "Rachas actuales",
+    "dashboard.streak.days.one": "día seguido",
+    "dashboard.streak.days.other": "días seguidos",
+    "dashboard.streak.goodGames.one": "partida seguida con {percent} o más",
+    "dashboard.streak.goodGames.other": "partidas seguidas con {percent} o más",
+    "dashboard.accuracyOverTime.title": "Aciertos a lo largo del tiempo (línea: últimas {games} partidas, puntos: cada partida)",
+    "dashboard.accuracyOverTime.label": "Aciertos a lo largo del tiempo, por modo",
+    "dashboard.byRegion": "Aciertos por región",
+    "dashboard.regionGames.one": "{percent} · {count} partida",
+    "dashboard.regionGames.other": "{percent} · {count} partidas",
+    "dashboard.perWeek.title": "Partidas por semana (últimas {weeks} semanas)",
+    "dashboard.perWeek.label": "Partidas por semana, últimas {weeks} semanas",
+    "dashboard.mode.spectrogram": "Espectrograma",
+    "dashboard.mode.image": "Imagen",
+    "dashboard.mode.facts": "Datos",
+    "dashboard.mode.listen": "Escuchar",
+    "dashboard.mode.reverse": "Inverso",
+    "progress.title": "Tu progreso",
+    "progress.text": "Tus estadísticas, tu avance en el modo aprender, tus resultados del " +
+      "desafío diario y tus ajustes se guardan solo en este navegador. Expórtalos a un archivo " +
+      "para tener una copia, o impórtalos en otro navegador.",
+    "progress.export": "⬇ Exportar a un archivo",
+    "progress.file": "Archivo para importar",
+    "progress.how": "Al importar",
+    "progress.how.merge": "Sumar a lo que hay en este navegador",
+    "progress.how.replace": "Reemplazar lo que hay en este navegador",
+    "progress.import": "⬆ Importar",
+    "progress.reset": "Borrar todo el progreso…",
+    "progress.reset.text": "Esto borra tus estadísticas, tu avance en el modo aprender, tus " +
+      "resultados del desafío diario y tus ajustes en este navegador, y no se puede deshacer. " +
+      "Expórtalos antes si quizá los quieras recuperar.",
+    "progress.reset.yes": "Sí, borrar mi progreso",
+    "progress.reset.no": "Conservarlas",
+    "progress.exported": "Progreso exportado.",
+    "progress.noFile": "Primero elige un archivo de progreso exportado.",
+    "progress.replaced": "Progreso reemplazado por el del archivo.",
+    "progress.merged": "Progreso importado sumado al de este navegador.",
+    "progress.notJson": "Ese archivo no es JSON válido.",
+    "progress.importFailed": "No se pudo importar: {message}",
+    "progress.deleted": "Se borró todo el progreso de este navegador.",
+
+    // about page
+    "about.title": "Sobre el creador",
+    "about.photoAlt": "Foto de Lucas H. Fink",
+    "about.text1": "<strong>Lucas H. Fink</strong> es entomólogo, investigador en bioacústica y " +
+      "educador en historia natural, y está terminando su licenciatura en Entomología y en " +
+      "Ecología y Biología Evolutiva en la Universidad Cornell. Se graduará en mayo de 2026. " +
+      "Lucas describe y estudia el comportamiento acústico de una gran variedad de animales, y " +
+      "colabora con el K. Lisa Yang Center for Conservation Bioacoustics para explorar cómo el " +
+      "sonido puede ayudarnos a comprender mejor el mundo natural.",
+    "about.text2": "Su investigación incluye trabajo de campo para describir los sonidos de " +
+      "saltamontes de antenas largas y grillos en el Pantanal brasileño, la variación de " +
+      "dialectos en los mieleros hawaianos y los patrones a largo plazo en el comportamiento " +
+      "vocal de los orangutanes. Le interesa especialmente cómo escuchar la comunicación animal " +
+      "puede revelar la ecología, el comportamiento y las necesidades de conservación de la fauna.",
+    "about.text3": "Además de investigar, Lucas dirige actividades de divulgación científica y " +
+      "educación en la naturaleza como instructor de Cornell Outdoor Education y como fundador " +
+      "del Cornell Bioacoustics Club. Se dedica a ayudar a las personas a afinar su capacidad de " +
+      "observación y de escucha, y a despertar la curiosidad por la biodiversidad que nos rodea.",
+    "about.text4": "Este juego refleja su misión de acercar el mundo de la comunicación animal " +
+      "a quienes aprenden y de hacer que escuchar e identificar la fauna sea una experiencia " +
+      "más atractiva y accesible.",
+
+    // insect groups in the field guide (by family)
+    "group.Gryllidae": "Grillos",
+    "group.Gryllotalpidae": "Grillos topo",
+    "group.Tettigoniidae": "Esperanzas",
+    "group.Acrididae": "Saltamontes",
+    "group.Cicadidae": "Cigarras",
+
+    // regions (regions-data.js)
+    "region.NA": "Norteamérica",
+    "region.NA-E": "Este de Norteamérica",
+    "region.US-NY": "Nueva York",
+    "region.US-PA": "Pensilvania",
+    "region.US-GA": "Georgia",
+    "region.CA-ON": "Ontario",
+    "region.NA-MW": "Medio Oeste de EE. UU.",
+    "region.US-IL": "Illinois",
+    "region.US-IN": "Indiana",
+    "region.US-MO": "Misuri",
+    "region.NA-W": "Oeste de Norteamérica",
+    "region.US-CA": "California",
+    "region.EU": "Europa",
+    "region.EU-W": "Europa occidental",
+    "region.GB": "Reino Unido",
+    "region.FR": "Francia",
+    "region.NL": "Países Bajos",
+    "region.EU-C": "Europa central",
+    "region.DE": "Alemania",
+    "region.PL": "Polonia",
+    "region.EU-S": "Europa meridional",
+    "region.ES": "España",
+    "region.IT": "Italia",
+    "region.AF": "África",
+    "region.AF-N": "Norte de África",
+    "region.AS": "Asia",
+    "region.AS-W": "Asia occidental",
+    "region.AS-C": "Asia central",
+    "region.SA": "Sudamérica",
+    "region.BR": "Brasil"
+  },
+  // hidden from fact-mode descriptions, on top of the English words
+  words: {
+    Gryllidae: ["grillo"],
+    Gryllotalpidae: ["grillo topo", "grillo"],
+    Tettigoniidae: ["esperanza", "conocéfalo"],
+    Acrididae: ["saltamontes"],
+    Cicadidae: ["cigarra", "chicharra"]
+  }
+};
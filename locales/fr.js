@@ -0,0 +1,509 @@
+/*
+  locales/fr.js
+
+  French strings for the Insect Song Learning Game. Missing keys come from
+  locales/en.js. See i18n.js for the bundle format.
+*/
+
+window.LOCALE_BUNDLES = window.LOCALE_BUNDLES || {};
+
+window.LOCALE_BUNDLES.fr = {
+  name: "Français",
+  fallback: "en",
+  strings: {
+    "app.title": "Jeu des chants d'insectes",
+    "app.tagline": "Associez sons, images et anecdotes d'histoire naturelle à l'insecte qui leur correspond.",
+    "language.label": "Langue",
+
+    // header
+    "header.changeMode": "Changer de mode",
+    "header.changeModeAria": "Changer le mode de jeu",
+    "header.regionAria": "Changer de région",
+    "header.fieldAria": "Conditions de terrain (bruit de fond)",
+    "header.settingsAria": "Réglages du jeu",
+    "header.learnTitle": "Révisez les espèces à revoir ou celles que vous ratez souvent",
+    "header.difficultyTitle": "Le mode difficile propose des réponses de la même famille ou au chant semblable",
+    "header.timedTitle": "Un compte à rebours à chaque manche ; plus vous répondez vite, plus vous marquez de points",
+    "modeLabel": "Mode : {mode}",
+    "modeLabel.none": "Mode : —",
+    "tag.hard": "Difficile",
+    "tag.learn": "Apprentissage",
+    "tag.field": "Terrain",
+    "tag.timed": "Chrono",
+    "tag.assignment": "Devoir",
+    "tag.daily": "Quotidien",
+    "region.toggle": "🌍 Région : {name}",
+    "region.allShort": "Toutes",
+    "toggle.sci.required": "Noms scientifiques : OBLIGATOIRES",
+    "toggle.sci.on": "Afficher les noms scientifiques : OUI",
+    "toggle.sci.off": "Afficher les noms scientifiques : NON",
+    "toggle.learn.on": "Mode apprentissage : OUI",
+    "toggle.learn.off": "Mode apprentissage : NON",
+    "toggle.difficulty.hard": "Difficulté : Difficile",
+    "toggle.difficulty.standard": "Difficulté : Normale",
+    "toggle.timed.on": "Contre-la-montre : OUI",
+    "toggle.timed.off": "Contre-la-montre : NON",
+    "field.toggle.off": "Conditions de terrain : Non",
+    "field.toggle.on": "Conditions de terrain : {snr}",
+    "field.adaptive": "adaptatif ({snr})",
+    "count.rounds.one": "{count} manche",
+    "count.rounds.other": "{count} manches",
+    "count.choices.one": "{count} choix",
+    "count.choices.other": "{count} choix",
+
+    // modes
+    "mode.spectrogram": "Spectrogrammes",
+    "mode.image": "Reconnaissance par l'image",
+    "mode.facts": "Connaissances",
+    "mode.listen": "Écoute seule",
+    "mode.reverse": "Quiz inversé",
+    "specLabel.spectrogram": "Visualiser le son",
+    "specLabel.image": "Image de l'insecte",
+    "specLabel.facts": "Entraînement aux connaissances",
+    "specLabel.listen": "Écoute seule",
+    "specLabel.reverse": "Quiz inversé",
+    "tip.spectrogram": "Astuce : repérez la bande d'énergie et le rythme des impulsions.",
+    "tip.image": "Astuce : regardez la forme du corps, les ailes et la posture.",
+    "tip.facts": "Astuce : lisez bien la description avant de choisir.",
+    "tip.listen": "Astuce : pas d'image ici. Écoutez la hauteur, le rythme et la façon dont le chant commence et s'arrête.",
+    "tip.reverse": "Astuce : écoutez tous les candidats avant de choisir.",
+    "question.spectrogram": "Quel insecte produit ce son ?",
+    "question.image": "Quel insecte voit-on ici ?",
+    "question.facts": "Quel insecte correspond à cette description ?",
+    "question.listen": "Quel insecte chante ?",
+    "question.reverse": "Lequel de ces chants est celui de : {name} ?",
+    "subtitle.spectrogram": "Écoutez autant de fois que vous voulez, puis choisissez le nom commun.",
+    "subtitle.image": "Observez bien l'aspect de l'insecte, puis choisissez son nom.",
+    "subtitle.facts": "Lisez la description, puis choisissez l'espèce.",
+    "subtitle.listen": "Écoutez, réécoutez autant que nécessaire, puis choisissez le nom commun.",
+    "subtitle.reverse": "Écoutez les chants candidats autant que vous voulez, puis choisissez celui qui correspond au nom.",
+    "tagline.spectrogram": "Qui chante ?",
+    "tagline.image": "Quel est cet insecte ?",
+    "tagline.facts": "Quel insecte correspond à cette description ?",
+    "tagline.listen": "Qui chante ?",
+    "tagline.reverse": "Trouvez : {name}",
+    "next.spectrogram": "Spectrogramme suivant ➜",
+    "next.image": "Image suivante ➜",
+    "next.facts": "Description suivante ➜",
+    "next.listen": "Chant suivant ➜",
+    "next.reverse": "Espèce suivante ➜",
+    "next.default": "Suivant ➜",
+
+    // the round
+    "layout.soundAria": "Son de l'insecte et détails",
+    "layout.answersAria": "Choix de réponses et score",
+    "regionLabel": "Région : {region}",
+    "regionLabel.none": "Région : —",
+    "axis.frequency": "Fréquence (kHz)",
+    "axis.time": "Temps (secondes)",
+    "axis.amplitude": "Amplitude relative",
+    "alt.photo": "Photo : {name}",
+    "alt.spectrogram": "Spectrogramme de ce chant",
+    "alt.spectrogramOf": "Spectrogramme du chant : {name}",
+    "play.call": "Écouter le chant",
+    "play.optional": "Écouter le chant (facultatif)",
+    "play.keys": "Touches : Espace lecture/pause · R réécouter · 1–6 répondre · H indice · N suivant",
+    "listen.play": "▶ Lecture / pause",
+    "listen.replay": "⟲ Réécouter depuis le début",
+    "listen.replays.one": "Réécouté {count} fois dans cette manche",
+    "listen.replays.other": "Réécouté {count} fois dans cette manche",
+    "reverse.candidate": "Candidat {number}",
+    "reverse.choice": "Choisir le candidat {number}",
+    "reverse.play": "Écouter le candidat {number}",
+    "reverse.thumbAlt": "Spectrogramme du candidat {number}",
+    "fact.afterGuess": "Après la réponse",
+    "fact.description": "Description",
+    "fact.fun": "Le saviez-vous ?",
+    "factPrompt.spectrogram": "Identifiez le chanteur pour découvrir une anecdote.",
+    "factPrompt.image": "Identifiez l'insecte pour découvrir une anecdote.",
+    "answer.aria": "Réponse : {name}",
+    "answer.guess": "Choisir",
+    "answer.tryAgain": "Réessayez",
+    "answer.answer": "Réponse",
+    "feedback.wrong": "Mauvaise réponse, réessayez.",
+    "feedback.timeUp": "Temps écoulé ! C'était : {name}.",
+    "feedback.points.one": "+{count} point ({time}).",
+    "feedback.points.other": "+{count} points ({time}).",
+    "correct.spectrogram.first": "Bravo ! Belle écoute.",
+    "correct.spectrogram.retry": "C'est ça ! Vous avez trouvé le bon chanteur.",
+    "correct.image.first": "Bravo ! Bien observé.",
+    "correct.image.retry": "C'est ça ! Vous avez choisi le bon insecte.",
+    "correct.facts.first": "Bravo ! Belle mémoire.",
+    "correct.facts.retry": "C'est ça ! Vous avez trouvé la bonne espèce.",
+    "correct.listen.first": "Bravo ! Quelle oreille.",
+    "correct.listen.retry": "C'est ça ! Vous avez reconnu le bon chanteur.",
+    "correct.reverse.first": "Bravo ! Vous l’avez trouvé.",
+    "correct.reverse.retry": "C'est ça ! Vous avez trouvé le bon chant.",
+    "correct.other.first": "Bravo !",
+    "correct.other.retry": "Trouvé !",
+    "score.text": "Score de la partie : <strong>{score}</strong> sur {rounds}",
+    "score.points.one": "<strong>{count}</strong> point",
+    "score.points.other": "<strong>{count}</strong> points",
+    "timer.waiting": "{time} · démarre quand le chant commence",
+    "timer.waitingSpectrogram": "{time} · démarre avec le spectrogramme ou le chant",
+    "hint.button": "💡 Indice",
+    "hint.title": "Indice biologique",
+    "hint.close": "Compris",
+    "hint.region": "Cette espèce vit ici : {region}.",
+    "hint.default": "Écoutez / regardez encore et repérez les motifs.",
+    "reveal.timeUp": "Temps écoulé !",
+    "reveal.more": "En savoir plus sur cette espèce",
+    "reveal.continue": "Continuer",
+    "media.link": "Fichiers en erreur ({count})",
+    "media.warning.audio": "Ce chant n'a pas pu être chargé.",
+    "media.warning.audioRound": "Ce chant n'a pas pu être chargé : pas de son pour cette manche. " +
+      "L'espèce est désormais exclue des modes spectrogrammes et écoute seule.",
+    "media.warning.photo": "Cette photo n'a pas pu être chargée. " +
+      "L'espèce est désormais exclue de la reconnaissance par l'image.",
+    "media.title": "Fichiers en erreur",
+    "media.summary.checking": "Vérification de chaque enregistrement et de chaque photo…",
+    "media.summary.ok": "Tous les enregistrements et toutes les photos se sont chargés.",
+    "media.summary.problems.one": "{count} fichier n'a pas pu être chargé. Tant qu'il n'est pas " +
+      "corrigé dans species-data.js, son espèce est écartée des modes qui en ont besoin (mais pas " +
+      "des devoirs ni des défis du jour).",
+    "media.summary.problems.other": "{count} fichiers n'ont pas pu être chargés. Tant qu'ils ne " +
+      "sont pas corrigés dans species-data.js, ces espèces sont écartées des modes qui en ont " +
+      "besoin (mais pas des devoirs ni des défis du jour).",
+    "media.kind.audio": "Enregistrement : {reason}",
+    "media.kind.photo": "Photo : {reason}",
+    "media.leftOut": "Écartée de : {modes}",
+    "media.reason.aborted": "le chargement a été interrompu",
+    "media.reason.network": "erreur réseau",
+    "media.reason.damaged": "le fichier est endommagé",
+    "media.reason.unsupported": "fichier manquant ou format non pris en charge",
+    "media.reason.unknown": "l'enregistrement n'a pas pu être chargé",
+    "media.reason.emptyImage": "l'image est vide",
+    "media.reason.notImage": "fichier manquant ou qui n'est pas une image",
+    "media.reason.noFile": "aucun fichier indiqué dans species-data.js",
+
+    // end of a game
+    "end.title.spectrogram": "Partie d'écoute terminée !",
+    "end.title.image": "Partie d'images terminée !",
+    "end.title.facts": "Partie de connaissances terminée !",
+    "end.title.listen": "Partie d'écoute seule terminée !",
+    "end.title.reverse": "Quiz inversé terminé !",
+    "end.title.other": "Partie terminée !",
+    "end.score": "Votre score : {score} / {rounds}.",
+    "end.spectrogram.0": "Il faut vous déboucher les oreilles. Rejouez...",
+    "end.spectrogram.1": "Il faut apprendre à écouter. Rejouez...",
+    "end.spectrogram.2": "Presque à mi-chemin !",
+    "end.spectrogram.3": "Pas mal ! Vous avez plus d'une chance sur deux de trouver un partenaire !",
+    "end.spectrogram.4": "Quelle oreille !",
+    "end.spectrogram.5": "Maître des sons d'insectes ! Vous devez être bioacousticien !",
+    "end.image.0": "Il vous faut de nouvelles lunettes. Rejouez...",
+    "end.image.1": "Il faut regarder de plus près. Rejouez...",
+    "end.image.2": "Presque à mi-chemin ! Continuez à aiguiser votre regard.",
+    "end.image.3": "Pas mal ! Votre œil de naturaliste s'éveille.",
+    "end.image.4": "Quel œil pour les insectes !",
+    "end.image.5": "Maître de l'identification des insectes ! Un vrai guide de terrain !",
+    "end.facts.0": "Retour aux livres. Rejouez...",
+    "end.facts.1": "Révisez vos connaissances sur les insectes.",
+    "end.facts.2": "Presque à mi-chemin ! Les anecdotes commencent à rentrer.",
+    "end.facts.3": "Pas mal ! Votre mémoire d'histoire naturelle tient la route.",
+    "end.facts.4": "Impressionnant ! Vous êtes presque un guide de terrain ambulant.",
+    "end.facts.5": "Maître des anecdotes d'insectes ! Vous devez être naturaliste !",
+    "end.listen.0": "Ces chants vous ont échappé. Rejouez...",
+    "end.listen.1": "Sans l'image, c'est plus dur. Continuez à écouter !",
+    "end.listen.2": "Presque à mi-chemin ! Votre oreille s’affine.",
+    "end.listen.3": "Pas mal ! Vous reconnaissez les chanteurs à l'oreille.",
+    "end.listen.4": "Impressionnant ! Le spectrogramme ne vous sert presque plus.",
+    "end.listen.5": "Oreille parfaite ! Vous pourriez recenser les insectes dans le noir !",
+    "end.reverse.0": "Tous ces chants se ressemblaient pour vous. Rejouez...",
+    "end.reverse.1": "Connaître le nom ne suffit pas. Continuez à vous entraîner !",
+    "end.reverse.2": "Presque à mi-chemin !",
+    "end.reverse.3": "Pas mal ! Vous trouveriez la plupart sur le terrain.",
+    "end.reverse.4": "Impressionnant ! Vous savez quoi écouter.",
+    "end.reverse.5": "Parfait ! Nommez un insecte et vous reconnaissez son chant !",
+    "end.other.0": "Rejouez pour voir ce que vous pouvez apprendre !",
+    "end.other.1": "Continuez à vous entraîner !",
+    "end.other.2": "Presque à mi-chemin !",
+    "end.other.3": "Pas mal !",
+    "end.other.4": "Beau travail !",
+    "end.other.5": "Excellent !",
+    "end.field": "Conditions de terrain : rapport signal/bruit {range}.",
+    "end.timed.points.one": "Contre-la-montre : {count} point.",
+    "end.timed.points.other": "Contre-la-montre : {count} points.",
+    "end.timed.reaction": "Temps de réaction moyen {avg}, meilleur {best}.",
+    "end.timed.none": "Aucune manche répondue avant la fin du temps.",
+    "end.timed.alwaysOut": "{name} (toujours hors délai)",
+    "end.timed.slowest": "Les espèces sur lesquelles vous êtes le plus lent : {names}.",
+    "end.listen.replays.one": "Vous avez réécouté un chant {count} fois ({average} par manche).",
+    "end.listen.replays.other": "Vous avez réécouté les chants {count} fois ({average} par manche).",
+    "end.learn.title": "Progrès du mode apprentissage",
+    "end.learn.none": "Aucune espèce n'a changé de boîte pendant cette partie.",
+    "end.learn.moved": "{name} — boîte {from} → {to}",
+    "end.playAgain": "▶ Rejouer",
+
+    // start screen and overlays
+    "start.subtitle": "Cliquez pour commencer une partie de <span class=\"rounds-count\">5</span> manches. " +
+      "Commencez par les spectrogrammes, puis essayez la reconnaissance par l'image et les connaissances.",
+    "start.button": "▶ Cliquez pour commencer",
+    "start.guide": "📖 Étudier d'abord le guide de terrain",
+    "button.cancel": "Annuler",
+    "button.close": "Fermer",
+    "button.applyNewGame": "Appliquer et lancer une nouvelle partie",
+    "modeChange.title": "Changer de mode de jeu ?",
+    "modeChange.text": "Voulez-vous vraiment changer de mode ? Une nouvelle partie de " +
+      "<span class=\"rounds-count\">5</span> manches commencera dans le mode choisi.",
+    "modeChange.facts": "Connaissances",
+    "region.title": "Choisir une région",
+    "region.text": "Choisissez une région pour vous concentrer sur ses insectes, ou « Toutes les " +
+      "régions » pour tout mélanger. Une région comprend toutes ses sous-régions et apparaît " +
+      "dès qu'elle compte assez d'espèces pour une partie complète.",
+    "region.all": "Toutes les régions",
+    "region.button": "{name} ({count} espèces)",
+    "field.title": "Conditions de terrain",
+    "field.text": "En extérieur, les chants se mêlent au vent, à la circulation et à d'autres " +
+      "insectes. Ajoutez un bruit de fond à l'écoute seule, et choisissez à quel point le " +
+      "chant est plus fort que lui (rapport signal/bruit).",
+    "field.background": "Fond sonore",
+    "field.noise.off": "Aucun (enregistrement propre)",
+    "field.noise.random": "Un différent à chaque manche",
+    "field.bed.wind": "Vent",
+    "field.bed.traffic": "Circulation au loin",
+    "field.bed.chorus": "Chœur d'insectes",
+    "field.snr": "Signal/bruit",
+    "field.snr.adaptive": "Adaptatif (plus difficile à mesure que vous progressez)",
+    "field.snr.easy": "+12 dB (facile)",
+    "field.snr.even": "0 dB (aussi fort que le bruit)",
+    "field.snr.hard": "−6 dB (difficile)",
+    "field.decoy": "Ajouter un leurre : une autre espèce chante en même temps",
+    "settings.title": "Réglages du jeu",
+    "settings.text": "Les réglages sont enregistrés dans ce navigateur. Si une partie compte " +
+      "plus de manches que la région n'a d'espèces, certaines reviendront.",
+    "settings.rounds": "Manches par partie",
+    "settings.choices": "Choix de réponses",
+    "settings.autoHints": "Afficher un indice automatiquement après une erreur",
+    "settings.sciRequired": "Exiger les noms scientifiques (les choix n'affichent que les noms scientifiques)",
+    "mixups.title": "Vos confusions les plus fréquentes",
+    "mixups.text": "Chaque ligne montre la bonne réponse à côté de l'espèce choisie à la place, " +
+      "avec les deux spectrogrammes côte à côte.",
+    "mixups.empty": "Pas encore de confusions. Jouez quelques parties et revenez !",
+    "mixups.mode.spectrogram": "Mode spectrogrammes",
+    "mixups.mode.image": "Mode image",
+    "mixups.mode.facts": "Mode connaissances",
+    "mixups.mode.listen": "Mode écoute seule",
+    "mixups.mode.reverse": "Mode inversé",
+    "mixups.times.one": "{count} fois",
+    "mixups.times.other": "{count} fois",
+    "mixups.answer": "Réponse",
+    "mixups.picked": "Votre choix",
+
+    // field guide and species pages
+    "guide.title": "Guide de terrain",
+    "guide.searchPlaceholder": "Chercher un nom commun ou scientifique",
+    "guide.searchAria": "Chercher une espèce",
+    "guide.regionAria": "Région",
+    "guide.groupAria": "Groupe d'insectes",
+    "guide.modeAria": "Mode du quiz",
+    "guide.allGroups": "Tous les groupes",
+    "guide.empty": "Aucune espèce ne correspond. Essayez une autre recherche ou un autre filtre.",
+    "guide.speciesPage": "Fiche de l'espèce",
+    "guide.count.one": "{count} espèce affichée sur {total}",
+    "guide.count.other": "{count} espèces affichées sur {total}",
+    "guide.quizAll": "Me tester sur toutes les espèces",
+    "guide.quizThese": "Me tester sur ces {count}",
+
+    // assignments and the daily challenge
+    "preset.assignment": "Devoir : {mode} · {rounds} · {count} espèces",
+    "preset.assignmentError": "Impossible d'ouvrir le devoir : {message}",
+    "preset.daily": "Défi du jour {date} : {mode} · {rounds}",
+    "preset.study": "Quiz du guide : {count} espèces",
+    "preset.leaveAssignment": "Quitter le devoir",
+    "preset.leaveDaily": "Quitter le défi du jour",
+    "preset.leaveStudy": "Jouer avec toutes les espèces",
+    "assignment.title": "Résultat du devoir pour votre enseignant",
+    "assignment.name": "Votre nom",
+    "assignment.code": "Code de résultat",
+    "assignment.copy": "Copier le code de résultat",
+    "daily.button": "Défi du jour",
+    "daily.result": "Défi du jour {date} : {score} / {rounds}.",
+    "daily.practice": "Partie d'entraînement. Le résultat du jour reste {score} / {rounds} (seule la première partie compte).",
+    "daily.streak.one": "Série : {count} jour (record {best}).",
+    "daily.streak.other": "Série : {count} jours (record {best}).",
+    "daily.historyAria": "Scores quotidiens des 7 derniers jours",
+    "daily.copy": "Copier pour partager",
+    "copy.manual": "Appuyez sur Ctrl+C (⌘C sur Mac) pour copier.",
+    "copy.done": "Copié.",
+
+    // footer
+    "footer.createdBy": "Créé par :",
+    "footer.about": "À propos",
+    "footer.guide": "Guide de terrain",
+    "footer.stats": "Mes statistiques",
+    "footer.mixups": "Mes confusions",
+    "footer.progress": "Ma progression",
+    "footer.teacher": "Outils enseignants",
+    "telemetry.link.on": "Partage d'usage : Oui",
+    "telemetry.link.off": "Partage d'usage : Non",
+    "telemetry.status.on": "Vous partagez actuellement des données d'usage anonymes.",
+    "telemetry.status.off": "Vous ne partagez rien pour le moment.",
+    "telemetry.title": "Partager des données d'usage anonymes ?",
+    "telemetry.text": "Les personnes qui gèrent cette copie du jeu aimeraient savoir comment " +
+      "il est utilisé en classe. Si vous acceptez, ce navigateur leur envoie le début et la fin " +
+      "de chaque partie (mode, région, score et réglages) et les régions choisies, avec un " +
+      "identifiant aléatoire pour ce navigateur. Ni nom, ni e-mail, rien d'autre. Vous pouvez " +
+      "désactiver le partage à tout moment, ce qui supprime aussi l'identifiant.",
+    "telemetry.allow": "Partager les données anonymes",
+    "telemetry.deny": "Ne pas partager",
+    // teacher tools
+    "teacher.title": "Outils pour les enseignants",
+    "teacher.create.title": "Créer un devoir",
+    "teacher.create.text": "Choisissez les espèces à travailler. Chaque élève qui ouvre le lien " +
+      "joue les mêmes manches dans le même ordre.",
+    "teacher.selectAll": "Tout sélectionner",
+    "teacher.selectNone": "Aucune",
+    "teacher.mode": "Mode",
+    "teacher.rounds": "Manches",
+    "teacher.seed": "Graine (lettres et chiffres)",
+    "teacher.createButton": "Créer le devoir",
+    "teacher.link": "Lien",
+    "teacher.code": "Code",
+    "teacher.copyLink": "Copier le lien",
+    "teacher.ready": "Devoir prêt. Partagez le lien ou le code.",
+    "grade.title": "Corriger les résultats",
+    "grade.assignment": "Lien ou code du devoir",
+    "grade.results": "Codes de résultat, un par ligne",
+    "grade.check": "Vérifier les résultats",
+    "grade.noResults": "Collez au moins un code de résultat.",
+    "grade.column.name": "Nom",
+    "grade.column.score": "Score",
+    "grade.column.finished": "Terminé",
+    "grade.column.time": "Durée",
+    "grade.column.check": "Contrôle",
+    "grade.noName": "(sans nom)",
+    "grade.ok": "OK",
+    "grade.legend": "✓ juste du premier coup · ↻ juste après une erreur · ✗ temps écoulé. " +
+      "Survolez le numéro d'une manche pour voir son espèce.",
+    "assignment.error.mode": "Mode inconnu « {mode} ».",
+    "assignment.error.noSpecies": "Choisissez au moins une espèce.",
+    "assignment.error.rounds": "Le nombre de manches doit être {options}.",
+    "assignment.error.choices": "Le nombre de choix doit être de {min} à {max}.",
+    "assignment.error.seed": "La graine ne peut contenir que des lettres et des chiffres (12 au plus).",
+    "assignment.error.notCode": "Ce n'est pas un code de devoir.",
+    "assignment.error.damaged": "Ce code de devoir est endommagé.",
+    "assignment.error.unknownSpecies": "Ce devoir utilise des espèces absentes de cette version du jeu.",
+    "result.error.notCode": "Ce n'est pas un code de résultat.",
+    "result.error.damaged": "Ce code de résultat est endommagé.",
+    "result.problem.otherAssignment": "Ce résultat correspond à un autre devoir.",
+    "result.problem.checksum": "La somme de contrôle ne correspond pas : le code a été modifié ou mal recopié.",
+
+    // stats dashboard and progress
+    "stats.title": "Vos statistiques",
+    "stats.gamesCompleted.one": "{count} partie terminée.",
+    "stats.gamesCompleted.other": "{count} parties terminées.",
+    "stats.error.newer": "Ces statistiques viennent d'une version plus récente du jeu (schéma {version}).",
+    "stats.error.migration": "Aucune migration depuis le schéma de statistiques {version}.",
+    "stats.error.notExport": "Ce fichier n'est pas un export de statistiques de l'Insect Song Game.",
+    "dashboard.empty": "Terminez une partie pour voir vos statistiques ici.",
+    "dashboard.streaks": "Séries en cours",
+    "dashboard.streak.days.one": "jour d'affilée",
+    "dashboard.streak.days.other": "jours d'affilée",
+    "dashboard.streak.goodGames.one": "partie d'affilée à {percent} ou plus",
+    "dashboard.streak.goodGames.other": "parties d'affilée à {percent} ou plus",
+    "dashboard.accuracyOverTime.title": "Réussite au fil du temps (ligne : {games} dernières parties, points : chaque partie)",
+    "dashboard.accuracyOverTime.label": "Réussite au fil du temps, par mode",
+    "dashboard.byRegion": "Réussite par région",
+    "dashboard.regionGames.one": "{percent} · {count} partie",
+    "dashboard.regionGames.other": "{percent} · {count} parties",
+    "dashboard.perWeek.title": "Parties par semaine ({weeks} dernières semaines)",
+    "dashboard.perWeek.label": "Parties par semaine, {weeks} dernières semaines",
+    "dashboard.mode.spectrogram": "Spectrogramme",
+    "dashboard.mode.image": "Image",
+    "dashboard.mode.facts": "Connaissances",
+    "dashboard.mode.listen": "Écoute",
+    "dashboard.mode.reverse": "Inversé",
+    "progress.title": "Votre progression",
+    "progress.text": "Vos statistiques, votre avancée en mode apprentissage, vos résultats aux " +
+      "défis du jour et vos réglages ne sont enregistrés que dans ce navigateur. Exportez-les " +
+      "dans un fichier pour les sauvegarder, ou importez-les dans un autre navigateur.",
+    "progress.export": "⬇ Exporter dans un fichier",
+    "progress.file": "Fichier à importer",
+    "progress.how": "À l'import",
+    "progress.how.merge": "Ajouter à ce que contient ce navigateur",
+    "progress.how.replace": "Remplacer ce que contient ce navigateur",
+    "progress.import": "⬆ Importer",
+    "progress.reset": "Tout effacer…",
+    "progress.reset.text": "Cela efface vos statistiques, votre avancée en mode apprentissage, " +
+      "vos résultats aux défis du jour et vos réglages dans ce navigateur, sans retour possible. " +
+      "Exportez-les d'abord si vous risquez d'en avoir besoin.",
+    "progress.reset.yes": "Oui, tout effacer",
+    "progress.reset.no": "Les garder",
+    "progress.exported": "Progression exportée.",
+    "progress.noFile": "Choisissez d'abord un fichier de progression exporté.",
+    "progress.replaced": "Progression remplacée par celle du fichier.",
+    "progress.merged": "Progression importée ajoutée à celle de ce navigateur.",
+    "progress.notJson": "Ce fichier n'est pas du JSON valide.",
+    "progress.importFailed": "Échec de l'import : {message}",
+    "progress.deleted": "Toute la progression de ce navigateur a été effacée.",
+
+    // about page
+    "about.title": "À propos du créateur",
+    "about.photoAlt": "Photo de Lucas H. Fink",
+    "about.text1": "<strong>Lucas H. Fink</strong> est entomologiste, chercheur en bioacoustique " +
+      "et éducateur en histoire naturelle ; il termine sa licence en entomologie et en écologie et " +
+      "biologie évolutive à l'université Cornell, dont il sera diplômé en mai 2026. Lucas décrit " +
+      "et étudie le comportement acoustique d'un large éventail d'animaux, en collaboration avec " +
+      "le K. Lisa Yang Center for Conservation Bioacoustics, pour explorer comment le son peut " +
+      "approfondir notre compréhension du monde naturel.",
+    "about.text2": "Ses recherches comprennent un travail de terrain pour décrire les sons des " +
+      "sauterelles et des grillons du Pantanal brésilien, les variations de dialecte chez les " +
+      "drépanis d'Hawaï et l'évolution à long terme du comportement vocal des orangs-outans. Il " +
+      "s'intéresse particulièrement à la manière dont l'écoute de la communication animale peut " +
+      "révéler l'écologie, le comportement et les besoins de conservation de la faune.",
+    "about.text3": "En plus de ses recherches, Lucas anime des actions de médiation scientifique " +
+      "et d'éducation en pleine nature, comme moniteur à Cornell Outdoor Education et comme " +
+      "fondateur du Cornell Bioacoustics Club. Il tient à aider chacun à affiner son sens de " +
+      "l'observation et de l'écoute, et à éveiller la curiosité pour la biodiversité qui nous entoure.",
+    "about.text4": "Ce jeu reflète sa mission : faire découvrir le monde de la communication " +
+      "animale à ceux qui apprennent, et rendre l'écoute et l'identification de la faune plus " +
+      "captivantes et plus accessibles.",
+
+    // insect groups in the field guide (by family)
+    "group.Gryllidae": "Grillons",
+    "group.Gryllotalpidae": "Courtilières",
+    "group.Tettigoniidae": "Sauterelles",
+    "group.Acrididae": "Criquets",
+    "group.Cicadidae": "Cigales",
+
+    // regions (regions-data.js)
+    "region.NA": "Amérique du Nord",
+    "region.NA-E": "Est de l'Amérique du Nord",
+    "region.US-NY": "New York",
+    "region.US-PA": "Pennsylvanie",
+    "region.US-GA": "Géorgie",
+    "region.CA-ON": "Ontario",
+    "region.NA-MW": "Midwest des États-Unis",
+    "region.US-IL": "Illinois",
+    "region.US-IN": "Indiana",
+    "region.US-MO": "Missouri",
+    "region.NA-W": "Ouest de l'Amérique du Nord",
+    "region.US-CA": "Californie",
+    "region.EU": "Europe",
+    "region.EU-W": "Europe de l'Ouest",
+    "region.GB": "Royaume-Uni",
+    "region.FR": "France",
+    "region.NL": "Pays-Bas",
+    "region.EU-C": "Europe centrale",
+    "region.DE": "Allemagne",
+    "region.PL": "Pologne",
+    "region.EU-S": "Europe du Sud",
+    "region.ES": "Espagne",
+    "region.IT": "Italie",
+    "region.AF": "Afrique",
+    "region.AF-N": "Afrique du Nord",
+    "region.AS": "Asie",
+    "region.AS-W": "Asie occidentale",
+    "region.AS-C": "Asie centrale",
+    "region.SA": "Amérique du Sud",
+    "region.BR": "Brésil"
+  },
+  // hidden from fact-mode descriptions, on top of the English words
+  words: {
+    Gryllidae: ["grillon", "oecanthe"],
+    Gryllotalpidae: ["courtilière", "grillon"],
+    Tettigoniidae: ["sauterelle", "conocéphale"],
+    Acrididae: ["criquet"],
+    Cicadidae: ["cigale"]
+  }
+};
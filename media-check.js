@@ -0,0 +1,221 @@
+/*
+  media-check.js
+
+  Finds missing or broken media for the Insect Song Learning Game.
+
+  At startup every species' recording and photo is loaded once in the
+  background. A file that fails (missing, misspelled, unsupported format,
+  damaged) makes the species unusable in the modes that need it, so the
+  game can leave it out instead of playing silence or an empty frame:
+
+    spectrogram : needs the recording
+    listen      : needs the recording
+    reverse     : needs the recording (every candidate is a call)
+    image       : needs the photo
+    facts       : needs neither (the call is optional there)
+
+  A species with several recordings (see InsectAudioSources) is fine while
+  one of those this browser can play loads. A file that is merely slow
+  (PROBE_TIMEOUT_MS) counts as working, and so does a recording that failed
+  with a network error or was aborted (isTransient): on poor Wi-Fi the next
+  try may work. A photo can't tell why it failed, so it is tried once more
+  (PHOTO_RETRY_MS) before it counts as broken. Files that fail later, while
+  playing, can be reported with markBroken().
+
+  Teacher assignments and the daily challenge don't leave out broken
+  species: their deck has to be the same in every browser.
+
+  A problem's reason is an id ("aborted", "network", "damaged",
+  "unsupported", "unknown", "emptyImage", "notImage", "noFile"); the page
+  shows it as the locale string "media.reason.<id>".
+
+  API exposed on window.InsectMediaCheck:
+
+    InsectMediaCheck.probeAll(songs)          // -> Promise of getProblems(); probes once
+    InsectMediaCheck.isUsable(song, mode)     // false once a file the mode needs failed
+    InsectMediaCheck.markBroken(song, kind, reason)
+        // kind: "audio" | "photo"; reason: one of the ids above;
+        // false if it was already known
+    InsectMediaCheck.getProblems()            // -> [{song, kind, url, reason, modes}]
+    InsectMediaCheck.describeError(mediaError) // -> reason id for an <audio>'s .error
+    InsectMediaCheck.isTransient(mediaError)  // true for a network error or an aborted load
+    InsectMediaCheck.onChange(fn)             // fn() after a probe run or markBroken
+*/
+
+(function () {
+  const PROBE_TIMEOUT_MS = 15000;
+  const PHOTO_RETRY_MS = 3000;
+  const MODE_NEEDS = {
+    spectrogram: ["audio"],
+    listen: ["audio"],
+    reverse: ["audio"],
+    image: ["photo"],
+    facts: []
+  };
+  // MediaError.code -> reason id, for the diagnostics panel
+  const MEDIA_ERRORS = {
+    1: "aborted",
+    2: "network",
+    3: "damaged",
+    4: "unsupported"
+  };
+
+  const problems = new Map();   // song -> {audio?: problem, photo?: problem}
+  const listeners = [];
+  let probeRun = null;
+
+  function notify() {
+    listeners.forEach(fn => {
+      try {
+        fn();
+      } catch (e) {
+        console.error(e);
+      }
+    });
+  }
+
+  // the files tried for a species, best first
+  function getUrls(song, kind) {
+    if (kind === "photo") return song.photo ? [song.photo] : [];
+    return window.InsectAudioSources.getPlayable(song).map(source => source.src);
+  }
+
+  // keeps the first reason found for a file; false if it was already known
+  function record(song, kind, reason) {
+    const entry = problems.get(song) || {};
+    if (entry[kind]) return false;
+    entry[kind] = { reason, url: getUrls(song, kind).join(", ") };
+    problems.set(song, entry);
+    return true;
+  }
+
+  function markBroken(song, kind, reason) {
+    if (!record(song, kind, reason)) return false;
+    notify();
+    return true;
+  }
+
+  function describeError(error) {
+    return MEDIA_ERRORS[error ? error.code : 0] || "unknown";
+  }
+
+  // MEDIA_ERR_ABORTED and MEDIA_ERR_NETWORK say nothing about the file itself
+  function isTransient(error) {
+    return !!error && (error.code === 1 || error.code === 2);
+  }
+
+  function isUsable(song, mode) {
+    const entry = problems.get(song);
+    if (!entry) return true;
+    return (MODE_NEEDS[mode] || []).every(kind => !entry[kind]);
+  }
+
+  function getProblems() {
+    const list = [];
+    problems.forEach((entry, song) => {
+      ["audio", "photo"].forEach(kind => {
+        if (!entry[kind]) return;
+        list.push({
+          song,
+          kind,
+          url: entry[kind].url,
+          reason: entry[kind].reason,
+          modes: Object.keys(MODE_NEEDS).filter(mode => MODE_NEEDS[mode].includes(kind))
+        });
+      });
+    });
+    return list;
+  }
+
+  // resolves with a reason id, or null if the file loaded (or is just slow)
+  function probeAudio(url) {
+    return new Promise(resolve => {
+      const audio = new Audio();
+      let settled = false;
+      let timer = null;
+      function done(reason) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        audio.removeAttribute("src");
+        resolve(reason);
+      }
+      audio.preload = "metadata";
+      audio.addEventListener("loadedmetadata", () => done(null));
+      audio.addEventListener("error", () =>
+        done(isTransient(audio.error) ? null : describeError(audio.error)));
+      timer = setTimeout(() => done(null), PROBE_TIMEOUT_MS);
+      audio.src = url;
+    });
+  }
+
+  function probeImage(url) {
+    return new Promise(resolve => {
+      const img = new Image();
+      let settled = false;
+      let timer = null;
+      function done(reason) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(reason);
+      }
+      img.onload = () => done(img.naturalWidth ? null : "emptyImage");
+      img.onerror = () => done("notImage");
+      timer = setTimeout(() => done(null), PROBE_TIMEOUT_MS);
+      img.src = url;
+    });
+  }
+
+  // a second try after a pause, as a failed photo may just be a dropped connection
+  function probePhoto(url) {
+    return probeImage(url).then(reason => {
+      if (!reason) return null;
+      return new Promise(resolve => setTimeout(resolve, PHOTO_RETRY_MS))
+        .then(() => probeImage(url));
+    });
+  }
+
+  // null as soon as one of the files loads, else why the last one failed
+  function probe(song, kind) {
+    const urls = getUrls(song, kind);
+    if (!urls.length) return Promise.resolve("noFile");
+    const probeUrl = kind === "audio" ? probeAudio : probePhoto;
+    return urls.reduce(
+      (previous, url) => previous.then(reason => (reason ? probeUrl(url) : null)),
+      Promise.resolve("not checked")
+    );
+  }
+
+  function probeAll(songs) {
+    if (probeRun) return probeRun;
+    const checks = [];
+    songs.forEach(song => {
+      ["audio", "photo"].forEach(kind => {
+        checks.push(probe(song, kind).then(reason => {
+          if (reason) record(song, kind, reason);
+        }));
+      });
+    });
+    probeRun = Promise.all(checks).then(() => {
+      notify();
+      return getProblems();
+    });
+    return probeRun;
+  }
+
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  // Expose API on window
+  window.InsectMediaCheck = {
+    probeAll,
+    isUsable,
+    markBroken,
+    getProblems,
+    describeError,
+    isTransient,
+    onChange
+  };
+})();
@@ -0,0 +1,93 @@
+/*
+  redaction.js
+
+  Hides the answer in fact-mode descriptions of the Insect Song Learning Game.
+
+  A fact is shown with every word that would give the species away replaced
+  by dots. Those words are built from species-data.js, not listed here:
+
+    - the species' common names (English and the player's language), whole
+      and word by word
+    - the parts of its scientific name
+    - its redactTerms, e.g. ["baffle", "déflecteur"], in any language
+    - group words: what the insects of each family are called, from the
+      locale bundles' words (e.g. words.Gryllidae: ["cricket"])
+
+  Each term also matches its plural ("baffle" -> "baffles", "burrow" ->
+  "burrows", "butterfly" -> "butterflies") and its hyphenated or spaced
+  spelling ("13-year" <-> "13 year"), so a term is listed once, in the
+  singular. Matching ignores letter case and word edges, as species names
+  often hide inside other words ("Neotibicen").
+
+  Also loaded by tools/check-redaction.js, which reports facts that still
+  give the answer away.
+
+  API exposed on window.InsectFactRedaction:
+
+    InsectFactRedaction.getTerms(song, { names?, groupWords? })
+        // -> terms for song; names: its names in the player's languages
+    InsectFactRedaction.buildPattern(terms)   // -> global RegExp, or null without terms
+    InsectFactRedaction.redact(text, terms)   // -> text with each match replaced by "•"s
+*/
+
+(function () {
+  const MIN_PART_LENGTH = 3;   // shorter name parts ("de", "13") are too common to hide
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // "13-year" -> /13[\s-]+years?/-like source; the last word may be plural
+  function termPattern(term) {
+    const words = term.trim().split(/[\s\-‐]+/).filter(Boolean).map(escapeRegExp);
+    if (!words.length) return null;
+    const last = words.length - 1;
+    words[last] = /[^aeiou]y$/i.test(words[last])
+      ? `${words[last].slice(0, -1)}(?:ies|y)`
+      : `${words[last]}(?:es|s)?`;
+    return words.join("[\\s\\-‐]+");
+  }
+
+  // a name, whole and as its separate words
+  function nameTerms(name) {
+    if (!name) return [];
+    const parts = name.split(/[\s\-‐]+/).filter(part => part.length >= MIN_PART_LENGTH);
+    return [name, ...parts];
+  }
+
+  function getTerms(song, options) {
+    const opts = options || {};
+    const terms = [];
+    [song.commonName, ...(opts.names || [])].forEach(name => terms.push(...nameTerms(name)));
+    if (song.species) terms.push(...nameTerms(song.species).slice(1));
+    if (Array.isArray(song.redactTerms)) terms.push(...song.redactTerms);
+    terms.push(...(opts.groupWords || []));
+    return [...new Set(terms.filter(term => typeof term === "string" && term.trim()))];
+  }
+
+  function buildPattern(terms) {
+    // longest first, so "periodical cicada" wins over "periodical"
+    const sources = [...new Set(
+      terms
+        .slice()
+        .sort((a, b) => b.length - a.length)
+        .map(termPattern)
+        .filter(Boolean)
+    )];
+    return sources.length ? new RegExp(sources.join("|"), "gi") : null;
+  }
+
+  function redact(text, terms) {
+    if (!text) return text;
+    const re = buildPattern(terms);
+    if (!re) return text;
+    return text.replace(re, match => "•".repeat(match.length));
+  }
+
+  // Expose API on window
+  window.InsectFactRedaction = {
+    getTerms,
+    buildPattern,
+    redact
+  };
+})();
@@ -0,0 +1,59 @@
+/*
+  regions-data.js
+
+  Region codes used by the `regions` field in species-data.js.
+
+  Regions form a hierarchy: continent > subregion > country or state.
+  Each region names its `parent`; choosing a region in the game also
+  includes every region below it (e.g. "North America" includes
+  "Eastern North America" and "Illinois").
+
+    - code   : short unique code used in species-data.js (e.g., "NA-E")
+    - name   : name shown to players
+    - parent : code of the enclosing region (omit for continents)
+
+  To add a region, add it below its parent. Please keep codes short and
+  stable: changing a code means updating every species that uses it.
+*/
+
+window.REGIONS_DATA = [
+  // North America
+  { code: "NA", name: "North America" },
+  { code: "NA-E", name: "Eastern North America", parent: "NA" },
+  { code: "US-NY", name: "New York", parent: "NA-E" },
+  { code: "US-PA", name: "Pennsylvania", parent: "NA-E" },
+  { code: "US-GA", name: "Georgia", parent: "NA-E" },
+  { code: "CA-ON", name: "Ontario", parent: "NA-E" },
+  { code: "NA-MW", name: "Midwestern U.S.", parent: "NA" },
+  { code: "US-IL", name: "Illinois", parent: "NA-MW" },
+  { code: "US-IN", name: "Indiana", parent: "NA-MW" },
+  { code: "US-MO", name: "Missouri", parent: "NA-MW" },
+  { code: "NA-W", name: "Western North America", parent: "NA" },
+  { code: "US-CA", name: "California", parent: "NA-W" },
+
+  // Europe
+  { code: "EU", name: "Europe" },
+  { code: "EU-W", name: "Western Europe", parent: "EU" },
+  { code: "GB", name: "United Kingdom", parent: "EU-W" },
+  { code: "FR", name: "France", parent: "EU-W" },
+  { code: "NL", name: "Netherlands", parent: "EU-W" },
+  { code: "EU-C", name: "Central Europe", parent: "EU" },
+  { code: "DE", name: "Germany", parent: "EU-C" },
+  { code: "PL", name: "Poland", parent: "EU-C" },
+  { code: "EU-S", name: "Southern Europe", parent: "EU" },
+  { code: "ES", name: "Spain", parent: "EU-S" },
+  { code: "IT", name: "Italy", parent: "EU-S" },
+
+  // Africa
+  { code: "AF", name: "Africa" },
+  { code: "AF-N", name: "North Africa", parent: "AF" },
+
+  // Asia
+  { code: "AS", name: "Asia" },
+  { code: "AS-W", name: "Western Asia", parent: "AS" },
+  { code: "AS-C", name: "Central Asia", parent: "AS" },
+
+  // South America
+  { code: "SA", name: "South America" },
+  { code: "BR", name: "Brazil", parent: "SA" }
+];
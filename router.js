@@ -0,0 +1,100 @@
+/*
+  router.js
+
+  Hash routes for the Insect Song Learning Game, so a reload keeps the
+  player where they were and pages can be linked to:
+
+    #/                               start screen
+    #/play/<mode>[?region=<code>]    a game: spectrogram | image | facts | listen | reverse,
+                                     region code from regions-data.js
+    #/play/<mode>?species=<slug>,…   a game on just these species (field guide)
+    #/daily                          today's daily challenge
+    #/species/<slug>                 a species page, e.g. #/species/gryllus-campestris
+    #/guide  #/stats  #/mixups  #/progress  #/teacher  #/media  #/about
+                                     panels shown over the current game
+
+  This file only reads and writes the hash; game.js decides what a route
+  shows. Anything it doesn't recognise is the start screen.
+
+  API exposed on window.InsectGameRouter:
+
+    InsectGameRouter.parse(hash)         // -> {page, mode?, region?, species?, slug?}
+    InsectGameRouter.format(route)       // -> "#/play/image?region=EU"
+    InsectGameRouter.slugify(species)    // "Gryllus campestris" -> "gryllus-campestris"
+    InsectGameRouter.PANELS              // page names of the panels
+*/
+
+(function () {
+  const MODES = ["spectrogram", "image", "facts", "listen", "reverse"];
+  const PANELS = ["guide", "stats", "mixups", "progress", "teacher", "media", "about"];
+
+  function slugify(text) {
+    return String(text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  // a hand-typed "%" mustn't break routing
+  function decodePart(part) {
+    try {
+      return decodeURIComponent(part);
+    } catch (e) {
+      return part;
+    }
+  }
+
+  function parse(hash) {
+    const text = String(hash || "").replace(/^#\/?/, "");
+    const queryAt = text.indexOf("?");
+    const path = (queryAt === -1 ? text : text.slice(0, queryAt))
+      .split("/")
+      .filter(Boolean)
+      .map(decodePart);
+    const query = new URLSearchParams(queryAt === -1 ? "" : text.slice(queryAt + 1));
+
+    if (path[0] === "play" && MODES.includes(path[1])) {
+      const species = (query.get("species") || "").split(",").map(slugify).filter(Boolean);
+      return {
+        page: "play",
+        mode: path[1],
+        region: query.get("region") || null,
+        species: species.length ? species : null
+      };
+    }
+    if (path[0] === "species" && path[1]) {
+      return { page: "species", slug: slugify(path[1]) };
+    }
+    if (path.length === 1 && (path[0] === "daily" || PANELS.includes(path[0]))) {
+      return { page: path[0] };
+    }
+    return { page: "start" };
+  }
+
+  function format(route) {
+    if (route.page === "play") {
+      const query = new URLSearchParams();
+      if (route.region) query.set("region", route.region);
+      if (route.species) query.set("species", route.species.join(","));
+      const text = query.toString().replace(/%2C/g, ",");
+      return `#/play/${route.mode}${text ? `?${text}` : ""}`;
+    }
+    if (route.page === "species") {
+      return `#/species/${encodeURIComponent(route.slug)}`;
+    }
+    if (route.page === "daily" || PANELS.includes(route.page)) {
+      return `#/${route.page}`;
+    }
+    return "#/";
+  }
+
+  // Expose API on window
+  window.InsectGameRouter = {
+    parse,
+    format,
+    slugify,
+    PANELS
+  };
+})();
@@ -0,0 +1,52 @@
+/*
+  seeded-random.js
+
+  Repeatable random numbers for the Insect Song Learning Game.
+
+  A game with a seed (e.g. a teacher's assignment) must deal the same deck,
+  answer choices and call excerpts on every computer, so it can't use
+  Math.random(). create(seed) returns a function that behaves like
+  Math.random() but always gives the same sequence for the same seed.
+
+  API exposed on window.InsectSeededRandom:
+
+    InsectSeededRandom.create(seed)      // () -> number in [0, 1), seed: any string
+    InsectSeededRandom.hashString(text)  // 32-bit FNV-1a hash (unsigned integer)
+    InsectSeededRandom.randomSeed()      // short fresh seed, e.g. "k3x9q2"
+*/
+
+(function () {
+  // FNV-1a over UTF-16 code units; small, fast and stable everywhere
+  function hashString(text) {
+    let h = 0x811c9dc5;
+    const s = String(text);
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32: a 32-bit generator, plenty for shuffling a few dozen species
+  function create(seed) {
+    let a = hashString(seed);
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 2176782336).toString(36); // up to 6 base-36 digits
+  }
+
+  // Expose API on window
+  window.InsectSeededRandom = {
+    create,
+    hashString,
+    randomSeed
+  };
+})();
@@ -0,0 +1,152 @@
+/*
+  service-worker.js
+
+  Offline support for the Insect Song Learning Game.
+
+  On install it caches the page, its scripts and styles (APP_SHELL) and
+  every photo, recording and spectrogram image listed in species-data.js,
+  so the game keeps working with poor or no Wi-Fi. Requests are then
+  answered from the cache first and from the network otherwise.
+
+  Cache versioning: the cache name is CACHE_PREFIX + APP_VERSION + a hash of
+  SONGS_DATA. Browsers re-check this file and the scripts it imports, so an
+  edit to species-data.js installs a new worker with a new cache, and the
+  old cache is deleted when it takes over. Bump APP_VERSION when you change
+  any other file (game.js, styles.css, …) and add new files to APP_SHELL.
+
+  Registered by game.js; needs https:// or http://localhost.
+*/
+
+const APP_VERSION = "16";
+const CACHE_PREFIX = "insect-game-";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "styles.css",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "telemetry-config.js",
+  "telemetry.js",
+  "analytics.js",
+  "dashboard.js",
+  "regions-data.js",
+  "species-data.js",
+  "seeded-random.js",
+  "assignments.js",
+  "daily.js",
+  "router.js",
+  "spectrogram.js",
+  "learning.js",
+  "field-noise.js",
+  "audio-sources.js",
+  "media-check.js",
+  "redaction.js",
+  "locales/en.js",
+  "locales/es.js",
+  "locales/fr.js",
+  "i18n.js",
+  "dialogs.js",
+  "game.js",
+  "images/Lucas H. Fink with Megaloblatta.jpeg"
+];
+
+// species-data.js sets window.SONGS_DATA; a worker has no window
+self.window = self;
+importScripts("species-data.js");
+
+const SONGS = self.SONGS_DATA || [];
+
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}-${hashString(JSON.stringify(SONGS))}`;
+
+// every format of a recording is cached: a worker can't ask which one the
+// page will play (see audio-sources.js)
+function getAudioUrls(song) {
+  return [].concat(song.audio || []).map(source => (typeof source === "string" ? source : source.src));
+}
+
+function getMediaUrls() {
+  const urls = [];
+  SONGS.forEach(song => {
+    getAudioUrls(song).concat([song.photo, song.spectrogramImage]).forEach(url => {
+      if (url && !urls.includes(url)) urls.push(url);
+    });
+  });
+  return urls;
+}
+
+// one file at a time, so a single missing file doesn't stop the rest
+function precache(cache, urls) {
+  return Promise.all(urls.map(url =>
+    cache.add(new Request(url, { cache: "reload" })).catch(err => {
+      console.warn(`Not available offline: ${url} (${err.message})`);
+    })
+  ));
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => precache(cache, APP_SHELL.concat(getMediaUrls())))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// <audio> asks for byte ranges; answer them from the cached full file
+function rangeResponse(request, response) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("Range") || "");
+  if (!match) return response;
+  return response.arrayBuffer().then(body => {
+    const size = body.byteLength;
+    const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (start >= size || start > end) {
+      return new Response(null, {
+        status: 416,
+        headers: { "Content-Range": `bytes */${size}` }
+      });
+    }
+    return new Response(body.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        "Content-Type": response.headers.get("Content-Type") || "application/octet-stream",
+        "Content-Range": `bytes ${start}-${end}/${size}`,
+        "Content-Length": String(end - start + 1)
+      }
+    });
+  });
+}
+
+self.addEventListener("fetch", event => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache =>
+      // the page itself is cached once, whatever ?assignment= it was opened with
+      cache.match(request, { ignoreSearch: request.mode === "navigate" }).then(cached => {
+        if (cached) return rangeResponse(request, cached);
+        return fetch(request);
+      })
+    )
+  );
+});
@@ -8,20 +8,57 @@
 
     - commonName       : short English name
     - species          : scientific name (Genus species)
-    - spectrogramImage : path to spectrogram image (or main visual)
-    - audio            : path to sound file
+    - order            : taxonomic order (e.g., "Orthoptera", "Hemiptera")
+    - family           : taxonomic family (e.g., "Gryllidae", "Cicadidae")
+    - spectrogramImage : OPTIONAL path to a spectrogram image. The game draws
+                         spectrograms live from the audio file; this image is
+                         only shown if the audio can't be decoded.
+    - audio            : path to sound file, or a list of the same recording in
+                         several formats, best first, each with its MIME type:
+                           audio: [
+                             { src: "audio/Name.opus", type: "audio/ogg; codecs=opus" },
+                             { src: "audio/Name.mp3", type: "audio/mpeg" }
+                           ]
+                         The game plays the first format the browser supports
+                         and falls back to the next if a file won't load.
+                         MP3 plays everywhere; large WAV files are best avoided.
+    - dominantKHz      : OPTIONAL loudest frequency of the song, in kHz
+    - pulseRate        : OPTIONAL pulses (or syllables) per second in the song.
+                         These two are approximate; hard mode uses them to pick
+                         answer choices that sound alike.
+    - callSegments     : OPTIONAL list of [start, end] times, in seconds, of clean
+                         song bouts in the audio file (e.g., [[2.5, 9], [14, 20]]).
+                         Quiz rounds play one of these at random; without them
+                         a random few seconds of the recording is played.
     - photo            : path to insect photo
-    - region           : short region string (e.g., "Eastern U.S.")
-    - fact             : one or two sentences of natural history
+    - region           : short range description shown to players (e.g., "Eastern U.S.")
+    - regions          : list of region codes from regions-data.js where the
+                         species lives (e.g., ["NA-E", "NA-MW"]). The region
+                         filter uses these codes, including their child regions.
+    - fact             : one or two sentences of natural history. Fact mode hides
+                         the species' names in it, and the group words of its
+                         family (words in locales/, e.g. "cricket").
+    - redactTerms      : OPTIONAL other words in the fact (or its translations)
+                         that would give the answer away, in the singular
+                         (e.g., ["baffle", "déflecteur"]). Plurals and "-" / " "
+                         spellings are hidden too. Run tools/check-redaction.js
+                         to find them.
     - photoCredit      : photographer name
     - audioCredit      : recordist name
     - copyrightPhoto   : license or rights statement for the photo
     - copyrightAudio   : license or rights statement for the audio
+    - translations     : OPTIONAL commonName, region and fact in other languages,
+                         by language code (see locales/). Missing values are
+                         shown in English:
+                           translations: {
+                             es: { commonName: "…", region: "…", fact: "…" },
+                             fr: { commonName: "…", region: "…", fact: "…" }
+                           }
 
   You can remove a species from the game by deleting its object
   from the SONGS_DATA array. Please DO NOT delete existing species without written permission from the Admin.
 
-  Then add your spectrogram image file and insect photo file into the images folder and add your audio file into the audio folder.
+  Then add your insect photo file (and spectrogram image, if you made one) into the images folder and add your audio file into the audio folder.
   If the addition isn't working, most likely the audio and photo inputs don't exactly match the name of your files.
 
 */
@@ -30,106 +67,246 @@ window.SONGS_DATA = [
   {
     commonName: "Four-spotted Tree Cricket",
     species: "Oecanthus quadripunctatus",
+    order: "Orthoptera",
+    family: "Gryllidae",
     spectrogramImage: "images/Four Spotted Tree Cricket_Spectogram_XC861325.jpeg",
     audio: "audio/XC861325 - Four-spotted tree cricket - Oecanthus quadripunctatus_Daniel_Parker.wav",
+    dominantKHz: 3.0,
+    pulseRate: 50,
     photo: "images/Four Spotted Tree Cricket_Photo 100453434, no rights reserved, uploaded by Megan Ralph.jpg",
     region: "North America",
+    regions: ["NA"],
     fact: "Four-spotted tree crickets high pitched trills from up in the trees. They amplify their songs by building tools called baffles out of leaves.",
+    redactTerms: ["baffle", "deflector", "déflecteur"],
     photoCredit: "Megan Ralph",
     audioCredit: "Daniel Parker",
     copyrightPhoto: "CC0",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Grillo arborícola de cuatro manchas",
+        region: "Norteamérica",
+        fact: "Los grillos arborícolas de cuatro manchas emiten trinos agudos desde lo alto de los árboles. Amplifican su canto construyendo con hojas unas herramientas llamadas deflectores."
+      },
+      fr: {
+        commonName: "Oecanthe à quatre points",
+        region: "Amérique du Nord",
+        fact: "L'oecanthe à quatre points lance des trilles aigus depuis le haut des arbres. Il amplifie son chant en fabriquant avec des feuilles de véritables outils, des déflecteurs."
+      }
+    }
   },
   {
     commonName: "Swamp Cicada",
     species: "Neotibicen tibicen",
+    order: "Hemiptera",
+    family: "Cicadidae",
     spectrogramImage: "images/Neotibicen_tibicen_Spectrogram.jpeg",
     audio: "audio/Neotibicen_tibicen_australis_filtered_David_Marshall.mp3",
+    dominantKHz: 5.0,
+    pulseRate: 120,
     photo: "images/Neotibicen tibicen_\"Alie\" Kratzer_Swamp Cicada.jpeg",
     region: "Eastern North America",
+    regions: ["NA-E"],
     fact: "Swamp cicadas produce loud songs by vibrating a thin membrane of an organ on their abdomen called a tymbal. Their songs are so loud that they actually turn down their hearing when they sing to avoid going deaf!",
+    redactTerms: ["tymbal", "timbal", "cymbale"],
     photoCredit: "\"Alie\" Kratzer",
     audioCredit: "David Marshall",
     copyrightPhoto: "CC-BY_SA",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Cigarra de pantano",
+        region: "Este de Norteamérica",
+        fact: "Las cigarras de pantano producen cantos potentes haciendo vibrar una fina membrana de un órgano del abdomen llamado timbal. ¡Su canto es tan fuerte que reducen su propia audición mientras cantan para no quedarse sordas!"
+      },
+      fr: {
+        commonName: "Cigale des marais",
+        region: "Est de l'Amérique du Nord",
+        fact: "La cigale des marais produit un chant puissant en faisant vibrer la fine membrane d'un organe de l'abdomen appelé cymbale. Son chant est si fort qu'elle réduit sa propre audition en chantant pour ne pas devenir sourde !"
+      }
+    }
   },
   {
     commonName: "Common True Katydid",
     species: "Pterophylla camellifolia",
+    order: "Orthoptera",
+    family: "Tettigoniidae",
     spectrogramImage: "images/Pterophylla camellifolia Common True Katydid spectrogram.jpeg",
     audio: "audio/XC1033657 - Pterophylla camellifolia_Francisco_Rivas_Fuenzalida.wav",
+    dominantKHz: 5.0,
+    pulseRate: 6,
     photo: "images/Pterophylla camellifolia  Common true Katydid_Judy Gallagher_Image.jpg",
     region: "Eastern North America",
+    regions: ["NA-E"],
     fact: "Common true katydids produce rhythmic songs by rubbing their wings together. Unlike crickets who are righties, katydids are all lefties and rub their left wing over their right wings.",
     photoCredit: "Judy Gallagher",
     audioCredit: "Francisco Rivas Fuenzalida",
     copyrightPhoto: "CC BY-SA 4.0",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Esperanza verdadera común",
+        region: "Este de Norteamérica",
+        fact: "La esperanza verdadera común produce cantos rítmicos frotando sus alas entre sí. A diferencia de los grillos, que son diestros, las esperanzas son todas zurdas y frotan el ala izquierda sobre la derecha."
+      },
+      fr: {
+        commonName: "Vrai katydid commun",
+        region: "Est de l'Amérique du Nord",
+        fact: "Le vrai katydid commun produit des chants rythmés en frottant ses ailes l'une contre l'autre. Contrairement aux grillons, qui sont droitiers, ces sauterelles sont toutes gauchères : elles frottent l'aile gauche sur l'aile droite."
+      }
+    }
   },
   {
     commonName: "Meadow Grasshopper",
     species: "Pseudochorthippus parallelus",
+    order: "Orthoptera",
+    family: "Acrididae",
     spectrogramImage: "images/Meadow Grasshopper Spectrogram.jpeg",
     audio: "audio/XC446417 - Meadow Grasshopper - Pseudochorthippus parallelus_Baudewijn_Ode .mp3",
+    dominantKHz: 10,
+    pulseRate: 10,
     photo: "images/Meadow Grasshopper_Gilles_San_Martin.jpg",
     region: "Europe and Central Asia",
+    regions: ["EU", "AS-C"],
     fact: "Male meadow grasshoppers create their percussive songs by rubbing their hind legs against hard forewings. Most grasshoppers don't actually sing, but some of the few species that do can be very easy to find.",
     photoCredit: "Gilles San Martin",
     audioCredit: "Baudewijn Ode",
     copyrightPhoto: "CC BY-SA 4.0",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Saltamontes de prado",
+        region: "Europa y Asia central",
+        fact: "Los machos de saltamontes de prado crean su canto percusivo frotando las patas traseras contra las duras alas anteriores. La mayoría de los saltamontes no cantan, pero algunas de las pocas especies que lo hacen son muy fáciles de encontrar."
+      },
+      fr: {
+        commonName: "Criquet des pâtures",
+        region: "Europe et Asie centrale",
+        fact: "Le mâle du criquet des pâtures produit son chant percussif en frottant ses pattes arrière contre ses ailes antérieures rigides. La plupart des criquets ne chantent pas, mais certaines des rares espèces qui le font sont très faciles à trouver."
+      }
+    }
   },
   {
     commonName: "European Field Cricket",
     species: "Gryllus campestris",
+    order: "Orthoptera",
+    family: "Gryllidae",
     spectrogramImage: "images/Field Cricket spectogram.jpeg",
     audio: "audio/XC910555 - Field Cricket - Gryllus campestris_Cedric_Mroczko.mp3",
+    dominantKHz: 4.7,
+    pulseRate: 30,
     photo: "images/European Field Cricket_Gilles_San_Martin.jpeg",
     region: "Europe and North Africa",
+    regions: ["EU", "AF-N"],
     fact: "Field crickets dig simple burrows and sing from the entrance. Populations of European field crickets have rapidly declined due to habitat loss. Once they disappear from an area they rarely recover. They are now the most endangered cricket in Britain and conservation efforts are underway to reintroduce them to places they have gone extinct across Europe.",
     photoCredit: "Gilles San Martin",
     audioCredit: "Cedric Mroczko",
     copyrightPhoto: "CC BY-SA 4.0",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Grillo campestre",
+        region: "Europa y norte de África",
+        fact: "Los grillos campestres excavan madrigueras sencillas y cantan desde la entrada. Sus poblaciones han disminuido rápidamente por la pérdida de hábitat y, cuando desaparecen de una zona, rara vez se recuperan. Hoy son el grillo más amenazado de Gran Bretaña y se trabaja para reintroducirlos en lugares de Europa donde se habían extinguido."
+      },
+      fr: {
+        commonName: "Grillon champêtre",
+        region: "Europe et Afrique du Nord",
+        fact: "Le grillon champêtre creuse un terrier simple et chante à son entrée. Ses populations ont rapidement décliné à cause de la perte d'habitat, et une fois disparu d'une zone, il revient rarement. C'est aujourd'hui le grillon le plus menacé de Grande-Bretagne, et des efforts sont en cours pour le réintroduire là où il a disparu en Europe."
+      }
+    }
   },
   {
     commonName: "European Mole Cricket",
     species: "Gryllotalpa gryllotalpa",
+    order: "Orthoptera",
+    family: "Gryllotalpidae",
     spectrogramImage: "images/Mole Cricket Spectrogram.jpeg",
     audio: "audio/XC894246 - European mole cricket - Gryllotalpa gryllotalpa_Cedric_Mroczko.mp3",
+    dominantKHz: 3.5,
+    pulseRate: 50,
     photo: "images/Gryllotalpa gryllotalpa_Grzegorz_Grzejszczak.jpeg",
     region: "Western Palaearctic",
+    regions: ["EU", "AF-N", "AS-W"],
     fact: "Mole crickets are powerful diggers that build resonating burrows. These underground chambers act like acoustic amplifiers, greatly boosting the volume of their songs and showing how insects can use constructed spaces to enhance communication.",
     photoCredit: "Grzegorz Grzejszczak",
     audioCredit: "Cedric Mroczko",
     copyrightPhoto: "CC BY-SA 4.0",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Grillo topo europeo",
+        region: "Paleártico occidental",
+        fact: "Los grillos topo son excavadores potentes que construyen madrigueras resonantes. Estas cámaras subterráneas funcionan como amplificadores acústicos que aumentan mucho el volumen de su canto, y muestran cómo los insectos pueden usar espacios construidos para mejorar su comunicación."
+      },
+      fr: {
+        commonName: "Courtilière commune",
+        region: "Paléarctique occidental",
+        fact: "La courtilière est une puissante fouisseuse qui construit des terriers résonants. Ces chambres souterraines agissent comme des amplificateurs acoustiques qui augmentent fortement le volume de son chant, et montrent comment les insectes peuvent utiliser des espaces construits pour mieux communiquer."
+      }
+    }
   },
   {
     commonName: "13-year Cicada",
     species: "Magicicada neotredecim",
+    order: "Hemiptera",
+    family: "Cicadidae",
     spectrogramImage: "images/13 year cicada spectrogram.jpeg",
     audio: "audio/11.US.IL.DAS.Magicicada_neotredecim_David_Marshall.mp3",
+    dominantKHz: 1.7,
+    pulseRate: 150,
     photo: "images/13 year cicada_Kirill_Levchenko.jpeg",
     region: "Midwestern U.S.A",
+    regions: ["NA-MW"],
     fact: "Periodical cicadas spend 13 years underground feeding on tree roots before emerging in synchronized, spectacular numbers. Their unusual life cycle helps them avoid predators and overwhelm ecosystems with sheer abundance.",
+    redactTerms: ["periodical", "13 year", "periódica", "13 años", "périodique", "13 ans"],
     photoCredit: "Kirill Levchenko",
     audioCredit: "David Marshall",
     copyrightPhoto: "CC0",
-    copyrightAudio: "CC BY-NC-SA"
+    copyrightAudio: "CC BY-NC-SA",
+    translations: {
+      es: {
+        commonName: "Cigarra de 13 años",
+        region: "Medio Oeste de EE. UU.",
+        fact: "Las cigarras periódicas pasan 13 años bajo tierra alimentándose de raíces de árboles antes de emerger en cantidades sincronizadas y espectaculares. Su ciclo de vida tan inusual les ayuda a evitar a los depredadores y a saturar los ecosistemas con su enorme abundancia."
+      },
+      fr: {
+        commonName: "Cigale de 13 ans",
+        region: "Midwest des États-Unis",
+        fact: "Les cigales périodiques passent 13 ans sous terre à se nourrir des racines des arbres avant d'émerger en nombre spectaculaire, toutes en même temps. Ce cycle de vie inhabituel les aide à échapper aux prédateurs et à submerger les écosystèmes par leur simple abondance."
+      }
+    }
   },
   {
     commonName: "Sword-bearing Conehead",
     species: "Neoconocephalus ensiger",
+    order: "Orthoptera",
+    family: "Tettigoniidae",
     spectrogramImage: "images/Cone Head Katydid Spectrogram.jpeg",
     audio: "audio/XC859446 - Swordbearer - Neoconocephalus_Molly_Jacobson ensiger.mp3",
+    dominantKHz: 11,
+    pulseRate: 11,
     photo: "images/Cone Head_Marlo_Perdicas.jpeg",
     region: "North America",
+    regions: ["NA"],
     fact: "Conehead katydids get their name from the pointed facial cone above their mouthparts. Females have a long, sword-like ovipositor used to insert eggs into plant stems, which is the origin of the “sword-bearing” name.",
+    redactTerms: ["cone", "cono", "cône", "espada"],
     photoCredit: "Marlo Perdicas",
     audioCredit: "Molly Jacobson",
     copyrightPhoto: "CC BY 4.0",
-    copyrightAudio: "CC BY-NC-SA 4.0"
+    copyrightAudio: "CC BY-NC-SA 4.0",
+    translations: {
+      es: {
+        commonName: "Conocéfalo portaespada",
+        region: "Norteamérica",
+        fact: "Los conocéfalos deben su nombre al cono puntiagudo que tienen sobre la boca. Las hembras tienen un ovipositor largo, con forma de espada, con el que introducen los huevos en los tallos de las plantas; de ahí el nombre de «portaespada»."
+      },
+      fr: {
+        commonName: "Conocéphale porte-épée",
+        region: "Amérique du Nord",
+        fact: "Les conocéphales doivent leur nom au cône pointu situé au-dessus de leur bouche. La femelle possède un long ovipositeur en forme d'épée pour insérer ses œufs dans les tiges des plantes, d'où le nom de « porte-épée »."
+      }
+    }
   }
 
   /*
@@ -141,11 +318,26 @@ window.SONGS_DATA = [
   {
     commonName: "New Insect Common Name",
     species: "Genus species",
+    order: "Orthoptera",
+    family: "Gryllidae",
     spectrogramImage: "images/YourSpectrogramFileName.jpeg",
-    audio: "audio/YourAudioFileName.wav",
+    audio: "audio/YourAudioFileName.mp3",
+    // or, with more than one format (best first):
+    // audio: [
+    //   { src: "audio/YourAudioFileName.opus", type: "audio/ogg; codecs=opus" },
+    //   { src: "audio/YourAudioFileName.mp3", type: "audio/mpeg" }
+    // ],
+    dominantKHz: 4.5,
+    pulseRate: 30,
+    callSegments: [[0, 5]],
     photo: "images/YourPhotoFileName.jpg",
     region: "Region or habitat (e.g., Eastern U.S.)",
+    regions: ["NA-E"],
     fact: "One or two sentences describing this insect's sound, behavior, or ecology.",
+    // OPTIONAL, words in the fact that would give the answer away:
+    // redactTerms: ["baffle"],
+    // OPTIONAL, the same in other languages:
+    // translations: { es: { commonName: "…", region: "…", fact: "…" } },
     photoCredit: "Photographer Name",
     audioCredit: "Recordist Name",
     copyrightPhoto: "License / rights statement for photo (e.g., CC BY, CC BY-NC, CC0, All rights reserved)",
@@ -0,0 +1,341 @@
+/*
+  spectrogram.js
+
+  Live spectrograms for the Insect Song Learning Game.
+
+  Instead of relying on a hand-made spectrogram image for every species,
+  this decodes the species' audio file with Web Audio, runs a short-time
+  FFT over it and draws the result on a <canvas>.
+
+  Every spectrogram uses the SAME settings so they can be compared:
+    - frequency range : 0 – MAX_FREQ_HZ (20 kHz)
+    - color scale     : DB_RANGE (80 dB) below the loudest point of the call
+    - FFT             : FFT_SIZE-point Hann-windowed frames
+
+  API exposed on window.InsectSpectrogram:
+
+    InsectSpectrogram.load(url, audioCtx)         // Promise -> spectrogram data (cached per URL)
+    InsectSpectrogram.loadBuffer(url, audioCtx)   // Promise -> decoded AudioBuffer (not cached)
+    InsectSpectrogram.compute(audioBuffer)        // spectrogram data from a decoded AudioBuffer
+    InsectSpectrogram.measureRms(audioBuffer)     // RMS level of the song, ignoring quiet gaps
+    InsectSpectrogram.render(canvas, spec)        // draws spectrogram + kHz / seconds ticks, returns layout
+    InsectSpectrogram.placePlayhead(el, layout, seconds) // positions a playhead element over the plot
+*/
+
+(function () {
+  const FFT_SIZE = 1024;
+  const MAX_FREQ_HZ = 20000;
+  const DB_RANGE = 80;
+  const MAX_FRAMES = 1200;       // upper bound on time columns per spectrogram
+  const FREQ_TICK_KHZ = 2;
+
+  // plot margins, in CSS pixels (scaled by devicePixelRatio when drawing)
+  const MARGIN_LEFT = 34;
+  const MARGIN_BOTTOM = 22;
+  const MARGIN_TOP = 8;
+  const MARGIN_RIGHT = 10;
+  const ASPECT = 0.42;           // canvas height / width
+
+  const cache = {};              // url -> Promise<spec>
+  const colorTable = buildColorTable();
+
+  // ---- Color scale ----
+
+  // dark purple -> magenta -> orange -> pale yellow ("magma"-like)
+  function buildColorTable() {
+    const stops = [
+      [0.0, [0, 0, 4]],
+      [0.25, [59, 15, 112]],
+      [0.5, [140, 41, 129]],
+      [0.7, [222, 73, 104]],
+      [0.85, [254, 159, 109]],
+      [1.0, [252, 253, 191]]
+    ];
+    const table = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+      const t = i / 255;
+      let s = 0;
+      while (s < stops.length - 2 && t > stops[s + 1][0]) s++;
+      const [t0, c0] = stops[s];
+      const [t1, c1] = stops[s + 1];
+      const f = (t - t0) / (t1 - t0);
+      for (let c = 0; c < 3; c++) {
+        table[i * 3 + c] = c0[c] + (c1[c] - c0[c]) * f;
+      }
+    }
+    return table;
+  }
+
+  // ---- FFT ----
+
+  // in-place iterative radix-2 FFT; re/im length must be a power of two
+  function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+      }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = (-2 * Math.PI) / len;
+      const wRe = Math.cos(ang);
+      const wIm = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let curRe = 1;
+        let curIm = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const a = i + k;
+          const b = a + len / 2;
+          const tRe = re[b] * curRe - im[b] * curIm;
+          const tIm = re[b] * curIm + im[b] * curRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+          const nextRe = curRe * wRe - curIm * wIm;
+          curIm = curRe * wIm + curIm * wRe;
+          curRe = nextRe;
+        }
+      }
+    }
+  }
+
+  function mixToMono(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    if (channels === 1) return audioBuffer.getChannelData(0);
+
+    const out = new Float32Array(audioBuffer.length);
+    for (let c = 0; c < channels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      for (let i = 0; i < data.length; i++) out[i] += data[i] / channels;
+    }
+    return out;
+  }
+
+  // RMS of the louder half of 50 ms blocks, so pauses between song bouts
+  // don't make a call look quieter than it sounds
+  function activeRms(samples, sampleRate) {
+    const block = Math.max(1, Math.round(sampleRate * 0.05));
+    const powers = [];
+    for (let start = 0; start < samples.length; start += block) {
+      const end = Math.min(samples.length, start + block);
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+      powers.push(sum / (end - start));
+    }
+    if (!powers.length) return 0;
+    powers.sort((a, b) => b - a);
+    const loud = powers.slice(0, Math.max(1, Math.ceil(powers.length / 2)));
+    return Math.sqrt(loud.reduce((a, b) => a + b, 0) / loud.length);
+  }
+
+  function measureRms(audioBuffer) {
+    return activeRms(mixToMono(audioBuffer), audioBuffer.sampleRate);
+  }
+
+  // ---- Spectrogram data ----
+
+  function compute(audioBuffer) {
+    const samples = mixToMono(audioBuffer);
+    const sampleRate = audioBuffer.sampleRate;
+    const binHz = sampleRate / FFT_SIZE;
+    const binCount = Math.min(FFT_SIZE / 2, Math.ceil(MAX_FREQ_HZ / binHz) + 1);
+
+    // hop so that long recordings stay under MAX_FRAMES columns
+    const hop = Math.max(
+      FFT_SIZE / 4,
+      Math.ceil((samples.length - FFT_SIZE) / MAX_FRAMES)
+    );
+    const frameCount = Math.max(1, Math.floor((samples.length - FFT_SIZE) / hop) + 1);
+
+    const hann = new Float32Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1));
+    }
+
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    const frames = [];
+    let peakDb = -Infinity;
+
+    for (let f = 0; f < frameCount; f++) {
+      const offset = f * hop;
+      for (let i = 0; i < FFT_SIZE; i++) {
+        const s = samples[offset + i] || 0;
+        re[i] = s * hann[i];
+        im[i] = 0;
+      }
+      fft(re, im);
+
+      const column = new Float32Array(binCount);
+      for (let b = 0; b < binCount; b++) {
+        const mag = Math.sqrt(re[b] * re[b] + im[b] * im[b]) / FFT_SIZE;
+        const db = 20 * Math.log10(mag + 1e-12);
+        column[b] = db;
+        if (db > peakDb) peakDb = db;
+      }
+      frames.push(column);
+    }
+
+    return {
+      frames,
+      binHz,
+      peakDb,
+      signalRms: activeRms(samples, sampleRate),
+      duration: audioBuffer.duration,
+      sampleRate
+    };
+  }
+
+  function decode(audioCtx, arrayBuffer) {
+    // callback form as well, for older Safari
+    return new Promise((resolve, reject) => {
+      const p = audioCtx.decodeAudioData(arrayBuffer, resolve, reject);
+      if (p && typeof p.then === "function") p.then(resolve, reject);
+    });
+  }
+
+  // decoded buffers are large, so only the (small) spectrograms are cached
+  function loadBuffer(url, audioCtx) {
+    if (!url) return Promise.reject(new Error("No audio URL"));
+    if (!audioCtx) return Promise.reject(new Error("Web Audio not available"));
+
+    return fetch(encodeURI(url))
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+        return res.arrayBuffer();
+      })
+      .then(buf => decode(audioCtx, buf));
+  }
+
+  function load(url, audioCtx) {
+    if (cache[url]) return cache[url];
+
+    cache[url] = loadBuffer(url, audioCtx)
+      .then(compute)
+      .catch(err => {
+        // allow a later retry (e.g. after a network blip)
+        delete cache[url];
+        throw err;
+      });
+
+    return cache[url];
+  }
+
+  // ---- Drawing ----
+
+  function niceTimeStep(duration) {
+    const steps = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120];
+    for (const step of steps) {
+      if (duration / step <= 8) return step;
+    }
+    return steps[steps.length - 1];
+  }
+
+  function formatSeconds(t, step) {
+    return step < 1 ? t.toFixed(1) : String(Math.round(t));
+  }
+
+  function render(canvas, spec) {
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = canvas.clientWidth || 640;
+    canvas.width = Math.round(cssWidth * dpr);
+    canvas.height = Math.round(cssWidth * ASPECT * dpr);
+
+    const ctx = canvas.getContext("2d");
+    const left = Math.round(MARGIN_LEFT * dpr);
+    const top = Math.round(MARGIN_TOP * dpr);
+    const plotW = canvas.width - left - Math.round(MARGIN_RIGHT * dpr);
+    const plotH = canvas.height - top - Math.round(MARGIN_BOTTOM * dpr);
+
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // spectrogram pixels
+    const img = ctx.createImageData(plotW, plotH);
+    const floorDb = spec.peakDb - DB_RANGE;
+    const frameCount = spec.frames.length;
+
+    for (let x = 0; x < plotW; x++) {
+      const column = spec.frames[Math.min(frameCount - 1, Math.floor((x / plotW) * frameCount))];
+      for (let y = 0; y < plotH; y++) {
+        const freq = MAX_FREQ_HZ * (1 - y / plotH);
+        const bin = Math.round(freq / spec.binHz);
+        const db = bin < column.length ? column[bin] : floorDb;
+        const level = Math.max(0, Math.min(1, (db - floorDb) / DB_RANGE));
+        const c = Math.round(level * 255) * 3;
+        const p = (y * plotW + x) * 4;
+        img.data[p] = colorTable[c];
+        img.data[p + 1] = colorTable[c + 1];
+        img.data[p + 2] = colorTable[c + 2];
+        img.data[p + 3] = 255;
+      }
+    }
+    ctx.putImageData(img, left, top);
+
+    // ticks + labels
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillStyle = "#e5e7eb";
+    ctx.lineWidth = dpr;
+    ctx.font = `${Math.round(11 * dpr)}px system-ui, sans-serif`;
+
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let khz = 0; khz <= MAX_FREQ_HZ / 1000; khz += FREQ_TICK_KHZ) {
+      const y = top + plotH * (1 - (khz * 1000) / MAX_FREQ_HZ);
+      ctx.beginPath();
+      ctx.moveTo(left - 4 * dpr, y);
+      ctx.lineTo(left, y);
+      ctx.stroke();
+      ctx.fillText(String(khz), left - 6 * dpr, y);
+    }
+
+    const step = niceTimeStep(spec.duration);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let t = 0; t <= spec.duration + 1e-9; t += step) {
+      const x = left + plotW * (t / spec.duration);
+      ctx.beginPath();
+      ctx.moveTo(x, top + plotH);
+      ctx.lineTo(x, top + plotH + 4 * dpr);
+      ctx.stroke();
+      ctx.fillText(formatSeconds(t, step), x, top + plotH + 6 * dpr);
+    }
+
+    return {
+      canvasWidth: canvas.width,
+      canvasHeight: canvas.height,
+      left,
+      top,
+      plotW,
+      plotH,
+      duration: spec.duration
+    };
+  }
+
+  // positions are in % so the playhead follows the canvas when it is scaled by CSS
+  function placePlayhead(el, layout, seconds) {
+    if (!el || !layout || !layout.duration) return;
+    const frac = Math.max(0, Math.min(1, seconds / layout.duration));
+    const x = layout.left + layout.plotW * frac;
+    el.style.left = `${(x / layout.canvasWidth) * 100}%`;
+    el.style.top = `${(layout.top / layout.canvasHeight) * 100}%`;
+    el.style.height = `${(layout.plotH / layout.canvasHeight) * 100}%`;
+  }
+
+  // Expose API on window
+  window.InsectSpectrogram = {
+    load,
+    loadBuffer,
+    compute,
+    measureRms,
+    render,
+    placePlayhead
+  };
+})();
@@ -0,0 +1,23 @@
+/*
+  telemetry-config.js
+
+  Settings for the OPTIONAL usage reporting in telemetry.js.
+
+  With an empty endpoint (the default) nothing is ever sent and the
+  consent toggle is not shown. To collect anonymous usage from your own
+  deployment, run a collector you control (see tools/telemetry-collector.js)
+  and set its URL here. Players still have to opt in.
+
+    - endpoint        : URL that receives POSTed event batches, or "" for off
+    - batchSize       : send as soon as this many events are queued; also
+                        the most events sent in one request
+    - flushIntervalMs : otherwise send queued events this often
+    - maxQueue        : events kept while offline; the oldest are dropped
+*/
+
+window.TELEMETRY_CONFIG = {
+  endpoint: "",
+  batchSize: 10,
+  flushIntervalMs: 30000,
+  maxQueue: 500
+};
@@ -0,0 +1,198 @@
+/*
+  telemetry.js
+
+  Opt-in usage reporting for the Insect Song Learning Game.
+
+  Off unless BOTH are true:
+    - telemetry-config.js sets an endpoint (a collector you run yourself)
+    - the player turned sharing on with the consent toggle
+
+  analytics.js hands its game-started, game-completed and region-choice
+  events to track(). They are queued in localStorage (so nothing is lost
+  while offline) and POSTed in batches of at most batchSize events, one
+  request after another until the queue is empty:
+
+    { clientId, sentAt, events: [{ type, at, sessionId, data }] }
+
+  clientId is a random ID made when the player opts in; it identifies a
+  browser, not a person, and is deleted when they opt out (with the queue).
+  sessionId is new on every page load.
+
+  API exposed on window.InsectGameTelemetry:
+
+    InsectGameTelemetry.isAvailable()      // an endpoint is configured
+    InsectGameTelemetry.hasConsent()       // player opted in
+    InsectGameTelemetry.setConsent(on)     // opt in / out
+    InsectGameTelemetry.track(type, data)  // queue an event (ignored without consent)
+    InsectGameTelemetry.flush()            // Promise; send queued events now
+*/
+
+(function () {
+  const TELEMETRY_KEY = "insectGameTelemetry_v1";
+  const config = Object.assign({
+    endpoint: "",
+    batchSize: 10,
+    flushIntervalMs: 30000,
+    maxQueue: 500
+  }, window.TELEMETRY_CONFIG || {});
+
+  const sessionId = randomId();
+  let state = loadState();
+  let flushTimer = null;
+  let sending = null;           // Promise while a batch is in flight
+
+  function loadState() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(TELEMETRY_KEY) || "{}");
+      return {
+        consent: parsed.consent === true,
+        clientId: parsed.clientId || null,
+        queue: Array.isArray(parsed.queue) ? parsed.queue : []
+      };
+    } catch (e) {
+      return { consent: false, clientId: null, queue: [] };
+    }
+  }
+
+  function saveState() {
+    try {
+      localStorage.setItem(TELEMETRY_KEY, JSON.stringify(state));
+    } catch (e) {
+      // ignore storage errors (e.g. private mode)
+    }
+  }
+
+  function randomId() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, c => {
+      const r = Math.floor(Math.random() * 16);
+      return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  function isAvailable() {
+    return !!config.endpoint;
+  }
+
+  function hasConsent() {
+    return isAvailable() && state.consent;
+  }
+
+  function setConsent(on) {
+    if (on) {
+      state.consent = true;
+      state.clientId = state.clientId || randomId();
+      startTimer();
+    } else {
+      // opting out forgets the ID and anything not yet sent
+      state = { consent: false, clientId: null, queue: [] };
+      stopTimer();
+    }
+    saveState();
+  }
+
+  function track(type, data) {
+    if (!hasConsent()) return;
+    state.queue.push({
+      type,
+      at: new Date().toISOString(),
+      sessionId,
+      data: data || {}
+    });
+    if (state.queue.length > config.maxQueue) {
+      state.queue = state.queue.slice(state.queue.length - config.maxQueue);
+    }
+    saveState();
+    if (state.queue.length >= config.batchSize) flush();
+  }
+
+  function buildBatch(events) {
+    return JSON.stringify({
+      clientId: state.clientId,
+      sentAt: new Date().toISOString(),
+      events
+    });
+  }
+
+  // only the events sent leave the queue: events tracked while sending
+  // stay, and maxQueue may have trimmed some of those sent
+  function removeSent(events) {
+    const sent = new Set(events);
+    state.queue = state.queue.filter(event => !sent.has(event));
+    saveState();
+  }
+
+  // one batch, then the next while events are left; keepalive bodies are
+  // capped (about 64 KB), so a long offline queue can't go out at once
+  function sendBatches() {
+    const events = state.queue.slice(0, config.batchSize);
+    return fetch(config.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: buildBatch(events),
+      keepalive: true
+    })
+      .then(res => {
+        if (!res.ok) throw new Error(`Collector answered ${res.status}`);
+        removeSent(events);
+        if (hasConsent() && state.queue.length) return sendBatches();
+      });
+  }
+
+  // sends the queued events; on any failure the rest stay queued for next time
+  function flush() {
+    if (!hasConsent() || !state.queue.length) return Promise.resolve();
+    if (sending) return sending;
+    if (navigator.onLine === false || !window.fetch) return Promise.resolve();
+
+    sending = sendBatches()
+      .catch(() => {
+        // offline or collector down: keep the queue and retry later
+      })
+      .then(() => {
+        sending = null;
+      });
+    return sending;
+  }
+
+  // last chance when the page is closed: sendBeacon survives unloading.
+  // A plain string goes out as text/plain, which needs no CORS preflight.
+  // Beacons share the same body cap, so batches go out until one is refused.
+  function flushOnExit() {
+    if (!hasConsent() || sending || !navigator.sendBeacon) return;
+    while (state.queue.length) {
+      const events = state.queue.slice(0, config.batchSize);
+      if (!navigator.sendBeacon(config.endpoint, buildBatch(events))) break;
+      removeSent(events);
+    }
+  }
+
+  function startTimer() {
+    if (flushTimer || !hasConsent()) return;
+    flushTimer = setInterval(flush, config.flushIntervalMs);
+  }
+
+  function stopTimer() {
+    if (flushTimer) {
+      clearInterval(flushTimer);
+      flushTimer = null;
+    }
+  }
+
+  if (isAvailable()) {
+    startTimer();
+    window.addEventListener("online", flush);
+    window.addEventListener("pagehide", flushOnExit);
+  }
+
+  // Expose API on window
+  window.InsectGameTelemetry = {
+    isAvailable,
+    hasConsent,
+    setConsent,
+    track,
+    flush
+  };
+})();
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/*
+  tools/check-redaction.js
+
+  Offline check of fact mode for species-data.js: does a fact still give
+  its species away once the game has hidden the answer (see redaction.js)?
+
+    node tools/check-redaction.js [path/to/species-data.js]
+
+  It loads window.SONGS_DATA, the locale bundles in locales/ and redaction.js
+  next to it the same way the browser does, redacts every fact in every
+  language it is written in, and reports:
+    - name-leak      : the redacted fact still holds one of the species'
+                       names or group words, e.g. its English name in the
+                       French fact, or a word its family has in another
+                       language only
+    - unknown-family : no locale bundle says what the insects of the
+                       species' family are called, so they aren't hidden
+    - unique-words   : words left in the redacted fact that no other
+                       species' fact (in that language) uses, e.g.
+                       "baffles" or "tymbal"; any of them may be a giveaway.
+                       Hide the ones that are with the species' redactTerms.
+                       Common words (tools/stopwords.js) aren't reported.
+
+  Output is JSON on stdout, like tools/validate-species.js:
+
+    { ok, file, speciesCount, errorCount, warningCount, issues: [...] }
+
+  Each issue has { level, code, index, commonName, field, language, message }
+  and, where useful, { value }. Exit code is 1 if there are errors.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const STOPWORDS = require("./stopwords");
+
+const DEFAULT_LANGUAGE = "en";
+const MIN_WORD_LENGTH = 5;     // shorter words are mostly "their", "with", "les", …
+
+// ---- Loading ----
+
+// species data, locale bundles and redaction.js share one window, as in the page
+function loadGame(file) {
+  const dir = path.dirname(file);
+  const sandbox = { window: {} };
+  const run = script => vm.runInNewContext(fs.readFileSync(script, "utf8"), sandbox, { filename: script });
+
+  run(file);
+  const localeDir = path.join(dir, "locales");
+  if (fs.existsSync(localeDir)) {
+    fs.readdirSync(localeDir)
+      .filter(name => name.endsWith(".js"))
+      .sort()
+      .forEach(name => run(path.join(localeDir, name)));
+  }
+  run(path.join(dir, "redaction.js"));
+
+  return {
+    songs: sandbox.window.SONGS_DATA || [],
+    bundles: sandbox.window.LOCALE_BUNDLES || {},
+    redaction: sandbox.window.InsectFactRedaction
+  };
+}
+
+// ---- Languages (as in i18n.js) ----
+
+function getChain(bundles, code) {
+  const chain = [];
+  let current = code;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = bundles[current] ? bundles[current].fallback || DEFAULT_LANGUAGE : null;
+  }
+  if (!chain.includes(DEFAULT_LANGUAGE)) chain.push(DEFAULT_LANGUAGE);
+  return chain;
+}
+
+function getWords(bundles, chain, list) {
+  const words = [];
+  chain.forEach(code => {
+    const bundleWords = bundles[code] && bundles[code].words;
+    if (bundleWords && Array.isArray(bundleWords[list])) words.push(...bundleWords[list]);
+  });
+  return [...new Set(words)];
+}
+
+function localize(song, field, chain) {
+  const translations = song.translations;
+  if (translations) {
+    for (const code of chain) {
+      const value = translations[code] && translations[code][field];
+      if (value) return value;
+    }
+  }
+  return song[field];
+}
+
+// ---- Checks ----
+
+// "Baffles" and "baffle" (or "especies" and "especie") count as the same word
+function wordKey(word) {
+  const lower = word.toLowerCase();
+  return lower.length > MIN_WORD_LENGTH ? lower.replace(/s$/, "") : lower;
+}
+
+// a language's common words (tools/stopwords.js), by wordKey
+function getStopwords(language) {
+  return new Set((STOPWORDS[language] || []).map(wordKey));
+}
+
+// the words of a redacted fact worth comparing, by wordKey
+function getWordsOf(text) {
+  const words = new Map();
+  (text.match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+    if (word.length < MIN_WORD_LENGTH && !/^\d+$/.test(word)) return;
+    const key = wordKey(word);
+    if (!words.has(key)) words.set(key, word);
+  });
+  return words;
+}
+
+function check(songs, bundles, redaction) {
+  const issues = [];
+  const languages = Object.keys(bundles).length ? Object.keys(bundles) : [DEFAULT_LANGUAGE];
+  const families = [...new Set(songs.map(song => song.family).filter(Boolean))];
+
+  function report(level, code, index, field, language, message, extra) {
+    const song = songs[index] || {};
+    issues.push(Object.assign({
+      level,
+      code,
+      index,
+      commonName: song.commonName || null,
+      field,
+      language,
+      message
+    }, extra));
+  }
+
+  // everything that names a species, whatever the player's language
+  function getAllTerms(song) {
+    const names = Object.values(song.translations || {})
+      .map(entry => entry && entry.commonName)
+      .filter(Boolean);
+    const groupWords = families.flatMap(family => getWords(bundles, languages, family));
+    return redaction.getTerms(song, { names, groupWords });
+  }
+
+  songs.forEach((song, index) => {
+    if (song.family && !getWords(bundles, languages, song.family).length) {
+      report("warning", "unknown-family", index, "family", null,
+        `No locale bundle has words for "${song.family}"; add them to words in locales/${DEFAULT_LANGUAGE}.js.`,
+        { value: song.family });
+    }
+  });
+
+  languages.forEach(language => {
+    const chain = getChain(bundles, language);
+    const groupWords = families.flatMap(family => getWords(bundles, chain, family));
+
+    // the facts as the game shows them in this language
+    const shown = songs.map(song => {
+      const text = localize(song, "fact", chain) || "";
+      const terms = redaction.getTerms(song, {
+        names: [localize(song, "commonName", chain)],
+        groupWords
+      });
+      return redaction.redact(text, terms);
+    });
+    const wordSets = shown.map(getWordsOf);
+    const stopwords = getStopwords(language);
+
+    songs.forEach((song, index) => {
+      // a fact that isn't translated is shown (and checked) in English
+      const translated = song.translations && song.translations[language] &&
+        song.translations[language].fact;
+      if (language !== DEFAULT_LANGUAGE && !translated) return;
+      const field = language === DEFAULT_LANGUAGE ? "fact" : `translations.${language}.fact`;
+
+      const re = redaction.buildPattern(getAllTerms(song));
+      const leaks = re ? [...new Set(shown[index].match(re) || [])] : [];
+      if (leaks.length) {
+        report("error", "name-leak", index, field, language,
+          `Still names the species after redaction: ${leaks.join(", ")}.`,
+          { value: leaks });
+      }
+
+      const unique = [...wordSets[index].entries()]
+        .filter(([key]) => !stopwords.has(key) &&
+          wordSets.every((words, other) => other === index || !words.has(key)))
+        .map(([, word]) => word);
+      if (unique.length) {
+        report("warning", "unique-words", index, field, language,
+          `Words no other species' fact uses: ${unique.join(", ")}.`,
+          { value: unique });
+      }
+    });
+  });
+
+  return issues;
+}
+
+// ---- CLI ----
+
+function main(argv) {
+  const file = path.resolve(argv[0] || path.join(__dirname, "..", "species-data.js"));
+  const { songs, bundles, redaction } = loadGame(file);
+  const issues = check(songs, bundles, redaction);
+
+  const errorCount = issues.filter(i => i.level === "error").length;
+  const result = {
+    ok: errorCount === 0,
+    file: path.relative(process.cwd(), file) || file,
+    speciesCount: songs.length,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    issues
+  };
+
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  return errorCount === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  loadGame,
+  getChain,
+  check
+};
@@ -0,0 +1,67 @@
+/*
+  tools/stopwords.js
+
+  Common words, per language, that tools/check-redaction.js leaves out of
+  its unique-words report: everyday words ("before", "which", "helps") and
+  words that fit any singing insect ("males", "wings", "species"). Such a
+  word can't give one species away even when only its fact uses it.
+
+  Only words of 5 letters or more are listed; the check skips shorter ones
+  anyway. Words are compared as the check compares them, so a listed word
+  also covers its plural in -s ("insect" -> "insects") once that is longer
+  than 5 letters; list other plurals ("lugares") as well. Add a language as
+  its locale bundle is added.
+*/
+
+"use strict";
+
+module.exports = {
+  en: [
+    // everyday words
+    "about", "above", "across", "after", "again", "against", "almost", "along", "already",
+    "although", "always", "among", "another", "around", "because", "before", "behind",
+    "below", "beneath", "beside", "between", "beyond", "build", "building", "called",
+    "cannot", "could", "create", "different", "during", "either", "enough", "especially",
+    "every", "example", "first", "found", "going", "great", "greatly", "helps", "however",
+    "instead", "itself", "large", "later", "least", "little", "making", "might", "often",
+    "other", "others", "place", "rarely", "rather", "really", "right", "second", "several",
+    "should", "shows", "showing", "simple", "since", "small", "sometimes", "still",
+    "their", "there", "these", "thing", "think", "those", "though", "three", "through",
+    "today", "together", "towards", "under", "unlike", "unusual", "until", "using",
+    "usually", "various", "where", "whether", "which", "while", "whose", "within",
+    "without", "would",
+    // fit any singing insect
+    "abdomen", "adult", "animal", "calls", "calling", "chirp", "female", "insect",
+    "louder", "males", "mates", "night", "number", "produce", "sings", "singing", "sound",
+    "species", "summer", "wings"
+  ],
+  es: [
+    // everyday words
+    "además", "ahora", "algún", "alguna", "alguno", "antes", "aunque", "cierto", "cinco",
+    "contra", "cuando", "cuatro", "debajo", "deben", "desde", "después", "diferencia",
+    "donde", "durante", "encima", "entre", "especialmente", "estas", "estos", "forma",
+    "hacen", "haciendo", "hasta", "incluso", "junto", "llamada", "llamado", "lugar", "lugares",
+    "mayor", "mayoría", "mientras", "mismo", "mucho", "muchos", "nunca", "otras", "otros",
+    "parte", "pequeño", "pocas", "porque", "primero", "pueden", "puede", "quedarse",
+    "realmente", "según", "siempre", "sobre", "suelen", "también", "tanto", "tienen",
+    "todas", "todos", "través", "varias", "veces",
+    // fit any singing insect
+    "abdomen", "adulto", "animal", "canto", "cantan", "canta", "especie", "hembra",
+    "insecto", "llamadas", "macho", "noche", "número", "producen", "produce", "sonido",
+    "verano"
+  ],
+  fr: [
+    // everyday words
+    "ailleurs", "ainsi", "alors", "après", "assez", "aucun", "aujourd", "autant", "autour",
+    "autre", "autres", "avant", "avoir", "beaucoup", "certain", "certaine", "chaque",
+    "comme", "comment", "contre", "depuis", "derrière", "dessous", "dessus", "devant",
+    "devenir", "doivent", "durant", "encore", "endroit", "ensemble", "entre", "faire",
+    "faisant", "lorsque", "mieux", "moins", "néanmoins", "parfois", "parmi", "pendant",
+    "peuvent", "plupart", "plusieurs", "pourquoi", "pourtant", "premier", "presque",
+    "quand", "quelque", "rarement", "souvent", "surtout", "toujours", "toute", "toutes",
+    "travers", "vraiment",
+    // fit any singing insect
+    "abdomen", "adulte", "animal", "chant", "chante", "chantent", "espèce", "femelle",
+    "insecte", "mâles", "nombre", "produit", "produisent", "sonore"
+  ]
+};
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/*
+  tools/telemetry-collector.js
+
+  A tiny reference collector for the opt-in usage events sent by
+  telemetry.js. It has no dependencies and keeps everything in one file:
+
+    node tools/telemetry-collector.js [--port 8787] [--file telemetry-events.ndjson] [--origin URL]
+
+  Then set the endpoint in telemetry-config.js to
+  "http://<host>:8787/events".
+
+    POST /events   : a batch { clientId, sentAt, events: [...] } from
+                     telemetry.js. Each valid event is appended to the file
+                     as one JSON line with the clientId and receivedAt added.
+    GET  /summary  : totals aggregated from every event in the file:
+                     { events, clients, sessions, byType, byMode, byRegion }
+
+  An event's mode must be one of the game's quiz modes and its region
+  "All regions" or a region name from regions-data.js (read from the game
+  folder); other events are dropped, also when the file is read back.
+
+  --origin limits which site may send events (CORS); the default "*"
+  accepts any. The file is read back on start, so the summary survives
+  restarts. This is meant for a classroom or outreach server, not for
+  large public deployments.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const vm = require("vm");
+
+const KNOWN_TYPES = ["gameStarted", "gameCompleted", "regionChoice"];
+const KNOWN_MODES = ["spectrogram", "image", "facts", "listen", "reverse"];
+const ALL_REGIONS = "All regions";   // what analytics.js reports without a region
+const KNOWN_REGIONS = loadRegionNames(path.join(__dirname, "..", "regions-data.js"));
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_EVENTS_PER_BATCH = 500;
+const MAX_ID_LENGTH = 64;
+
+// the region names the game reports, as in regions-data.js
+function loadRegionNames(file) {
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(file, "utf8"), sandbox, { filename: file });
+  return [ALL_REGIONS, ...(sandbox.window.REGIONS_DATA || []).map(region => region.name)];
+}
+
+// ---- Aggregation ----
+
+function createAggregate() {
+  return {
+    events: 0,
+    clients: new Set(),
+    sessions: new Set(),
+    // keyed by what clients send, so without a prototype to write onto
+    byType: Object.create(null),   // type -> count
+    byMode: Object.create(null),   // mode -> {gamesStarted, gamesCompleted, totalScore, totalRounds}
+    byRegion: Object.create(null)  // region -> {gamesStarted, gamesCompleted, chosen}
+  };
+}
+
+function addEvent(agg, event) {
+  agg.events += 1;
+  agg.clients.add(event.clientId);
+  agg.sessions.add(event.sessionId);
+  agg.byType[event.type] = (agg.byType[event.type] || 0) + 1;
+
+  const data = event.data || {};
+  const mode = data.mode && (agg.byMode[data.mode] || (agg.byMode[data.mode] =
+    { gamesStarted: 0, gamesCompleted: 0, totalScore: 0, totalRounds: 0 }));
+  const region = data.region && (agg.byRegion[data.region] || (agg.byRegion[data.region] =
+    { gamesStarted: 0, gamesCompleted: 0, chosen: 0 }));
+
+  if (event.type === "gameStarted") {
+    if (mode) mode.gamesStarted += 1;
+    if (region) region.gamesStarted += 1;
+  } else if (event.type === "gameCompleted") {
+    if (mode) {
+      mode.gamesCompleted += 1;
+      mode.totalScore += Number(data.score) || 0;
+      mode.totalRounds += Number(data.roundsTotal) || 0;
+    }
+    if (region) region.gamesCompleted += 1;
+  } else if (event.type === "regionChoice") {
+    if (region) region.chosen += 1;
+  }
+}
+
+function summarize(agg) {
+  const byMode = Object.create(null);
+  for (const [mode, m] of Object.entries(agg.byMode)) {
+    byMode[mode] = {
+      gamesStarted: m.gamesStarted,
+      gamesCompleted: m.gamesCompleted,
+      averageScore: m.totalRounds ? +(m.totalScore / m.totalRounds).toFixed(2) : 0
+    };
+  }
+  return {
+    events: agg.events,
+    clients: agg.clients.size,
+    sessions: agg.sessions.size,
+    byType: agg.byType,
+    byMode,
+    byRegion: agg.byRegion
+  };
+}
+
+// ---- Validation ----
+
+function isId(value) {
+  return typeof value === "string" && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+// a mode or region is optional, but must be one the game reports
+function isKnown(value, known) {
+  return value === undefined || (typeof value === "string" && known.includes(value));
+}
+
+function isValidEvent(e) {
+  return !!e && KNOWN_TYPES.includes(e.type) && isId(e.sessionId) &&
+    typeof e.at === "string" && !isNaN(Date.parse(e.at)) &&
+    !!e.data && typeof e.data === "object" && !Array.isArray(e.data) &&
+    isKnown(e.data.mode, KNOWN_MODES) && isKnown(e.data.region, KNOWN_REGIONS);
+}
+
+// valid events of a batch, ready to store; null if the batch itself is unusable
+function readBatch(batch) {
+  if (!batch || !isId(batch.clientId) || !Array.isArray(batch.events)) return null;
+  if (batch.events.length > MAX_EVENTS_PER_BATCH) return null;
+  const receivedAt = new Date().toISOString();
+  return batch.events
+    .filter(isValidEvent)
+    .map(e => ({
+      receivedAt,
+      clientId: batch.clientId,
+      sessionId: e.sessionId,
+      type: e.type,
+      at: e.at,
+      data: e.data
+    }));
+}
+
+function loadEvents(file, agg) {
+  if (!fs.existsSync(file)) return;
+  fs.readFileSync(file, "utf8").split("\n").forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const event = JSON.parse(line);
+      if (isId(event.clientId) && isValidEvent(event)) addEvent(agg, event);
+    } catch (e) {
+      // skip a damaged line (e.g. the server stopped mid-write)
+    }
+  });
+}
+
+// ---- Server ----
+
+function createServer(options) {
+  const file = options.file;
+  const origin = options.origin || "*";
+  const agg = createAggregate();
+  loadEvents(file, agg);
+
+  function send(res, status, body) {
+    res.writeHead(status, Object.assign({
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type"
+    }, body === undefined ? {} : { "Content-Type": "application/json" }));
+    res.end(body === undefined ? undefined : JSON.stringify(body, null, 2));
+  }
+
+  function receive(req, res) {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        send(res, 413, { error: "Batch too large." });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (res.headersSent) return;
+      let events;
+      try {
+        // sendBeacon posts text/plain, so don't insist on a JSON content type
+        events = readBatch(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        events = null;
+      }
+      if (!events) {
+        send(res, 400, { error: "Expected { clientId, events: [...] }." });
+        return;
+      }
+      if (!events.length) {
+        send(res, 204);
+        return;
+      }
+      const lines = events.map(e => JSON.stringify(e)).join("\n") + "\n";
+      fs.appendFile(file, lines, err => {
+        if (err) {
+          send(res, 500, { error: "Could not store events." });
+          return;
+        }
+        events.forEach(e => addEvent(agg, e));
+        send(res, 204);
+      });
+    });
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") {
+      send(res, 204);
+    } else if (req.method === "POST" && url.pathname === "/events") {
+      receive(req, res);
+    } else if (req.method === "GET" && url.pathname === "/summary") {
+      send(res, 200, summarize(agg));
+    } else {
+      send(res, 404, { error: "Not found." });
+    }
+  });
+}
+
+// ---- CLI ----
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT) || 8787,
+    file: path.resolve("telemetry-events.ndjson"),
+    origin: "*"
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    if (argv[i] === "--port") options.port = Number(value);
+    else if (argv[i] === "--file") options.file = path.resolve(value);
+    else if (argv[i] === "--origin") options.origin = value;
+    else throw new Error(`Unknown option "${argv[i]}".`);
+  }
+  return options;
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+  createServer(options).listen(options.port, () => {
+    console.log(`Collecting telemetry on http://localhost:${options.port}/events`);
+    console.log(`Events file: ${options.file}`);
+    console.log(`Summary:     http://localhost:${options.port}/summary`);
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  createAggregate,
+  addEvent,
+  summarize,
+  readBatch,
+  createServer
+};
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/*
+  tools/validate-species.js
+
+  Offline checks for species-data.js, meant to be run on every contributor PR:
+
+    node tools/validate-species.js [path/to/species-data.js]
+
+  It loads window.SONGS_DATA (and window.REGIONS_DATA from regions-data.js
+  next to it) the same way the browser does and reports:
+    - missing-field     : a field from the documented template is missing or empty
+    - invalid-field     : a field has the wrong shape (e.g. callSegments that
+                          aren't [start, end] pairs, a negative pulseRate, an
+                          audio source list without MIME types, translations
+                          of fields other than commonName / region / fact,
+                          redactTerms that aren't a list of words)
+    - missing-file      : an audio / photo / spectrogramImage path doesn't exist
+                          (every source, when audio lists several)
+    - case-mismatch     : the file exists, but with different letter case
+                          (works locally on Windows/macOS, breaks on the web server)
+    - duplicate-name    : two entries share a common or scientific name
+    - unknown-license   : copyright string isn't a recognised license identifier
+    - unknown-region    : a code in `regions` isn't defined in regions-data.js
+    - similar-region    : a region string almost matches another region string
+
+  Output is JSON on stdout:
+
+    { ok, file, speciesCount, errorCount, warningCount, issues: [...] }
+
+  Each issue has { level, code, index, commonName, field, message } and,
+  where useful, { value, suggestion }. Exit code is 1 if there are errors.
+
+  Whether facts give their species away in fact mode is checked separately,
+  by tools/check-redaction.js.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const MEDIA_FIELDS = ["audio", "photo", "spectrogramImage"];
+const LICENSE_FIELDS = ["copyrightPhoto", "copyrightAudio"];
+const POSITIVE_NUMBER_FIELDS = ["dominantKHz", "pulseRate"];
+const TRANSLATED_FIELDS = ["commonName", "region", "fact"];
+
+const CC_TERMS = ["BY", "BY-SA", "BY-NC", "BY-NC-SA", "BY-ND", "BY-NC-ND"];
+const CC_VERSIONS = ["2.0", "2.5", "3.0", "4.0"];
+const KNOWN_LICENSES = new Set([
+  "CC0",
+  "CC0 1.0",
+  "Public domain",
+  "All rights reserved",
+  ...CC_TERMS.flatMap(t => CC_VERSIONS.map(v => `CC ${t} ${v}`))
+]);
+
+// ---- Loading ----
+
+function loadSpeciesFile(file) {
+  const source = fs.readFileSync(file, "utf8");
+  const sandbox = { window: {} };
+  vm.runInNewContext(source, sandbox, { filename: file });
+  return { source, songs: sandbox.window.SONGS_DATA || [] };
+}
+
+function loadRegionsFile(file) {
+  if (!fs.existsSync(file)) return [];
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(file, "utf8"), sandbox, { filename: file });
+  return sandbox.window.REGIONS_DATA || [];
+}
+
+// Field list from the header comment of species-data.js:
+//   "- fieldName : description"  (description starting with OPTIONAL => optional)
+function parseTemplateFields(source) {
+  const header = source.slice(0, source.indexOf("*/"));
+  const fields = [];
+  const re = /^\s*-\s+(\w+)\s*:\s*(.*)$/gm;
+  let m;
+  while ((m = re.exec(header))) {
+    fields.push({ name: m[1], optional: /^OPTIONAL\b/.test(m[2]) });
+  }
+  return fields;
+}
+
+// ---- Checks ----
+
+// resolves relPath segment by segment so letter case is compared exactly,
+// even on case-insensitive file systems
+function checkPath(baseDir, relPath) {
+  let dir = baseDir;
+  let caseMismatch = null;
+  const parts = relPath.split("/").filter(Boolean);
+
+  for (const part of parts) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch (e) {
+      return { status: "missing" };
+    }
+    if (entries.includes(part)) {
+      dir = path.join(dir, part);
+      continue;
+    }
+    const other = entries.find(e => e.toLowerCase() === part.toLowerCase());
+    if (!other) return { status: "missing" };
+    caseMismatch = caseMismatch || { expected: part, actual: other };
+    dir = path.join(dir, other);
+  }
+
+  if (caseMismatch) {
+    return {
+      status: "case-mismatch",
+      actual: path.relative(baseDir, dir).split(path.sep).join("/")
+    };
+  }
+  return { status: "ok" };
+}
+
+// "CC-BY_SA" -> { terms: "BY-SA", version: null }
+function parseCcLicense(value) {
+  const upper = value.toUpperCase();
+  if (!/^CC\b|^CC[-_ ]/.test(upper)) return null;
+  if (/^CC[-_ ]?0\b/.test(upper)) return { terms: "0", version: null };
+
+  const tokens = upper.slice(2).split(/[-_\s]+/).filter(Boolean);
+  const version = tokens.find(t => /^\d\.\d$/.test(t)) || null;
+  const order = ["BY", "NC", "SA", "ND"];
+  const terms = order.filter(t => tokens.includes(t));
+  if (!terms.length) return null;
+  return { terms: terms.join("-"), version };
+}
+
+function suggestLicense(value) {
+  const cc = parseCcLicense(value);
+  if (!cc) return null;
+  if (cc.terms === "0") return "CC0";
+  return `CC ${cc.terms} ${cc.version || "4.0"}`;
+}
+
+function levenshtein(a, b) {
+  const prev = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diag + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function normalizeRegion(region) {
+  return region.toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+// true for "Eastern U.S." vs "Eastern US" or "Eastern U.S.A", but not
+// for genuinely different regions like "North America" vs "South America"
+function regionsAlmostMatch(a, b) {
+  const na = normalizeRegion(a);
+  const nb = normalizeRegion(b);
+  if (na === nb) return true;
+  const dist = levenshtein(na, nb);
+  return dist === 1 || (dist === 2 && Math.min(na.length, nb.length) >= 16);
+}
+
+// closest defined region for an unknown code, e.g. "na-e" or "Eastern North America" -> "NA-E"
+function suggestRegionCode(value, regions) {
+  const exact = regions.find(r =>
+    r.code.toLowerCase() === value.toLowerCase() || r.name === value
+  );
+  if (exact) return exact.code;
+  const near = regions.find(r =>
+    regionsAlmostMatch(r.code, value) || regionsAlmostMatch(r.name, value)
+  );
+  return near ? near.code : null;
+}
+
+function validate(songs, options) {
+  const baseDir = options.baseDir;
+  const fields = options.fields;
+  const regionList = options.regions || [];
+  const regionCodes = new Set(regionList.map(r => r.code));
+  const issues = [];
+
+  function report(level, code, index, field, message, extra) {
+    const song = songs[index] || {};
+    issues.push(Object.assign({
+      level,
+      code,
+      index,
+      commonName: song.commonName || null,
+      field,
+      message
+    }, extra));
+  }
+
+  songs.forEach((song, index) => {
+    fields.forEach(({ name, optional }) => {
+      const value = song[name];
+      const empty = value === undefined || value === null || value === "";
+      if (empty && !optional) {
+        report("error", "missing-field", index, name, `Missing required field "${name}".`);
+      }
+    });
+
+    POSITIVE_NUMBER_FIELDS.forEach(field => {
+      const value = song[field];
+      if (value === undefined) return;
+      if (typeof value !== "number" || !(value > 0)) {
+        report("error", "invalid-field", index, field,
+          `"${field}" must be a positive number.`, { value });
+      }
+    });
+
+    if (song.callSegments !== undefined) {
+      const segments = song.callSegments;
+      const valid = Array.isArray(segments) && segments.every(seg =>
+        Array.isArray(seg) && seg.length === 2 &&
+        typeof seg[0] === "number" && typeof seg[1] === "number" &&
+        seg[0] >= 0 && seg[1] > seg[0]
+      );
+      if (!valid) {
+        report("error", "invalid-field", index, "callSegments",
+          "\"callSegments\" must be a list of [start, end] pairs in seconds, with start < end.",
+          { value: segments });
+      }
+    }
+
+    if (song.translations !== undefined) {
+      const translations = song.translations;
+      const valid = translations && typeof translations === "object" && !Array.isArray(translations) &&
+        Object.values(translations).every(entry =>
+          entry && typeof entry === "object" &&
+          Object.keys(entry).every(key => TRANSLATED_FIELDS.includes(key) && typeof entry[key] === "string")
+        );
+      if (!valid) {
+        report("error", "invalid-field", index, "translations",
+          "\"translations\" must map language codes to { commonName, region, fact } strings.",
+          { value: translations });
+      }
+    }
+
+    if (song.redactTerms !== undefined) {
+      const terms = song.redactTerms;
+      const valid = Array.isArray(terms) && terms.every(term => typeof term === "string" && term.trim());
+      if (!valid) {
+        report("error", "invalid-field", index, "redactTerms",
+          "\"redactTerms\" must be a list of words, e.g. [\"baffle\"].",
+          { value: terms });
+      }
+    }
+
+    MEDIA_FIELDS.forEach(field => {
+      const value = song[field];
+      let paths;
+      if (field === "audio" && Array.isArray(value)) {
+        // several formats of the recording, best first (see audio-sources.js)
+        const valid = value.length > 0 && value.every(source =>
+          source && typeof source.src === "string" && source.src &&
+          typeof source.type === "string" && /^audio\//.test(source.type)
+        );
+        if (!valid) {
+          report("error", "invalid-field", index, field,
+            "\"audio\" must be a path, or a list of { src, type } sources with audio/… MIME types.",
+            { value });
+          return;
+        }
+        paths = value.map(source => source.src);
+      } else {
+        if (typeof value !== "string" || !value) return;
+        paths = [value];
+      }
+
+      paths.forEach(rel => {
+        const result = checkPath(baseDir, rel);
+        if (result.status === "missing") {
+          report("error", "missing-file", index, field, `File not found: ${rel}`, { value: rel });
+        } else if (result.status === "case-mismatch") {
+          report("error", "case-mismatch", index, field,
+            `File exists with different letter case: ${result.actual}`,
+            { value: rel, suggestion: result.actual });
+        }
+      });
+    });
+
+    if (song.regions !== undefined) {
+      if (!Array.isArray(song.regions)) {
+        report("error", "unknown-region", index, "regions",
+          "\"regions\" must be a list of region codes, e.g. [\"NA-E\"].",
+          { value: song.regions });
+      } else {
+        song.regions.forEach(code => {
+          if (regionCodes.has(code)) return;
+          const suggestion = suggestRegionCode(String(code), regionList);
+          report("error", "unknown-region", index, "regions",
+            `Region code "${code}" is not defined in regions-data.js.`,
+            suggestion ? { value: code, suggestion } : { value: code });
+        });
+      }
+    }
+
+    LICENSE_FIELDS.forEach(field => {
+      const value = song[field];
+      if (typeof value !== "string" || !value) return;
+      if (KNOWN_LICENSES.has(value.trim())) return;
+      const suggestion = suggestLicense(value);
+      const cc = parseCcLicense(value);
+      const message = cc && cc.terms !== "0" && !cc.version
+        ? `License "${value}" has no version number.`
+        : `Unknown license identifier "${value}".`;
+      report("error", "unknown-license", index, field, message,
+        suggestion ? { value, suggestion } : { value });
+    });
+  });
+
+  ["commonName", "species"].forEach(field => {
+    const seen = {};
+    songs.forEach((song, index) => {
+      const value = song[field];
+      if (typeof value !== "string" || !value.trim()) return;
+      const key = value.trim().toLowerCase();
+      if (key in seen) {
+        report("error", "duplicate-name", index, field,
+          `"${value}" is also used by entry ${seen[key]}.`, { value });
+      } else {
+        seen[key] = index;
+      }
+    });
+  });
+
+  const regions = [...new Set(
+    songs.map(s => s.region).filter(r => typeof r === "string" && r)
+  )];
+  songs.forEach((song, index) => {
+    if (typeof song.region !== "string" || !song.region) return;
+    const similar = regions.filter(r => r !== song.region && regionsAlmostMatch(r, song.region));
+    if (similar.length) {
+      report("warning", "similar-region", index, "region",
+        `Region "${song.region}" is almost the same as "${similar.join('", "')}".`,
+        { value: song.region, suggestion: similar[0] });
+    }
+  });
+
+  return issues;
+}
+
+// ---- CLI ----
+
+function main(argv) {
+  const file = path.resolve(argv[0] || path.join(__dirname, "..", "species-data.js"));
+  const { source, songs } = loadSpeciesFile(file);
+  const issues = validate(songs, {
+    baseDir: path.dirname(file),
+    fields: parseTemplateFields(source),
+    regions: loadRegionsFile(path.join(path.dirname(file), "regions-data.js"))
+  });
+
+  const errorCount = issues.filter(i => i.level === "error").length;
+  const result = {
+    ok: errorCount === 0,
+    file: path.relative(process.cwd(), file) || file,
+    speciesCount: songs.length,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    issues
+  };
+
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  return errorCount === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  loadSpeciesFile,
+  loadRegionsFile,
+  parseTemplateFields,
+  checkPath,
+  suggestLicense,
+  regionsAlmostMatch,
+  validate
+};